@@ -1,9 +1,103 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
+import NotificationCard from './layouts/cards/NotificationCard';
+import {
+    getNotifications,
+    markAsRead,
+    markManyAsRead,
+    deleteNotification,
+    subscribeToNotifications,
+} from '../../services/notificationService';
 
 export default function Navbar() {
+    const [notifications, setNotifications] = useState([]);
+    const [unreadCount, setUnreadCount] = useState(0);
+    const [open, setOpen] = useState(false);
+
+    useEffect(() => {
+        if (!localStorage.getItem('token')) return;
+
+        getNotifications({ limit: 10 })
+            .then(res => {
+                setNotifications(res.data.notifications);
+                setUnreadCount(res.data.unreadCount);
+            })
+            .catch(err => console.error(err));
+
+        return subscribeToNotifications({
+            onNotification: notification => setNotifications(prev => [notification, ...prev].slice(0, 10)),
+            onUnreadCount: setUnreadCount,
+        });
+    }, []);
+
+    const handleMarkRead = async id => {
+        try {
+            await markAsRead(id);
+            setNotifications(prev => prev.map(n => (n._id === id ? { ...n, readAt: new Date().toISOString() } : n)));
+        } catch (err) {
+            console.error(err);
+        }
+    };
+
+    const handleMarkAllRead = async () => {
+        try {
+            const res = await markManyAsRead();
+            setUnreadCount(res.data.unreadCount);
+            setNotifications(prev => prev.map(n => ({ ...n, readAt: n.readAt || new Date().toISOString() })));
+        } catch (err) {
+            console.error(err);
+        }
+    };
+
+    const handleDelete = async id => {
+        try {
+            await deleteNotification(id);
+            setNotifications(prev => prev.filter(n => n._id !== id));
+        } catch (err) {
+            console.error(err);
+        }
+    };
+
     return (
-        <nav className="bg-gray-800 text-white p-4">
+        <nav className="bg-gray-800 text-white p-4 flex justify-between items-center">
             <h1 className="text-lg font-bold">Gatimbi Library Portal</h1>
+            <div className="relative">
+                <button
+                    onClick={() => setOpen(prev => !prev)}
+                    className="relative px-3 py-1 rounded hover:bg-gray-700"
+                    aria-label={`Notifications (${unreadCount} unread)`}
+                >
+                    Notifications
+                    {unreadCount > 0 && (
+                        <span className="absolute -top-1 -right-1 bg-red-600 text-xs rounded-full px-1.5">
+                            {unreadCount > 99 ? '99+' : unreadCount}
+                        </span>
+                    )}
+                </button>
+                {open && (
+                    <div className="absolute right-0 mt-2 w-80 max-h-96 overflow-y-auto bg-white text-gray-900 rounded shadow-lg p-2 z-50">
+                        <div className="flex justify-between items-center mb-2 px-1">
+                            <span className="font-semibold">Notifications</span>
+                            {unreadCount > 0 && (
+                                <button onClick={handleMarkAllRead} className="text-xs text-blue-600 hover:underline">
+                                    Mark all read
+                                </button>
+                            )}
+                        </div>
+                        {notifications.length === 0 ? (
+                            <p className="text-sm text-gray-500 px-1">No notifications</p>
+                        ) : (
+                            notifications.map(notification => (
+                                <NotificationCard
+                                    key={notification._id}
+                                    notification={notification}
+                                    onMarkRead={handleMarkRead}
+                                    onDelete={handleDelete}
+                                />
+                            ))
+                        )}
+                    </div>
+                )}
+            </div>
         </nav>
     );
 }
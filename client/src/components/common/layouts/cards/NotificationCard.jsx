@@ -1,10 +1,27 @@
 import React from 'react';
 
-export default function NotificationCard({ notification }) {
+export default function NotificationCard({ notification, onMarkRead, onDelete }) {
+    const unread = !notification.readAt;
+
     return (
-        <div className="border-l-4 border-blue-500 bg-blue-50 p-3 mb-2 rounded">
-            <p>{notification.message}</p>
-            <small className="text-gray-500">{new Date(notification.date).toLocaleString()}</small>
+        <div className={`border-l-4 p-3 mb-2 rounded ${unread ? 'border-blue-500 bg-blue-50' : 'border-gray-300 bg-white'}`}>
+            <div className="flex justify-between items-start gap-2">
+                <p className={unread ? 'font-semibold' : 'font-medium text-gray-700'}>{notification.title}</p>
+                <div className="flex gap-2 text-xs shrink-0">
+                    {unread && onMarkRead && (
+                        <button onClick={() => onMarkRead(notification._id)} className="text-blue-600 hover:underline">
+                            Mark read
+                        </button>
+                    )}
+                    {onDelete && (
+                        <button onClick={() => onDelete(notification._id)} className="text-red-600 hover:underline">
+                            Delete
+                        </button>
+                    )}
+                </div>
+            </div>
+            <p className="text-sm text-gray-700">{notification.message}</p>
+            <small className="text-gray-500">{new Date(notification.createdAt).toLocaleString()}</small>
         </div>
     );
 }
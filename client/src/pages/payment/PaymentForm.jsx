@@ -15,13 +15,33 @@ export default function PaymentForm() {
         try {
             const res = await axios.post("/payments/mpesa-stkpush", { phone, amount });
             setMessage("Payment initiated. Check your phone to complete.");
+            await waitForPayment(res.data.data.paymentId);
         } catch (error) {
-            setMessage("Payment failed. Try again.");
+            setMessage(error.response?.data?.message || "Payment failed. Try again.");
         } finally {
             setLoading(false);
         }
     };
 
+    // Poll the payment until M-Pesa reports the result
+    const waitForPayment = async paymentId => {
+        for (let attempt = 0; attempt < 24; attempt++) {
+            await new Promise(resolve => setTimeout(resolve, 5000));
+            const res = await axios.get(`/payments/${paymentId}`);
+            const { status, mpesaReceiptNumber, resultDesc } = res.data.data;
+
+            if (status === "completed") {
+                setMessage(`Payment received${mpesaReceiptNumber ? ` (receipt ${mpesaReceiptNumber})` : ""}. Thank you!`);
+                return;
+            }
+            if (status !== "pending") {
+                setMessage(resultDesc || "Payment was not completed.");
+                return;
+            }
+        }
+        setMessage("Still waiting for M-Pesa. Check your payment history shortly.");
+    };
+
     return (
         <form onSubmit={handlePayment} className="max-w-md mx-auto space-y-4">
             <input
@@ -6,7 +6,7 @@ export default function PaymentHistory() {
 
     useEffect(() => {
         axios.get("/payments/history")
-            .then(res => setPayments(res.data))
+            .then(res => setPayments(res.data.data.payments))
             .catch(err => console.error(err));
     }, []);
 
@@ -28,10 +28,10 @@ export default function PaymentHistory() {
                 ) : (
                     payments.map(payment => (
                         <tr key={payment._id}>
-                            <td className="border border-gray-300 p-2">{new Date(payment.date).toLocaleString()}</td>
+                            <td className="border border-gray-300 p-2">{new Date(payment.createdAt).toLocaleString()}</td>
                             <td className="border border-gray-300 p-2">{payment.amount}</td>
                             <td className="border border-gray-300 p-2">{payment.status}</td>
-                            <td className="border border-gray-300 p-2">{payment.reference}</td>
+                            <td className="border border-gray-300 p-2">{payment.mpesaReceiptNumber || "-"}</td>
                         </tr>
                     ))
                 )}
@@ -5,13 +5,18 @@ export default function EditProfile() {
     const [formData, setFormData] = useState({
         name: "",
         email: "",
+        preferredLanguage: "en",
     });
     const [loading, setLoading] = useState(false);
     const [message, setMessage] = useState("");
 
     useEffect(() => {
         axios.get("/users/profile")
-            .then(res => setFormData({ name: res.data.name, email: res.data.email }))
+            .then(res => setFormData({
+                name: res.data.name,
+                email: res.data.email,
+                preferredLanguage: res.data.preferredLanguage || "en",
+            }))
             .catch(err => console.error(err));
     }, []);
 
@@ -53,6 +58,18 @@ export default function EditProfile() {
                 placeholder="Email"
                 required
             />
+            <label className="block text-sm text-gray-700">
+                Notification language
+                <select
+                    name="preferredLanguage"
+                    value={formData.preferredLanguage}
+                    onChange={handleChange}
+                    className="w-full p-2 border rounded mt-1"
+                >
+                    <option value="en">English</option>
+                    <option value="sw">Kiswahili</option>
+                </select>
+            </label>
             <button
                 type="submit"
                 disabled={loading}
@@ -5,6 +5,13 @@ const api = axios.create({
     withCredentials: true, // if cookies needed
 });
 
-// Optional: Add interceptors here (e.g., attach JWT token)
+// Attach the JWT saved at login
+api.interceptors.request.use((config) => {
+    const token = localStorage.getItem('token');
+    if (token) {
+        config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+});
 
 export default api;
@@ -1,11 +1,124 @@
 import api from './api';
 
-export const getNotifications = async () => {
-    const response = await api.get('/notifications');
+export const getNotifications = async (params = {}) => {
+    const response = await api.get('/notifications', { params });
     return response.data;
 };
 
+export const getUnreadCount = async () => {
+    const response = await api.get('/notifications/unread-count');
+    return response.data;
+};
+
+// Staff: broadcast a message to a segment of members
 export const sendNotification = async (notificationData) => {
     const response = await api.post('/notifications', notificationData);
     return response.data;
 };
+
+export const estimateBroadcast = async (broadcastData) => {
+    const response = await api.post('/notifications/broadcasts/estimate', broadcastData);
+    return response.data;
+};
+
+export const getBroadcasts = async (params = {}) => {
+    const response = await api.get('/notifications/broadcasts', { params });
+    return response.data;
+};
+
+export const getBroadcast = async (id) => {
+    const response = await api.get(`/notifications/broadcasts/${id}`);
+    return response.data;
+};
+
+export const getBroadcastRecipients = async (id, params = {}) => {
+    const response = await api.get(`/notifications/broadcasts/${id}/recipients`, { params });
+    return response.data;
+};
+
+export const cancelBroadcast = async (id) => {
+    const response = await api.post(`/notifications/broadcasts/${id}/cancel`);
+    return response.data;
+};
+
+export const markAsRead = async (id) => {
+    const response = await api.put(`/notifications/${id}/read`);
+    return response.data;
+};
+
+// Marks every unread notification when no ids are given
+export const markManyAsRead = async (ids) => {
+    const response = await api.put('/notifications/read', ids ? { ids } : {});
+    return response.data;
+};
+
+export const deleteNotification = async (id) => {
+    const response = await api.delete(`/notifications/${id}`);
+    return response.data;
+};
+
+export const deleteNotifications = async (ids) => {
+    const response = await api.delete('/notifications', { data: { ids } });
+    return response.data;
+};
+
+// Listen to the server's event stream for new notifications and unread
+// counts. fetch is used instead of EventSource so the token goes in the
+// Authorization header rather than the URL. Reconnects until the returned
+// function is called.
+export const subscribeToNotifications = ({ onNotification, onUnreadCount }) => {
+    const controller = new AbortController();
+    let retryDelay = 5000;
+
+    const handleEvent = (event, data) => {
+        if (event === 'notification' && onNotification) onNotification(data);
+        if (event === 'unread' && onUnreadCount) onUnreadCount(data.unreadCount);
+    };
+
+    const connect = async () => {
+        const token = localStorage.getItem('token');
+        if (!token) return;
+
+        try {
+            const response = await fetch(`${api.defaults.baseURL}/notifications/stream`, {
+                headers: { Authorization: `Bearer ${token}`, Accept: 'text/event-stream' },
+                signal: controller.signal,
+            });
+            if (!response.ok) throw new Error(`Notification stream failed (${response.status})`);
+
+            const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+            let buffer = '';
+
+            for (;;) {
+                const { value, done } = await reader.read();
+                if (done) break;
+
+                buffer += value;
+                const messages = buffer.split('\n\n');
+                buffer = messages.pop();
+
+                for (const message of messages) {
+                    let event = 'message';
+                    let data = '';
+                    for (const line of message.split('\n')) {
+                        if (line.startsWith('event: ')) event = line.slice(7);
+                        else if (line.startsWith('data: ')) data += line.slice(6);
+                        else if (line.startsWith('retry: ')) retryDelay = Number(line.slice(7)) || retryDelay;
+                    }
+                    if (data) handleEvent(event, JSON.parse(data));
+                }
+            }
+        } catch (error) {
+            if (controller.signal.aborted) return;
+            console.error(error);
+        }
+
+        if (!controller.signal.aborted) {
+            setTimeout(connect, retryDelay);
+        }
+    };
+
+    connect();
+
+    return () => controller.abort();
+};
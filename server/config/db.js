@@ -13,4 +13,39 @@ const connectDB = async () => {
   }
 };
 
+// Whether the server supports transactions, checked once
+let transactionsSupported = null;
+
+// Transactions need a replica set or a sharded cluster
+const supportsTransactions = async () => {
+  if (transactionsSupported === null) {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionsSupported = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+    if (!transactionsSupported) {
+      console.warn('MongoDB transactions are not supported by this server, running without them');
+    }
+  }
+  return transactionsSupported;
+};
+
+// Run fn(session) inside a MongoDB transaction; the driver may retry it
+// after a transient error, once the failed attempt has been rolled back.
+// On a standalone server fn runs exactly once with a null session and
+// nothing is rolled back, so callers that write more than once must undo
+// their own writes when session is null.
+export const withTransaction = async (fn) => {
+  if (!(await supportsTransactions())) return fn(null);
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
 export default connectDB;
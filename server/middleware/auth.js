@@ -57,8 +57,35 @@ export const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Identify the user when a valid token is sent, otherwise continue as a guest
+export const optionalAuth = async (req, res, next) => {
+  try {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+      return next();
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.userId).select('-password');
+
+    if (user && user.isActive && user.status === 'active') {
+      req.user = user;
+    }
+
+    next();
+  } catch (error) {
+    // Invalid or expired tokens are treated as guests
+    next();
+  }
+};
+
 // Role-based access control
 export const requireRole = (...roles) => {
+  // Accept both requireRole('a', 'b') and requireRole(['a', 'b'])
+  const allowedRoles = roles.flat();
+
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ 
@@ -67,7 +94,7 @@ export const requireRole = (...roles) => {
       });
     }
 
-    if (!roles.includes(req.user.role)) {
+    if (!allowedRoles.includes(req.user.role)) {
       return res.status(403).json({ 
         success: false, 
         message: 'Insufficient permissions' 
@@ -78,8 +105,8 @@ export const requireRole = (...roles) => {
   };
 };
 
-// Check if user can access book type
-export const canAccessBookType = (bookType) => {
+// Check if user can access books for an audience (Book.audience)
+export const canAccessBookType = (audience) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ 
@@ -88,10 +115,10 @@ export const canAccessBookType = (bookType) => {
       });
     }
 
-    if (!req.user.canAccessBookType(bookType)) {
+    if (!req.user.canAccessBookType(audience)) {
       return res.status(403).json({ 
         success: false, 
-        message: `Access denied to ${bookType} books` 
+        message: `Access denied to ${audience} books` 
       });
     }
 
@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+
+const amnestyCampaignSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // The campaign can only be applied inside this window
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  // Eligibility filters; an empty list means any
+  fineTypes: [{
+    type: String,
+    enum: ['overdue', 'lost', 'damaged', 'reservation_expired']
+  }],
+  roles: [{
+    type: String,
+    enum: ['junior_member', 'adult_member', 'guest', 'librarian', 'chief_librarian', 'admin']
+  }],
+  schools: [{
+    type: String,
+    trim: true
+  }],
+  // Share of each fine's outstanding amount that is waived
+  waiverPercentage: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 100
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'applying', 'applied', 'failed', 'cancelled'],
+    default: 'draft'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  appliedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  appliedAt: {
+    type: Date,
+    default: null
+  },
+  // Why applying stopped part way, for failed campaigns
+  failureReason: {
+    type: String,
+    default: null
+  },
+  // Outcome of applying the campaign
+  results: {
+    finesWaived: { type: Number, default: 0 },
+    membersAffected: { type: Number, default: 0 },
+    totalWaived: { type: Number, default: 0 },
+    failures: [{
+      fine: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Fine'
+      },
+      error: String
+    }]
+  }
+}, {
+  timestamps: true
+});
+
+// Method to check if the campaign window is open
+amnestyCampaignSchema.methods.isOpen = function(date = new Date()) {
+  const end = new Date(this.endDate);
+  end.setHours(23, 59, 59, 999);
+  return date >= this.startDate && date <= end;
+};
+
+// Indexes for performance
+amnestyCampaignSchema.index({ status: 1, startDate: -1 });
+
+const AmnestyCampaign = mongoose.model('AmnestyCampaign', amnestyCampaignSchema);
+
+export default AmnestyCampaign;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import BookCopy from './BookCopy.js';
 
 const bookSchema = new mongoose.Schema({
   title: {
@@ -38,10 +39,11 @@ const bookSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Copy counters are derived from BookCopy records, see syncCopyCounts
   totalCopies: {
     type: Number,
     required: true,
-    min: 1
+    min: 0
   },
   availableCopies: {
     type: Number,
@@ -130,10 +132,18 @@ bookSchema.methods.canBeBorrowed = function() {
   return this.isBorrowable && this.availableCopies > 0 && this.isActive;
 };
 
-// Method to update available copies
-bookSchema.methods.updateAvailableCopies = function(change) {
-  this.availableCopies = Math.max(0, Math.min(this.totalCopies, this.availableCopies + change));
-  return this.save();
+// Static method to recompute copy counters from the book's item records
+bookSchema.statics.syncCopyCounts = async function(bookId, session = null) {
+  const counts = await BookCopy.countByStatus(bookId, session);
+  const totalCopies = Object.entries(counts)
+    .filter(([status]) => !BookCopy.OUT_OF_STOCK_STATUSES.includes(status))
+    .reduce((sum, [, count]) => sum + count, 0);
+
+  return this.findByIdAndUpdate(
+    bookId,
+    { totalCopies, availableCopies: counts.available || 0 },
+    { new: true, session }
+  );
 };
 
 // Index for search optimization
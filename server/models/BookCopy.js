@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+import Counter from './Counter.js';
+
+const bookCopySchema = new mongoose.Schema({
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: true
+  },
+  barcode: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  accessionNumber: {
+    type: String,
+    unique: true,
+    sparse: true,
+    trim: true
+  },
+  condition: {
+    type: String,
+    enum: ['new', 'good', 'fair', 'poor', 'damaged'],
+    default: 'good'
+  },
+  location: {
+    type: String,
+    trim: true,
+    default: 'General Section'
+  },
+  status: {
+    type: String,
+    enum: ['available', 'on_loan', 'reserved', 'in_repair', 'lost', 'withdrawn'],
+    default: 'available'
+  },
+  // Loan or reservation currently holding this copy
+  currentBorrow: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Borrow',
+    default: null
+  },
+  acquiredAt: {
+    type: Date,
+    default: Date.now
+  },
+  withdrawnAt: {
+    type: Date,
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Statuses that no longer count towards a book's stock
+bookCopySchema.statics.OUT_OF_STOCK_STATUSES = ['lost', 'withdrawn'];
+
+// Static method to generate the next sequential barcode
+bookCopySchema.statics.generateBarcode = async function() {
+  const seq = await Counter.next('book_copy_barcode');
+  return `GLP${String(seq).padStart(7, '0')}`;
+};
+
+// Static method to add new copies of a book with generated barcodes
+bookCopySchema.statics.createCopies = async function(book, count, defaults = {}) {
+  const copies = [];
+  for (let i = 0; i < count; i++) {
+    copies.push({
+      book: book._id,
+      barcode: await this.generateBarcode(),
+      location: book.location,
+      ...defaults
+    });
+  }
+  return this.insertMany(copies);
+};
+
+// Static method to count a book's copies by status
+bookCopySchema.statics.countByStatus = async function(bookId, session = null) {
+  const counts = await this.aggregate([
+    { $match: { book: new mongoose.Types.ObjectId(bookId) } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]).session(session);
+
+  return counts.reduce((acc, { _id, count }) => {
+    acc[_id] = count;
+    return acc;
+  }, {});
+};
+
+// Indexes for performance
+bookCopySchema.index({ book: 1, status: 1 });
+bookCopySchema.index({ currentBorrow: 1 });
+
+const BookCopy = mongoose.model('BookCopy', bookCopySchema);
+
+export default BookCopy;
@@ -11,6 +11,12 @@ const borrowSchema = new mongoose.Schema({
     ref: 'Book',
     required: true
   },
+  // Physical copy on loan or set aside for the reservation
+  copy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookCopy',
+    default: null
+  },
   type: {
     type: String,
     enum: ['reservation', 'borrowed', 'returned', 'overdue', 'lost'],
@@ -82,7 +88,53 @@ const borrowSchema = new mongoose.Schema({
   replacementCost: {
     type: Number,
     default: 0
-  }
+  },
+  // Lost books that turned up again
+  foundAt: {
+    type: Date,
+    default: null
+  },
+  foundBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Renewal history
+  renewalCount: {
+    type: Number,
+    default: 0
+  },
+  renewals: [{
+    renewedAt: {
+      type: Date,
+      default: Date.now
+    },
+    renewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    previousDueDate: Date,
+    newDueDate: Date
+  }],
+  // Reminders already sent, one per type and due date
+  reminders: [{
+    type: {
+      type: String,
+      enum: ['due_date_reminder', 'overdue_notice'],
+      required: true
+    },
+    dueDate: Date,
+    sentAt: {
+      type: Date,
+      default: Date.now
+    },
+    notification: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Notification',
+      default: null
+    }
+  }]
 }, {
   timestamps: true
 });
@@ -133,9 +185,29 @@ borrowSchema.methods.markAsOverdue = function() {
   return Promise.resolve(this);
 };
 
+// Method to renew the loan with a new due date. Overdue loans are not
+// renewed: their fine keeps accruing from the original due date until
+// check-in.
+borrowSchema.methods.renew = function(newDueDate, renewedBy) {
+  if (this.status === 'overdue' || this.isOverdue()) {
+    return Promise.reject(new Error('Overdue loans cannot be renewed'));
+  }
+
+  this.renewals.push({
+    renewedAt: new Date(),
+    renewedBy,
+    previousDueDate: this.dueDate,
+    newDueDate
+  });
+  this.renewalCount += 1;
+  this.dueDate = newDueDate;
+  return this.save();
+};
+
 // Indexes for performance
 borrowSchema.index({ user: 1, status: 1 });
 borrowSchema.index({ book: 1, status: 1 });
+borrowSchema.index({ copy: 1, status: 1 });
 borrowSchema.index({ dueDate: 1, status: 1 });
 borrowSchema.index({ reservedUntil: 1, type: 1 });
 
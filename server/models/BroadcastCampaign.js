@@ -0,0 +1,110 @@
+import mongoose from 'mongoose';
+
+// Borrowing states a campaign can be limited to
+const BORROWING_STATES = ['any', 'active_loans', 'overdue', 'no_loans', 'owes_fines'];
+
+// A message sent by staff to every member in a segment. Each member gets
+// their own Notification, linked back through its campaign field.
+const broadcastCampaignSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // In-app title and email subject; {{name}} is replaced with the member's name
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Segment filters; an empty list means any
+  roles: [{
+    type: String,
+    enum: ['junior_member', 'adult_member', 'guest', 'librarian', 'chief_librarian', 'admin']
+  }],
+  statuses: {
+    type: [{
+      type: String,
+      enum: ['pending', 'active', 'suspended', 'inactive']
+    }],
+    default: ['active']
+  },
+  schools: [{
+    type: String,
+    trim: true
+  }],
+  borrowing: {
+    type: String,
+    enum: BORROWING_STATES,
+    default: 'any'
+  },
+  channels: [{
+    type: String,
+    enum: ['sms', 'email', 'in_app'],
+    required: true
+  }],
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent'],
+    default: 'medium'
+  },
+  scheduledFor: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'sending', 'sent', 'cancelled'],
+    default: 'scheduled'
+  },
+  // Set while a worker is queueing the campaign; an expired lock lets
+  // another run finish it
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // Cost estimate when the campaign was created, in KES
+  estimatedSmsCost: {
+    type: Number,
+    default: 0
+  },
+  recipientCount: {
+    type: Number,
+    default: 0
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+broadcastCampaignSchema.statics.BORROWING_STATES = BORROWING_STATES;
+
+// Indexes for performance
+broadcastCampaignSchema.index({ status: 1, scheduledFor: 1 });
+broadcastCampaignSchema.index({ createdAt: -1 });
+
+const BroadcastCampaign = mongoose.model('BroadcastCampaign', broadcastCampaignSchema);
+
+export default BroadcastCampaign;
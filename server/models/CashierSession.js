@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+const cashierSessionSchema = new mongoose.Schema({
+  cashier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  openingFloat: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Filled in at close-out from the ledger
+  takings: {
+    cash: { type: Number, default: 0 },
+    mpesa: { type: Number, default: 0 },
+    bank: { type: Number, default: 0 }
+  },
+  refunds: {
+    cash: { type: Number, default: 0 },
+    mpesa: { type: Number, default: 0 },
+    bank: { type: Number, default: 0 }
+  },
+  expectedCash: {
+    type: Number,
+    default: null
+  },
+  countedCash: {
+    type: Number,
+    default: null
+  },
+  // Counted minus expected: negative means the drawer is short
+  variance: {
+    type: Number,
+    default: null
+  },
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+// One open session per cashier, even when two requests open at once
+cashierSessionSchema.index(
+  { cashier: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+cashierSessionSchema.index({ openedAt: -1 });
+
+const CashierSession = mongoose.model('CashierSession', cashierSessionSchema);
+
+export default CashierSession;
@@ -39,6 +39,64 @@ const fineSchema = new mongoose.Schema({
     ref: 'User',
     default: null
   },
+  paymentMethod: {
+    type: String,
+    enum: ['cash', 'mpesa', 'bank', null],
+    default: null
+  },
+  // M-Pesa receipt number or bank/cash reference
+  paymentReference: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Paid so far; the fine is paid once this reaches the amount
+  amountPaid: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Waived so far, e.g. by a part waiver in an amnesty
+  amountWaived: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Payments allocated to this fine
+  payments: [{
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    paidAt: {
+      type: Date,
+      default: Date.now
+    },
+    method: {
+      type: String,
+      enum: ['cash', 'mpesa', 'bank'],
+      default: 'cash'
+    },
+    reference: {
+      type: String,
+      trim: true
+    },
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+      default: null
+    },
+    receiptNumber: {
+      type: String,
+      default: null
+    }
+  }],
   waivedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -79,6 +137,21 @@ const fineSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Fine policy rule the charge was worked out with (null for the global defaults)
+  finePolicy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FinePolicy',
+    default: null
+  },
+  // Overdue fines keep accruing until the book is checked in
+  isFinal: {
+    type: Boolean,
+    default: false
+  },
+  finalizedAt: {
+    type: Date,
+    default: null
+  },
   // For lost books
   bookValue: {
     type: Number,
@@ -87,6 +160,31 @@ const fineSchema = new mongoose.Schema({
   replacementCost: {
     type: Number,
     default: 0
+  },
+  // For damaged books: condition grade at assessment
+  condition: {
+    type: String,
+    enum: ['new', 'good', 'fair', 'poor', 'damaged'],
+    default: null
+  },
+  // Paid fines that were later credited back to the member's account
+  creditedAmount: {
+    type: Number,
+    default: 0
+  },
+  creditedAt: {
+    type: Date,
+    default: null
+  },
+  creditedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Paid back to the member through approved refunds
+  refundedAmount: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true
@@ -114,6 +212,12 @@ fineSchema.virtual('totalAmount').get(function() {
   return this.amount;
 });
 
+// Virtual for the amount still to be paid
+fineSchema.virtual('outstandingAmount').get(function() {
+  if (this.status !== 'pending') return 0;
+  return Math.max(0, Math.round((this.amount - (this.amountPaid || 0) - (this.amountWaived || 0)) * 100) / 100);
+});
+
 // Method to check if fine is overdue
 fineSchema.methods.isOverdue = function() {
   return new Date() > this.dueDate;
@@ -127,13 +231,40 @@ fineSchema.methods.markAsPaid = function(paidBy) {
   return this.save();
 };
 
-// Method to waive fine
-fineSchema.methods.waiveFine = function(waivedBy, reason) {
-  this.status = 'waived';
+// Method to record a payment towards the fine; marks it paid once settled.
+// The caller saves the fine.
+fineSchema.methods.applyPayment = function({
+  amount, method = 'cash', reference = null, receivedBy = null, payment = null, receiptNumber = null
+}) {
+  this.amountPaid = Math.round(((this.amountPaid || 0) + amount) * 100) / 100;
+  this.payments.push({ amount, method, reference, receivedBy, payment, receiptNumber, paidAt: new Date() });
+  this.paymentMethod = method;
+  this.paymentReference = reference;
+
+  if (this.amountPaid + (this.amountWaived || 0) >= this.amount) {
+    this.status = 'paid';
+    this.paidAt = new Date();
+    this.paidBy = receivedBy;
+  }
+
+  return this;
+};
+
+// Method to waive fine. Pass an amount to waive only part of what is
+// outstanding; the fine stays pending until the rest is paid.
+fineSchema.methods.waiveFine = function(waivedBy, reason, session = null, amount = null) {
+  const outstanding = this.outstandingAmount;
+  const waived = amount === null ? outstanding : Math.min(amount, outstanding);
+
+  this.amountWaived = Math.round(((this.amountWaived || 0) + waived) * 100) / 100;
   this.waivedAt = new Date();
   this.waivedBy = waivedBy;
   this.waiverReason = reason;
-  return this.save();
+
+  if (waived >= outstanding) {
+    this.status = 'waived';
+  }
+  return this.save({ session });
 };
 
 // Indexes for performance
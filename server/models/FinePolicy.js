@@ -0,0 +1,105 @@
+import mongoose from 'mongoose';
+
+// Fields a rule can match on. An empty field matches anything.
+const MATCH_FIELDS = ['bookType', 'audience', 'role'];
+
+const finePolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Matching criteria
+  bookType: {
+    type: String,
+    enum: ['book', 'newspaper', 'kasneb', null],
+    default: null
+  },
+  audience: {
+    type: String,
+    enum: ['junior', 'adult', 'all', null],
+    default: null
+  },
+  role: {
+    type: String,
+    enum: ['guest', 'junior_member', 'adult_member', 'librarian', 'chief_librarian', 'admin', null],
+    default: null
+  },
+  // Charges
+  rateType: {
+    type: String,
+    enum: ['per_day', 'per_hour'],
+    default: 'per_day'
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  gracePeriod: {
+    type: Number, // Days
+    default: 0,
+    min: 0
+  },
+  maxFine: {
+    type: Number, // KES, null for no cap
+    default: null,
+    min: 0
+  },
+  lostMultiplier: {
+    type: Number, // Times the book value for lost items
+    default: 2,
+    min: 0
+  },
+  // Breaks ties between equally specific rules; higher wins
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Number of criteria the rule sets; more specific rules win
+finePolicySchema.methods.getSpecificity = function() {
+  return MATCH_FIELDS.filter(field => this[field]).length;
+};
+
+// Most specific active rule for a book type, audience and member role
+finePolicySchema.statics.resolve = async function({ bookType, audience, role }) {
+  const query = { isActive: true };
+  const criteria = { bookType, audience, role };
+  query.$and = MATCH_FIELDS.map(field => ({ [field]: { $in: [null, criteria[field]] } }));
+
+  const rules = await this.find(query).sort({ priority: -1, updatedAt: -1 });
+  if (rules.length === 0) return null;
+
+  return rules.reduce((best, rule) => (
+    rule.getSpecificity() > best.getSpecificity() ? rule : best
+  ));
+};
+
+finePolicySchema.statics.MATCH_FIELDS = MATCH_FIELDS;
+
+// Indexes for performance
+finePolicySchema.index({ isActive: 1, bookType: 1, audience: 1, role: 1 });
+
+const FinePolicy = mongoose.model('FinePolicy', finePolicySchema);
+
+export default FinePolicy;
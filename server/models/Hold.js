@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+const holdSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'ready', 'fulfilled', 'cancelled', 'expired'],
+    default: 'waiting'
+  },
+  queuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set when a returned copy is handed to this hold
+  promotedAt: {
+    type: Date,
+    default: null
+  },
+  reservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Borrow',
+    default: null
+  },
+  placedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Method to get the 1-based position of this hold in its book's queue
+holdSchema.methods.getQueuePosition = async function() {
+  if (this.status !== 'waiting') return 0;
+
+  const ahead = await this.constructor.countDocuments({
+    book: this.book,
+    status: 'waiting',
+    $or: [
+      { queuedAt: { $lt: this.queuedAt } },
+      { queuedAt: this.queuedAt, _id: { $lt: this._id } }
+    ]
+  });
+
+  return ahead + 1;
+};
+
+// Static method to get the waiting queue for a book, oldest first
+holdSchema.statics.getQueue = function(bookId) {
+  return this.find({ book: bookId, status: 'waiting' })
+    .sort({ queuedAt: 1, _id: 1 });
+};
+
+// Indexes for performance
+holdSchema.index({ book: 1, status: 1, queuedAt: 1 });
+holdSchema.index({ user: 1, status: 1 });
+
+const Hold = mongoose.model('Hold', holdSchema);
+
+export default Hold;
@@ -0,0 +1,137 @@
+import mongoose from 'mongoose';
+
+const instalmentSchema = new mongoose.Schema({
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  amountPaid: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'missed'],
+    default: 'pending'
+  },
+  paidAt: {
+    type: Date,
+    default: null
+  },
+  reminderSentAt: {
+    type: Date,
+    default: null
+  },
+  missedNoticeSentAt: {
+    type: Date,
+    default: null
+  }
+});
+
+const instalmentPlanSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Fines the plan pays off
+  fines: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fine'
+  }],
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  amountPaid: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  frequency: {
+    type: String,
+    enum: ['weekly', 'fortnightly', 'monthly'],
+    default: 'monthly'
+  },
+  instalments: [instalmentSchema],
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'cancelled'],
+    default: 'active'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Method to get the next instalment still to be paid
+instalmentPlanSchema.methods.getNextInstalment = function() {
+  return this.instalments.find(instalment => instalment.status !== 'paid') || null;
+};
+
+// Method to credit a payment to the instalments in due date order.
+// The caller saves the plan.
+instalmentPlanSchema.methods.applyPayment = function(amount) {
+  let remaining = amount;
+
+  for (const instalment of this.instalments) {
+    if (remaining <= 0) break;
+    if (instalment.status === 'paid') continue;
+
+    const due = Math.round((instalment.amount - instalment.amountPaid) * 100) / 100;
+    const applied = Math.min(remaining, due);
+
+    instalment.amountPaid = Math.round((instalment.amountPaid + applied) * 100) / 100;
+    remaining = Math.round((remaining - applied) * 100) / 100;
+
+    if (instalment.amountPaid >= instalment.amount) {
+      instalment.status = 'paid';
+      instalment.paidAt = new Date();
+    }
+  }
+
+  this.amountPaid = Math.round((this.amountPaid + amount - remaining) * 100) / 100;
+
+  if (this.instalments.every(instalment => instalment.status === 'paid')) {
+    this.status = 'completed';
+    this.completedAt = new Date();
+  }
+
+  return this;
+};
+
+// Indexes for performance
+instalmentPlanSchema.index({ user: 1, status: 1 });
+instalmentPlanSchema.index({ status: 1, 'instalments.dueDate': 1 });
+
+const InstalmentPlan = mongoose.model('InstalmentPlan', instalmentPlanSchema);
+
+export default InstalmentPlan;
@@ -0,0 +1,114 @@
+import mongoose from 'mongoose';
+
+// Accounts used by the fines ledger. Member receivables are what members
+// owe; a negative receivable balance is credit on their account.
+const LEDGER_ACCOUNTS = [
+  'member_receivable',
+  'fine_income',
+  'fine_waivers',
+  'cash_drawer',
+  'mpesa_clearing',
+  'bank'
+];
+
+const ledgerEntrySchema = new mongoose.Schema({
+  entryType: {
+    type: String,
+    enum: ['assessed', 'paid', 'waived', 'refunded', 'adjusted'],
+    required: true
+  },
+  // Double entry: the amount moves from the credit account to the debit account
+  debitAccount: {
+    type: String,
+    enum: LEDGER_ACCOUNTS,
+    required: true
+  },
+  creditAccount: {
+    type: String,
+    enum: LEDGER_ACCOUNTS,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  fine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fine',
+    default: null
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  method: {
+    type: String,
+    enum: ['cash', 'mpesa', 'bank', null],
+    default: null
+  },
+  reference: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  cashierSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CashierSession',
+    default: null
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  description: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+ledgerEntrySchema.statics.ACCOUNTS = LEDGER_ACCOUNTS;
+
+// Entries are immutable: mistakes are corrected with an adjusting entry
+ledgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Ledger entries cannot be modified'));
+  }
+  next();
+});
+
+const rejectChange = function(next) {
+  next(new Error('Ledger entries cannot be modified or deleted'));
+};
+
+ledgerEntrySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], rejectChange);
+ledgerEntrySchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], rejectChange);
+
+// The one change allowed: an M-Pesa receipt number that arrives after the
+// payment was recorded fills in a missing reference. Goes straight to the
+// collection, past the hooks above.
+ledgerEntrySchema.statics.fillPaymentReference = function(paymentId, reference) {
+  return this.collection.updateMany(
+    { payment: paymentId, reference: null },
+    { $set: { reference } }
+  );
+};
+
+// Indexes for performance
+ledgerEntrySchema.index({ user: 1, createdAt: -1 });
+ledgerEntrySchema.index({ fine: 1 });
+ledgerEntrySchema.index({ cashierSession: 1, entryType: 1 });
+ledgerEntrySchema.index({ createdAt: -1, entryType: 1 });
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+export default LedgerEntry;
@@ -0,0 +1,140 @@
+import mongoose from 'mongoose';
+
+const openingHoursSchema = new mongoose.Schema({
+  dayOfWeek: {
+    type: Number,
+    required: true,
+    min: 0, // Sunday
+    max: 6
+  },
+  isClosed: {
+    type: Boolean,
+    default: false
+  },
+  opensAt: {
+    type: String,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/,
+    default: '08:00'
+  },
+  closesAt: {
+    type: String,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/,
+    default: '17:00'
+  }
+}, { _id: false });
+
+const holidaySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['public_holiday', 'closure'],
+    default: 'public_holiday'
+  },
+  // Recurring holidays repeat on the same day and month every year
+  recurring: {
+    type: Boolean,
+    default: false
+  }
+});
+
+const libraryCalendarSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    default: 'main'
+  },
+  openingHours: [openingHoursSchema],
+  holidays: [holidaySchema],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Kenyan public holidays with a fixed date. Movable ones (Good Friday,
+// Easter Monday, Eid al-Fitr, Eid al-Adha) are added each year by an admin.
+const KENYAN_FIXED_HOLIDAYS = [
+  { name: "New Year's Day", month: 0, day: 1 },
+  { name: 'Labour Day', month: 4, day: 1 },
+  { name: 'Madaraka Day', month: 5, day: 1 },
+  { name: 'Mazingira Day', month: 9, day: 10 },
+  { name: 'Mashujaa Day', month: 9, day: 20 },
+  { name: 'Jamhuri Day', month: 11, day: 12 },
+  { name: 'Christmas Day', month: 11, day: 25 },
+  { name: 'Boxing Day', month: 11, day: 26 }
+];
+
+const DEFAULT_OPENING_HOURS = [
+  { dayOfWeek: 0, isClosed: true },
+  { dayOfWeek: 1, opensAt: '08:00', closesAt: '18:00' },
+  { dayOfWeek: 2, opensAt: '08:00', closesAt: '18:00' },
+  { dayOfWeek: 3, opensAt: '08:00', closesAt: '18:00' },
+  { dayOfWeek: 4, opensAt: '08:00', closesAt: '18:00' },
+  { dayOfWeek: 5, opensAt: '08:00', closesAt: '18:00' },
+  { dayOfWeek: 6, opensAt: '09:00', closesAt: '13:00' }
+];
+
+// Static method to get the library calendar, creating the default one if needed
+libraryCalendarSchema.statics.getCalendar = async function() {
+  const existing = await this.findOne({ key: 'main' });
+  if (existing) return existing;
+
+  const year = new Date().getFullYear();
+  return this.findOneAndUpdate(
+    { key: 'main' },
+    {
+      $setOnInsert: {
+        key: 'main',
+        openingHours: DEFAULT_OPENING_HOURS,
+        holidays: KENYAN_FIXED_HOLIDAYS.map(({ name, month, day }) => ({
+          name,
+          date: new Date(year, month, day),
+          type: 'public_holiday',
+          recurring: true
+        }))
+      }
+    },
+    { new: true, upsert: true }
+  );
+};
+
+// Method to get the opening hours for a date
+libraryCalendarSchema.methods.getHoursFor = function(date) {
+  const dayOfWeek = new Date(date).getDay();
+  return this.openingHours.find(hours => hours.dayOfWeek === dayOfWeek) || null;
+};
+
+// Method to find the holiday or closure falling on a date
+libraryCalendarSchema.methods.getHolidayOn = function(date) {
+  const target = new Date(date);
+
+  return this.holidays.find(holiday => {
+    const holidayDate = new Date(holiday.date);
+    const sameDay = holidayDate.getDate() === target.getDate() &&
+      holidayDate.getMonth() === target.getMonth();
+    return sameDay && (holiday.recurring || holidayDate.getFullYear() === target.getFullYear());
+  }) || null;
+};
+
+// Method to check whether the library is open on a date
+libraryCalendarSchema.methods.isOpenOn = function(date) {
+  const hours = this.getHoursFor(date);
+  if (!hours || hours.isClosed) return false;
+  return !this.getHolidayOn(date);
+};
+
+const LibraryCalendar = mongoose.model('LibraryCalendar', libraryCalendarSchema);
+
+export default LibraryCalendar;
@@ -6,19 +6,46 @@ const notificationSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Who the message is sent to. Guardian copies of a junior member's
+  // notices go to the guardian's phone and email and are tracked apart
+  // from the member's own notification.
+  recipient: {
+    type: String,
+    enum: ['member', 'guardian'],
+    default: 'member'
+  },
+  copyOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification',
+    default: null
+  },
   type: {
     type: String,
     enum: [
       'due_date_reminder',
       'overdue_notice',
+      'reservation_created',
       'reservation_ready',
       'reservation_expired',
+      'hold_placed',
       'fine_notice',
+      'instalment_plan_created',
+      'instalment_reminder',
+      'instalment_missed',
+      'lost_book_found',
+      'account_created',
       'account_approved',
+      'account_rejected',
       'account_suspended',
+      'account_reactivated',
+      'role_changed',
       'book_returned',
       'fine_paid',
-      'fine_waived'
+      'fine_waived',
+      'fine_amnesty',
+      'fine_refunded',
+      'daily_digest',
+      'announcement'
     ],
     required: true
   },
@@ -32,6 +59,26 @@ const notificationSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Language the text was rendered in
+  locale: {
+    type: String,
+    enum: ['en', 'sw'],
+    default: 'en'
+  },
+  // Channel-specific text from the message templates; title and message
+  // are used where these are not set
+  smsMessage: {
+    type: String,
+    default: null
+  },
+  emailSubject: {
+    type: String,
+    default: null
+  },
+  emailMessage: {
+    type: String,
+    default: null
+  },
   channels: [{
     type: String,
     enum: ['sms', 'email', 'in_app'],
@@ -50,7 +97,7 @@ const notificationSchema = new mongoose.Schema({
   // SMS specific fields
   smsStatus: {
     type: String,
-    enum: ['pending', 'sent', 'delivered', 'failed'],
+    enum: ['pending', 'sent', 'delivered', 'failed', 'skipped'],
     default: 'pending'
   },
   smsMessageId: {
@@ -61,10 +108,27 @@ const notificationSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  smsSegments: {
+    type: Number,
+    default: 0
+  },
+  // Gateway IDs of the segments sent so far; a retry after a failure part
+  // way through a long message resumes after these
+  smsSegmentIds: [{
+    type: String
+  }],
+  smsProvider: {
+    type: String,
+    default: null
+  },
+  smsSentAt: {
+    type: Date,
+    default: null
+  },
   // Email specific fields
   emailStatus: {
     type: String,
-    enum: ['pending', 'sent', 'delivered', 'failed'],
+    enum: ['pending', 'sent', 'delivered', 'failed', 'skipped'],
     default: 'pending'
   },
   emailMessageId: {
@@ -87,11 +151,39 @@ const notificationSchema = new mongoose.Schema({
     ref: 'Fine',
     default: null
   },
-  // Scheduling
+  // Broadcast the notification was sent for
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BroadcastCampaign',
+    default: null
+  },
+  // Receipts rendered and attached to the email when it is sent
+  receipts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Receipt'
+  }],
+  // Scheduling. A pending notification is sent once scheduledFor is due;
+  // after a failed attempt it is pushed back by the retry backoff.
   scheduledFor: {
     type: Date,
     default: Date.now
   },
+  // Held for the member's daily digest instead of being sent on its own
+  digest: {
+    type: Boolean,
+    default: false
+  },
+  // The digest carrying this notice; it stays pending until that digest is sent
+  digestedIn: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification',
+    default: null
+  },
+  // Set while a worker is sending; an expired lock can be claimed again
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
   sentAt: {
     type: Date,
     default: null
@@ -116,6 +208,16 @@ const notificationSchema = new mongoose.Schema({
     type: Number,
     default: 3
   },
+  // In-app inbox state. Deleting only hides the notification from the
+  // member; the delivery record is kept.
+  readAt: {
+    type: Date,
+    default: null
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
   // Metadata
   metadata: {
     type: Map,
@@ -135,19 +237,39 @@ notificationSchema.virtual('age').get(function() {
   return diffDays;
 });
 
+// Query for a member's in-app inbox; guardian copies and deleted
+// notifications are left out
+notificationSchema.statics.inboxQuery = function(userId, filter = {}) {
+  return { user: userId, recipient: { $ne: 'guardian' }, deletedAt: null, ...filter };
+};
+
+notificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments(this.inboxQuery(userId, { readAt: null }));
+};
+
+// Delivery channels still to be sent (in-app needs no delivery)
+notificationSchema.methods.getPendingChannels = function() {
+  return this.channels.filter(channel => {
+    if (channel === 'sms') return !['sent', 'delivered', 'skipped'].includes(this.smsStatus);
+    if (channel === 'email') return !['sent', 'delivered', 'skipped'].includes(this.emailStatus);
+    return false;
+  });
+};
+
 // Method to mark as sent
-notificationSchema.methods.markAsSent = function(channel) {
+notificationSchema.methods.markAsSent = function(channel, messageId = null) {
   if (channel === 'sms') {
     this.smsStatus = 'sent';
-    this.smsMessageId = this.smsMessageId || `sms_${Date.now()}`;
+    this.smsMessageId = messageId || this.smsMessageId || `sms_${Date.now()}`;
   } else if (channel === 'email') {
     this.emailStatus = 'sent';
-    this.emailMessageId = this.emailMessageId || `email_${Date.now()}`;
+    this.emailMessageId = messageId || this.emailMessageId || `email_${Date.now()}`;
   }
   
-  if (this.smsStatus === 'sent' && this.emailStatus === 'sent') {
+  if (this.getPendingChannels().length === 0) {
     this.status = 'sent';
     this.sentAt = new Date();
+    this.lockedUntil = null;
   }
   
   return this.save();
@@ -161,7 +283,10 @@ notificationSchema.methods.markAsDelivered = function(channel) {
     this.emailStatus = 'delivered';
   }
   
-  if (this.smsStatus === 'delivered' && this.emailStatus === 'delivered') {
+  const undelivered = this.channels.filter(c =>
+    (c === 'sms' && this.smsStatus !== 'delivered') || (c === 'email' && this.emailStatus !== 'delivered')
+  );
+  if (undelivered.length === 0) {
     this.status = 'delivered';
     this.deliveredAt = new Date();
   }
@@ -169,7 +294,7 @@ notificationSchema.methods.markAsDelivered = function(channel) {
   return this.save();
 };
 
-// Method to mark as failed
+// Method to mark a channel as failed; the retry is scheduled separately
 notificationSchema.methods.markAsFailed = function(channel, reason) {
   if (channel === 'sms') {
     this.smsStatus = 'failed';
@@ -180,21 +305,51 @@ notificationSchema.methods.markAsFailed = function(channel, reason) {
   this.failureReason = reason;
   this.failedAt = new Date();
   
-  if (this.retryCount < this.maxRetries) {
-    this.retryCount += 1;
-    this.status = 'pending';
-  } else {
+  return this.save();
+};
+
+// Method to schedule the next attempt with exponential backoff, or move
+// the notification to the dead letter queue once its retries are used up
+notificationSchema.methods.scheduleRetry = function(baseDelayMinutes) {
+  this.retryCount += 1;
+  this.lockedUntil = null;
+  
+  if (this.retryCount > this.maxRetries) {
     this.status = 'failed';
+  } else {
+    const delayMinutes = baseDelayMinutes * Math.pow(2, this.retryCount - 1);
+    this.status = 'pending';
+    this.scheduledFor = new Date(Date.now() + delayMinutes * 60 * 1000);
   }
   
   return this.save();
 };
 
+// Method to put a dead-lettered notification back on the queue
+notificationSchema.methods.requeue = function() {
+  if (this.smsStatus === 'failed') this.smsStatus = 'pending';
+  if (this.emailStatus === 'failed') this.emailStatus = 'pending';
+  
+  this.status = 'pending';
+  this.retryCount = 0;
+  this.scheduledFor = new Date();
+  this.lockedUntil = null;
+  
+  return this.save();
+};
+
 // Indexes for performance
 notificationSchema.index({ user: 1, status: 1 });
 notificationSchema.index({ type: 1, status: 1 });
-notificationSchema.index({ scheduledFor: 1, status: 1 });
+notificationSchema.index({ status: 1, scheduledFor: 1 });
+notificationSchema.index({ user: 1, digest: 1, status: 1 });
+notificationSchema.index({ status: 1, failedAt: -1 });
 notificationSchema.index({ channels: 1, status: 1 });
+notificationSchema.index({ smsSentAt: 1 });
+notificationSchema.index({ copyOf: 1 });
+notificationSchema.index({ digestedIn: 1, status: 1 });
+notificationSchema.index({ campaign: 1, recipient: 1 });
+notificationSchema.index({ user: 1, deletedAt: 1, readAt: 1 });
 
 const Notification = mongoose.model('Notification', notificationSchema);
 
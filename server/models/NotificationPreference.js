@@ -0,0 +1,135 @@
+import mongoose from 'mongoose';
+import moment from 'moment';
+
+// Notices members cannot turn off, hold for the digest or move to other
+// channels. Quiet hours still delay them.
+const MANDATORY_TYPES = [
+  'overdue_notice',
+  'fine_notice',
+  'fine_paid',
+  'fine_waived',
+  'fine_amnesty',
+  'fine_refunded',
+  'instalment_missed',
+  'account_rejected',
+  'account_suspended'
+];
+
+// Notices with a deadline (collecting a reservation, returning a book)
+// that go out straight away even when the member has a digest
+const TIME_CRITICAL_TYPES = [
+  'reservation_ready',
+  'due_date_reminder',
+  'hold_placed'
+];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const notificationPreferenceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // Channels allowed for each notification type. A type that is not listed
+  // goes out on every channel the library picks for it.
+  channels: {
+    type: Map,
+    of: [{
+      type: String,
+      enum: ['sms', 'email']
+    }],
+    default: {}
+  },
+  // No SMS or email between start and end (local time); notices wait
+  // until the quiet hours end
+  quietHours: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    start: {
+      type: String,
+      match: TIME_PATTERN,
+      default: '21:00'
+    },
+    end: {
+      type: String,
+      match: TIME_PATTERN,
+      default: '07:00'
+    }
+  },
+  // Collect non-mandatory notices into one email a day
+  digest: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    hour: {
+      type: Number,
+      min: 0,
+      max: 23,
+      default: 18
+    },
+    lastSentAt: {
+      type: Date,
+      default: null
+    }
+  }
+}, {
+  timestamps: true
+});
+
+notificationPreferenceSchema.statics.MANDATORY_TYPES = MANDATORY_TYPES;
+notificationPreferenceSchema.statics.TIME_CRITICAL_TYPES = TIME_CRITICAL_TYPES;
+
+// Whether a notification type may be held for the member's daily digest
+notificationPreferenceSchema.statics.canDigest = function(type) {
+  return type !== 'daily_digest' && !MANDATORY_TYPES.includes(type) && !TIME_CRITICAL_TYPES.includes(type);
+};
+
+// Saved preferences for a user, or the defaults when they have none
+notificationPreferenceSchema.statics.getFor = async function(userId) {
+  const preference = await this.findOne({ user: userId });
+  return preference || new this({ user: userId });
+};
+
+// The requested channels the member allows for a notification type
+notificationPreferenceSchema.methods.allowedChannels = function(type, requested) {
+  if (MANDATORY_TYPES.includes(type) || !this.channels.has(type)) {
+    return requested;
+  }
+
+  const allowed = this.channels.get(type);
+  return requested.filter(channel => channel === 'in_app' || allowed.includes(channel));
+};
+
+// When quiet hours covering the given time end, or null outside them
+notificationPreferenceSchema.methods.quietHoursEnd = function(date = new Date()) {
+  if (!this.quietHours.enabled) return null;
+
+  const now = moment(date);
+  const [startHour, startMinute] = this.quietHours.start.split(':').map(Number);
+  const [endHour, endMinute] = this.quietHours.end.split(':').map(Number);
+  const start = now.clone().startOf('day').add(startHour, 'hours').add(startMinute, 'minutes');
+  const end = now.clone().startOf('day').add(endHour, 'hours').add(endMinute, 'minutes');
+
+  if (start.isSame(end)) return null;
+
+  if (start.isBefore(end)) {
+    return now.isSameOrAfter(start) && now.isBefore(end) ? end.toDate() : null;
+  }
+
+  // Quiet hours that run past midnight
+  if (now.isBefore(end)) return end.toDate();
+  if (now.isSameOrAfter(start)) return end.add(1, 'day').toDate();
+  return null;
+};
+
+// Indexes for performance
+notificationPreferenceSchema.index({ 'digest.enabled': 1, 'digest.hour': 1 });
+
+const NotificationPreference = mongoose.model('NotificationPreference', notificationPreferenceSchema);
+
+export default NotificationPreference;
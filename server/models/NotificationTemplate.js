@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+// Languages messages can be written in
+const LOCALES = ['en', 'sw'];
+
+// Who the message is written for: the member, or a junior member's guardian
+const RECIPIENTS = ['member', 'guardian'];
+
+// A message for one notification type, channel, language and recipient. It overrides
+// the built-in text in templateService; delete it to go back to the default.
+const notificationTemplateSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  channel: {
+    type: String,
+    enum: ['sms', 'email', 'in_app'],
+    required: true
+  },
+  locale: {
+    type: String,
+    enum: LOCALES,
+    default: 'en'
+  },
+  recipient: {
+    type: String,
+    enum: RECIPIENTS,
+    default: 'member'
+  },
+  // Email subject and in-app title (not used for SMS)
+  subject: {
+    type: String,
+    trim: true
+  },
+  // Text with {{variable}} placeholders and {{#flag}}...{{/flag}} sections
+  body: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationTemplateSchema.statics.LOCALES = LOCALES;
+notificationTemplateSchema.statics.RECIPIENTS = RECIPIENTS;
+
+// Indexes for performance
+notificationTemplateSchema.index({ type: 1, channel: 1, locale: 1, recipient: 1 }, { unique: true });
+
+const NotificationTemplate = mongoose.model('NotificationTemplate', notificationTemplateSchema);
+
+export default NotificationTemplate;
@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+
+const paymentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Fines the payment goes towards, oldest first
+  fines: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fine'
+  }],
+  // How the payment was split across the fines once received
+  allocations: [{
+    fine: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Fine'
+    },
+    amount: Number
+  }],
+  // Left over after allocation, kept as account credit
+  unallocatedAmount: {
+    type: Number,
+    default: 0
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  method: {
+    type: String,
+    enum: ['mpesa'],
+    default: 'mpesa'
+  },
+  phone: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  initiatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Daraja STK Push identifiers
+  merchantRequestId: {
+    type: String,
+    default: null
+  },
+  checkoutRequestId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Result reported by the callback or a status query
+  resultCode: {
+    type: Number,
+    default: null
+  },
+  resultDesc: {
+    type: String,
+    trim: true
+  },
+  mpesaReceiptNumber: {
+    type: String,
+    default: null
+  },
+  transactionDate: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  lastQueriedAt: {
+    type: Date,
+    default: null
+  },
+  // Receipt issued once the payment was allocated; a completed payment
+  // without one is allocated again by the reconcile job
+  receiptNumber: {
+    type: String,
+    default: null
+  },
+  allocationError: {
+    type: String,
+    default: null
+  },
+  callbackPayload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Method to check if the payment is still waiting for the customer
+paymentSchema.methods.isPending = function() {
+  return this.status === 'pending';
+};
+
+// Indexes for performance
+paymentSchema.index({ user: 1, createdAt: -1 });
+paymentSchema.index({ status: 1, createdAt: 1 });
+paymentSchema.index({ mpesaReceiptNumber: 1 });
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+export default Payment;
@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+import Counter from './Counter.js';
+
+const receiptSchema = new mongoose.Schema({
+  receiptNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['payment', 'waiver', 'refund'],
+    default: 'payment'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  method: {
+    type: String,
+    enum: ['cash', 'mpesa', 'bank', null],
+    default: null
+  },
+  // M-Pesa receipt number or bank/cash reference
+  reference: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // How the amount was split across fines
+  allocations: [{
+    fine: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Fine'
+    },
+    amount: Number
+  }],
+  // Paid beyond the fines and kept as account credit
+  unallocatedAmount: {
+    type: Number,
+    default: 0
+  },
+  // Member's fine balance once this receipt was issued (negative is credit)
+  balanceAfter: {
+    type: Number,
+    default: 0
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  cashierSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CashierSession',
+    default: null
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to take the next sequential receipt number
+receiptSchema.statics.generateReceiptNumber = async function(session = null) {
+  const seq = await Counter.next('fine_receipt', { session });
+  return `RCT${String(seq).padStart(7, '0')}`;
+};
+
+// Indexes for performance
+receiptSchema.index({ user: 1, createdAt: -1 });
+receiptSchema.index({ 'allocations.fine': 1 });
+
+const Receipt = mongoose.model('Receipt', receiptSchema);
+
+export default Receipt;
@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+
+const refundSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The wrongly charged fine, if the refund is for one. Without a fine the
+  // refund pays out existing account credit.
+  fine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fine',
+    default: null
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  method: {
+    type: String,
+    enum: ['cash', 'mpesa', 'bank'],
+    required: true
+  },
+  reasonCategory: {
+    type: String,
+    enum: ['lost_book_found', 'duplicate_charge', 'wrong_charge', 'account_credit', 'other'],
+    default: 'other'
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // M-Pesa transaction or bank reference of the payout
+  reference: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  approvedAt: {
+    type: Date,
+    default: null
+  },
+  rejectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  rejectedAt: {
+    type: Date,
+    default: null
+  },
+  rejectionReason: {
+    type: String,
+    trim: true
+  },
+  cashierSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CashierSession',
+    default: null
+  },
+  receiptNumber: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+refundSchema.index({ status: 1, createdAt: -1 });
+refundSchema.index({ user: 1, createdAt: -1 });
+refundSchema.index({ fine: 1, status: 1 });
+
+const Refund = mongoose.model('Refund', refundSchema);
+
+export default Refund;
@@ -110,6 +110,12 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Language notifications are sent in
+  preferredLanguage: {
+    type: String,
+    enum: ['en', 'sw'],
+    default: 'en'
+  },
   maxBooksAllowed: {
     type: Number,
     default: function() {
@@ -157,21 +163,18 @@ userSchema.methods.getReadableRole = function() {
   return roleMap[this.role] || this.role;
 };
 
-// Method to check if user can access book type
-userSchema.methods.canAccessBookType = function(bookType) {
-  if (this.role === 'guest' || this.role === 'librarian' || this.role === 'chief_librarian' || this.role === 'admin') {
-    return true;
-  }
-  
-  if (this.role === 'junior_member' && bookType === 'junior') {
-    return true;
-  }
-  
-  if (this.role === 'adult_member' && bookType === 'adult') {
-    return true;
+// Method to get the book audiences (Book.audience) the user may see and borrow
+userSchema.methods.getVisibleAudiences = function() {
+  if (this.role === 'junior_member') {
+    return ['junior', 'all'];
   }
-  
-  return false;
+
+  return ['junior', 'adult', 'all'];
+};
+
+// Method to check if user can access books for an audience (Book.audience)
+userSchema.methods.canAccessBookType = function(audience) {
+  return this.getVisibleAudiences().includes(audience);
 };
 
 const User = mongoose.model('User', userSchema);
@@ -1,4 +1,5 @@
 import express from 'express';
+import { body, validationResult } from 'express-validator';
 import { authenticateToken, requireRole, logActivity } from '../middleware/auth.js';
 import User from '../models/User.js';
 import Book from '../models/Book.js';
@@ -7,6 +8,13 @@ import Fine from '../models/Fine.js';
 import Notification from '../models/Notification.js';
 import AuditLog from '../models/AuditLog.js';
 import SystemConfig from '../models/SystemConfig.js';
+import LibraryCalendar from '../models/LibraryCalendar.js';
+import FinePolicy from '../models/FinePolicy.js';
+import NotificationTemplate from '../models/NotificationTemplate.js';
+import Refund from '../models/Refund.js';
+import calendarService from '../services/calendarService.js';
+import fineService from '../services/fineService.js';
+import templateService, { TEMPLATE_DEFAULTS } from '../services/templateService.js';
 import moment from 'moment';
 
 const router = express.Router();
@@ -450,6 +458,51 @@ router.get('/analytics/financial', async (req, res) => {
       { $sort: { '_id.year': 1, '_id.month': 1 } }
     ]);
 
+    // Refunds paid out, by the date they were approved
+    const refundDateFilter = dateFilter.createdAt ? { approvedAt: dateFilter.createdAt } : {};
+
+    const refundTrends = await Refund.aggregate([
+      { $match: { status: 'approved', ...refundDateFilter } },
+      {
+        $group: {
+          _id: {
+            date: { $dateToString: { format: '%Y-%m-%d', date: '$approvedAt' } },
+            method: '$method'
+          },
+          totalAmount: { $sum: '$amount' },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { '_id.date': 1 } }
+    ]);
+
+    const refundReasonDistribution = await Refund.aggregate([
+      { $match: { status: 'approved', ...refundDateFilter } },
+      { $group: { _id: '$reasonCategory', totalAmount: { $sum: '$amount' }, count: { $sum: 1 } } },
+      { $sort: { totalAmount: -1 } }
+    ]);
+
+    const refundStatusDistribution = await Refund.aggregate([
+      { $match: dateFilter },
+      { $group: { _id: '$status', totalAmount: { $sum: '$amount' }, count: { $sum: 1 } } },
+      { $sort: { totalAmount: -1 } }
+    ]);
+
+    const monthlyRefunds = await Refund.aggregate([
+      { $match: { status: 'approved' } },
+      {
+        $group: {
+          _id: {
+            year: { $year: '$approvedAt' },
+            month: { $month: '$approvedAt' }
+          },
+          totalAmount: { $sum: '$amount' },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { '_id.year': 1, '_id.month': 1 } }
+    ]);
+
     await logActivity(req.user.id, 'view', 'financial_analytics', null, 'Viewed financial analytics');
 
     res.json({
@@ -459,6 +512,10 @@ router.get('/analytics/financial', async (req, res) => {
         fineTypeDistribution,
         fineStatusDistribution,
         monthlyRevenue,
+        refundTrends,
+        refundReasonDistribution,
+        refundStatusDistribution,
+        monthlyRefunds,
         period,
         dateRange: { startDate, endDate }
       }
@@ -469,6 +526,548 @@ router.get('/analytics/financial', async (req, res) => {
   }
 });
 
+// Get library calendar
+router.get('/calendar', async (req, res) => {
+  try {
+    const calendar = await LibraryCalendar.getCalendar();
+
+    res.json({
+      success: true,
+      data: calendar
+    });
+  } catch (error) {
+    console.error('Error fetching library calendar:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch library calendar' });
+  }
+});
+
+// Update weekly opening hours
+router.put('/calendar/opening-hours', [
+  body('openingHours').isArray({ min: 1, max: 7 }).withMessage('Opening hours must be a list of weekdays'),
+  body('openingHours.*.dayOfWeek').isInt({ min: 0, max: 6 }).withMessage('Day of week must be 0 (Sunday) to 6'),
+  body('openingHours.*.opensAt').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Opening time must be HH:mm'),
+  body('openingHours.*.closesAt').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Closing time must be HH:mm'),
+  logActivity('calendar_hours_update', 'system')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const calendar = await LibraryCalendar.getCalendar();
+
+    // Replace the given weekdays, keep the rest
+    for (const hours of req.body.openingHours) {
+      const dayOfWeek = parseInt(hours.dayOfWeek);
+      calendar.openingHours = calendar.openingHours.filter(existing => existing.dayOfWeek !== dayOfWeek);
+      calendar.openingHours.push({ ...hours, dayOfWeek });
+    }
+    calendar.openingHours.sort((a, b) => a.dayOfWeek - b.dayOfWeek);
+
+    if (!calendar.openingHours.some(hours => !hours.isClosed)) {
+      return res.status(400).json({ success: false, message: 'The library must be open on at least one day' });
+    }
+
+    calendar.updatedBy = req.user._id;
+    await calendar.save();
+
+    res.json({
+      success: true,
+      data: calendar,
+      message: 'Opening hours updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating opening hours:', error);
+    res.status(500).json({ success: false, message: 'Failed to update opening hours' });
+  }
+});
+
+// Add a holiday or closure
+router.post('/calendar/holidays', [
+  body('name').trim().notEmpty().withMessage('Holiday name is required'),
+  body('date').isISO8601().withMessage('Valid date is required'),
+  body('type').optional().isIn(['public_holiday', 'closure']).withMessage('Invalid holiday type'),
+  body('recurring').optional().isBoolean(),
+  logActivity('calendar_holiday_add', 'system')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { name, date, type, recurring } = req.body;
+    const calendar = await LibraryCalendar.getCalendar();
+
+    if (calendar.getHolidayOn(new Date(date))) {
+      return res.status(400).json({ success: false, message: 'A holiday already exists on this date' });
+    }
+
+    calendar.holidays.push({ name, date: new Date(date), type, recurring });
+    calendar.updatedBy = req.user._id;
+    await calendar.save();
+
+    res.status(201).json({
+      success: true,
+      data: calendar.holidays[calendar.holidays.length - 1],
+      message: 'Holiday added successfully'
+    });
+  } catch (error) {
+    console.error('Error adding holiday:', error);
+    res.status(500).json({ success: false, message: 'Failed to add holiday' });
+  }
+});
+
+// Remove a holiday or closure
+router.delete('/calendar/holidays/:holidayId', logActivity('calendar_holiday_delete', 'system'), async (req, res) => {
+  try {
+    const { holidayId } = req.params;
+    const calendar = await LibraryCalendar.getCalendar();
+
+    const holiday = calendar.holidays.id(holidayId);
+    if (!holiday) {
+      return res.status(404).json({ success: false, message: 'Holiday not found' });
+    }
+
+    holiday.deleteOne();
+    calendar.updatedBy = req.user._id;
+    await calendar.save();
+
+    res.json({
+      success: true,
+      message: 'Holiday removed successfully'
+    });
+  } catch (error) {
+    console.error('Error removing holiday:', error);
+    res.status(500).json({ success: false, message: 'Failed to remove holiday' });
+  }
+});
+
+// Preview the due date for a loan starting on a given date
+router.get('/calendar/due-date', async (req, res) => {
+  try {
+    const { days = 14, from } = req.query;
+    const startDate = from ? new Date(from) : new Date();
+
+    const dueDate = await calendarService.computeDueDate(parseInt(days), startDate);
+
+    res.json({
+      success: true,
+      data: { from: startDate, days: parseInt(days), dueDate }
+    });
+  } catch (error) {
+    console.error('Error computing due date:', error);
+    res.status(500).json({ success: false, message: 'Failed to compute due date' });
+  }
+});
+
+// Fine policy fields an admin can set; blank match fields mean "any"
+const FINE_POLICY_FIELDS = [
+  'name', 'description', 'bookType', 'audience', 'role', 'rateType', 'rate',
+  'gracePeriod', 'maxFine', 'lostMultiplier', 'priority', 'isActive'
+];
+
+const pickFinePolicyFields = (body) => {
+  const fields = {};
+  FINE_POLICY_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  FinePolicy.MATCH_FIELDS.forEach(field => {
+    if (fields[field] === '') fields[field] = null;
+  });
+  return fields;
+};
+
+const finePolicyValidation = (isUpdate = false) => [
+  (isUpdate ? body('name').optional() : body('name')).trim().notEmpty().withMessage('Rule name is required'),
+  body('bookType').optional({ values: 'falsy' }).isIn(['book', 'newspaper', 'kasneb']).withMessage('Invalid book type'),
+  body('audience').optional({ values: 'falsy' }).isIn(['junior', 'adult', 'all']).withMessage('Invalid audience'),
+  body('role').optional({ values: 'falsy' }).isIn(['guest', 'junior_member', 'adult_member', 'librarian', 'chief_librarian', 'admin']).withMessage('Invalid role'),
+  body('rateType').optional().isIn(['per_day', 'per_hour']).withMessage('Rate type must be per_day or per_hour'),
+  (isUpdate ? body('rate').optional() : body('rate')).isFloat({ min: 0 }).withMessage('Rate must be zero or more'),
+  body('gracePeriod').optional().isInt({ min: 0 }).withMessage('Grace period must be a whole number of days'),
+  body('maxFine').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Maximum fine must be zero or more'),
+  body('lostMultiplier').optional().isFloat({ min: 0 }).withMessage('Lost item multiplier must be zero or more'),
+  body('priority').optional().isInt().withMessage('Priority must be a whole number'),
+  body('isActive').optional().isBoolean()
+];
+
+// Get fine policy rules
+router.get('/fine-policies', async (req, res) => {
+  try {
+    const { active } = req.query;
+    const filter = {};
+    if (active !== undefined) filter.isActive = active === 'true';
+
+    const policies = await FinePolicy.find(filter)
+      .populate('updatedBy', 'name')
+      .sort({ isActive: -1, priority: -1, name: 1 });
+
+    res.json({
+      success: true,
+      data: policies
+    });
+  } catch (error) {
+    console.error('Error fetching fine policies:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch fine policies' });
+  }
+});
+
+// Create a fine policy rule
+router.post('/fine-policies', [
+  ...finePolicyValidation(),
+  logActivity('fine_policy_create', 'system')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const policy = await FinePolicy.create({
+      ...pickFinePolicyFields(req.body),
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: policy,
+      message: 'Fine policy created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating fine policy:', error);
+    res.status(500).json({ success: false, message: 'Failed to create fine policy' });
+  }
+});
+
+// Simulate the fine a loan would incur under the current rules
+router.post('/fine-policies/simulate', [
+  body('bookId').optional().isMongoId().withMessage('Invalid book ID'),
+  body('userId').optional().isMongoId().withMessage('Invalid user ID'),
+  body('bookType').optional().isIn(['book', 'newspaper', 'kasneb']).withMessage('Invalid book type'),
+  body('audience').optional().isIn(['junior', 'adult', 'all']).withMessage('Invalid audience'),
+  body('role').optional().isIn(['guest', 'junior_member', 'adult_member', 'librarian', 'chief_librarian', 'admin']).withMessage('Invalid role'),
+  body('dueDate').optional().isISO8601().withMessage('Valid due date is required'),
+  body('returnDate').optional().isISO8601().withMessage('Valid return date is required'),
+  body('daysOverdue').optional().isInt({ min: 0 }).withMessage('Days overdue must be zero or more'),
+  body('bookValue').optional().isFloat({ min: 0 }).withMessage('Book value must be zero or more')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    let { bookType = 'book', audience = 'all', role = 'adult_member', bookValue } = req.body;
+
+    if (req.body.bookId) {
+      const book = await Book.findById(req.body.bookId);
+      if (!book) {
+        return res.status(404).json({ success: false, message: 'Book not found' });
+      }
+      ({ bookType, audience } = book);
+      if (bookValue === undefined) bookValue = book.price;
+    }
+
+    if (req.body.userId) {
+      const user = await User.findById(req.body.userId);
+      if (!user) {
+        return res.status(404).json({ success: false, message: 'User not found' });
+      }
+      role = user.role;
+    }
+
+    const returnDate = req.body.returnDate ? new Date(req.body.returnDate) : new Date();
+    const dueDate = req.body.dueDate
+      ? new Date(req.body.dueDate)
+      : moment(returnDate).subtract(parseInt(req.body.daysOverdue || 0), 'days').toDate();
+
+    const policy = await fineService.resolveFinePolicy({ bookType, audience, role });
+    const overdue = await fineService.computeOverdueAmount(policy, dueDate, returnDate);
+
+    res.json({
+      success: true,
+      data: {
+        criteria: { bookType, audience, role },
+        policy,
+        dueDate,
+        returnDate,
+        overdue,
+        lostFine: bookValue !== undefined
+          ? Math.round(Number(bookValue) * policy.lostMultiplier * 100) / 100
+          : null
+      }
+    });
+  } catch (error) {
+    console.error('Error simulating fine:', error);
+    res.status(500).json({ success: false, message: 'Failed to simulate fine' });
+  }
+});
+
+// Update a fine policy rule
+router.put('/fine-policies/:id', [
+  ...finePolicyValidation(true),
+  logActivity('fine_policy_update', 'system')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const policy = await FinePolicy.findByIdAndUpdate(
+      req.params.id,
+      { ...pickFinePolicyFields(req.body), updatedBy: req.user._id },
+      { new: true, runValidators: true }
+    );
+
+    if (!policy) {
+      return res.status(404).json({ success: false, message: 'Fine policy not found' });
+    }
+
+    res.json({
+      success: true,
+      data: policy,
+      message: 'Fine policy updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating fine policy:', error);
+    res.status(500).json({ success: false, message: 'Failed to update fine policy' });
+  }
+});
+
+// Delete a fine policy rule. Fines already charged keep their amounts.
+router.delete('/fine-policies/:id', logActivity('fine_policy_delete', 'system'), async (req, res) => {
+  try {
+    const policy = await FinePolicy.findByIdAndDelete(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({ success: false, message: 'Fine policy not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Fine policy deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting fine policy:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete fine policy' });
+  }
+});
+
+// Render template text with sample values and check it can be saved:
+// every placeholder must be known and SMS text must fit the segment limit
+const checkTemplateText = async ({ type, channel, subject, body, recipient }) => {
+  const preview = await templateService.preview({ type, channel, subject, body, recipient });
+
+  if (preview.unknownPlaceholders.length > 0) {
+    return { preview, error: `Unknown placeholder(s): ${preview.unknownPlaceholders.join(', ')}` };
+  }
+  if (preview.sms && !preview.sms.withinLimit) {
+    return { preview, error: `SMS text takes ${preview.sms.segments} segments; the limit is ${preview.sms.maxSegments}` };
+  }
+
+  return { preview };
+};
+
+// Get saved notification templates
+router.get('/notification-templates', async (req, res) => {
+  try {
+    const { type, channel, locale, recipient } = req.query;
+    const filter = {};
+    if (type) filter.type = type;
+    if (channel) filter.channel = channel;
+    if (locale) filter.locale = locale;
+    if (recipient) filter.recipient = recipient;
+
+    const templates = await NotificationTemplate.find(filter)
+      .populate('updatedBy', 'name')
+      .sort({ type: 1, channel: 1, locale: 1, recipient: 1 });
+
+    res.json({
+      success: true,
+      data: templates
+    });
+  } catch (error) {
+    console.error('Error fetching notification templates:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch notification templates' });
+  }
+});
+
+// Get the built-in text and placeholders for every notification type
+router.get('/notification-templates/defaults', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        locales: NotificationTemplate.LOCALES,
+        recipients: NotificationTemplate.RECIPIENTS,
+        types: Object.entries(TEMPLATE_DEFAULTS).map(([type, { variables, guardian, ...locales }]) => ({
+          type,
+          variables: Object.keys(variables),
+          sampleValues: variables,
+          defaults: locales,
+          guardianDefaults: guardian || null
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching template defaults:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch template defaults' });
+  }
+});
+
+// Preview template text with sample values, without saving it. Without a
+// body the template currently in use is previewed.
+router.post('/notification-templates/preview', [
+  body('type').isIn(Object.keys(TEMPLATE_DEFAULTS)).withMessage('Unknown notification type'),
+  body('channel').isIn(['sms', 'email', 'in_app']).withMessage('Channel must be sms, email or in_app'),
+  body('locale').optional().isIn(NotificationTemplate.LOCALES).withMessage('Unsupported language'),
+  body('recipient').optional().isIn(NotificationTemplate.RECIPIENTS).withMessage('Recipient must be member or guardian'),
+  body('variables').optional().isObject().withMessage('Variables must be an object')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { type, channel, locale = 'en', recipient = 'member', variables = {} } = req.body;
+    let { subject, body: text } = req.body;
+    let source = 'draft';
+
+    if (text === undefined) {
+      const current = await templateService.resolve(type, channel, locale, null, recipient);
+      ({ subject, body: text, source } = current);
+    }
+
+    const preview = await templateService.preview({ type, channel, subject, body: text, variables, recipient });
+
+    res.json({
+      success: true,
+      data: { ...preview, source }
+    });
+  } catch (error) {
+    console.error('Error previewing notification template:', error);
+    res.status(500).json({ success: false, message: 'Failed to preview notification template' });
+  }
+});
+
+// Create a notification template
+router.post('/notification-templates', [
+  body('type').isIn(Object.keys(TEMPLATE_DEFAULTS)).withMessage('Unknown notification type'),
+  body('channel').isIn(['sms', 'email', 'in_app']).withMessage('Channel must be sms, email or in_app'),
+  body('locale').isIn(NotificationTemplate.LOCALES).withMessage('Unsupported language'),
+  body('recipient').optional().isIn(NotificationTemplate.RECIPIENTS).withMessage('Recipient must be member or guardian'),
+  body('subject').optional().trim(),
+  body('body').trim().notEmpty().withMessage('Template text is required'),
+  body('isActive').optional().isBoolean(),
+  logActivity('notification_template_create', 'notification')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { type, channel, locale, recipient = 'member', subject, body: text, isActive } = req.body;
+
+    const existing = await NotificationTemplate.findOne({ type, channel, locale, recipient });
+    if (existing) {
+      return res.status(400).json({ success: false, message: 'A template for this type, channel, language and recipient already exists' });
+    }
+
+    const { preview, error } = await checkTemplateText({ type, channel, subject, body: text, recipient });
+    if (error) {
+      return res.status(400).json({ success: false, message: error, data: preview });
+    }
+
+    const template = await NotificationTemplate.create({
+      type,
+      channel,
+      locale,
+      recipient,
+      subject,
+      body: text,
+      isActive,
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { template, preview },
+      message: 'Notification template created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating notification template:', error);
+    res.status(500).json({ success: false, message: 'Failed to create notification template' });
+  }
+});
+
+// Update a notification template
+router.put('/notification-templates/:id', [
+  body('subject').optional().trim(),
+  body('body').optional().trim().notEmpty().withMessage('Template text cannot be empty'),
+  body('isActive').optional().isBoolean(),
+  logActivity('notification_template_update', 'notification')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const template = await NotificationTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ success: false, message: 'Notification template not found' });
+    }
+
+    const { subject, body: text, isActive } = req.body;
+    if (subject !== undefined) template.subject = subject;
+    if (text !== undefined) template.body = text;
+    if (isActive !== undefined) template.isActive = isActive;
+
+    const { preview, error } = await checkTemplateText(template);
+    if (error) {
+      return res.status(400).json({ success: false, message: error, data: preview });
+    }
+
+    template.updatedBy = req.user._id;
+    await template.save();
+
+    res.json({
+      success: true,
+      data: { template, preview },
+      message: 'Notification template updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating notification template:', error);
+    res.status(500).json({ success: false, message: 'Failed to update notification template' });
+  }
+});
+
+// Delete a notification template; the built-in text is used again
+router.delete('/notification-templates/:id', logActivity('notification_template_delete', 'notification'), async (req, res) => {
+  try {
+    const template = await NotificationTemplate.findByIdAndDelete(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({ success: false, message: 'Notification template not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification template deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting notification template:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete notification template' });
+  }
+});
+
 // Get system health status
 router.get('/health', async (req, res) => {
   try {
@@ -5,6 +5,7 @@ import { body, validationResult } from 'express-validator';
 import User from '../models/User.js';
 import { authenticateToken, authRateLimit, logActivity } from '../middleware/auth.js';
 import notificationService from '../services/notificationService.js';
+import templateService from '../services/templateService.js';
 
 const router = express.Router();
 
@@ -33,7 +34,8 @@ router.post('/register', [
   body('guardianPhone').if(body('role').equals('junior_member')).notEmpty().withMessage('Guardian phone is required for juniors'),
   body('guardianEmail').if(body('role').equals('junior_member')).isEmail().withMessage('Valid guardian email is required for juniors'),
   body('guardianId').if(body('role').equals('junior_member')).notEmpty().withMessage('Guardian ID is required for juniors'),
-  body('school').if(body('role').equals('junior_member')).notEmpty().withMessage('School is required for juniors')
+  body('school').if(body('role').equals('junior_member')).notEmpty().withMessage('School is required for juniors'),
+  body('preferredLanguage').optional().isIn(['en', 'sw']).withMessage('Preferred language must be en or sw')
 ], async (req, res) => {
   try {
     // Check validation errors
@@ -47,7 +49,7 @@ router.post('/register', [
     }
 
     const {
-      name, email, phone, password, role,
+      name, email, phone, password, role, preferredLanguage,
       nationalId, birthCertificate,
       guardianName, guardianPhone, guardianEmail, guardianId, school
     } = req.body;
@@ -95,6 +97,8 @@ router.post('/register', [
       status: 'pending' // Requires approval
     };
 
+    if (preferredLanguage) userData.preferredLanguage = preferredLanguage;
+
     // Add role-specific fields
     if (role === 'adult_member') {
       userData.nationalId = nationalId;
@@ -116,8 +120,7 @@ router.post('/register', [
       await notificationService.sendNotification({
         user,
         type: 'account_created',
-        title: 'Account Registration Successful',
-        message: `Dear ${name}, your account has been registered successfully and is pending approval. You will receive a notification once your account is approved.`,
+        variables: { name },
         channels: ['email'],
         priority: 'medium'
       });
@@ -505,21 +508,13 @@ router.post('/forgot-password', [
     user.resetPasswordExpires = new Date(Date.now() + 3600000); // 1 hour
     await user.save();
 
-    // Send reset email
+    // Send reset email in the member's language
     try {
-      await notificationService.sendEmail(
-        user.email,
-        'Password Reset Request',
-        `
-        <h2>Password Reset Request</h2>
-        <p>Dear ${user.name},</p>
-        <p>You have requested to reset your password. Click the link below to reset it:</p>
-        <p><a href="${process.env.CLIENT_URL || 'http://localhost:3000'}/reset-password/${resetToken}">Reset Password</a></p>
-        <p>This link will expire in 1 hour.</p>
-        <p>If you didn't request this, please ignore this email.</p>
-        <p>Best regards,<br>Gatimbi Library Team</p>
-        `
-      );
+      const { subject, body } = await templateService.render('password_reset', 'email', user.preferredLanguage, {
+        name: user.name,
+        resetUrl: `${process.env.CLIENT_URL || 'http://localhost:3000'}/reset-password/${resetToken}`
+      });
+      await notificationService.sendEmail(user.email, subject, notificationService.formatEmailContent(body, user));
     } catch (error) {
       console.error('Failed to send reset email:', error);
     }
@@ -1,21 +1,27 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
 import Book from '../models/Book.js';
+import BookCopy from '../models/BookCopy.js';
 import { 
   authenticateToken, 
   requireRole, 
   canManageBooks, 
   canAccessBookType,
+  optionalAuth,
   logActivity 
 } from '../middleware/auth.js';
+import holdService from '../services/holdService.js';
 import QRCode from 'qrcode';
 
 const router = express.Router();
 
+// Audiences the requester may see; guests browse the whole catalogue
+const getVisibleAudiences = (user) => (user ? user.getVisibleAudiences() : ['junior', 'adult', 'all']);
+
 // @route   GET /api/books
 // @desc    Get all books (filtered by user role)
 // @access  Public (with role-based filtering)
-router.get('/', async (req, res) => {
+router.get('/', optionalAuth, async (req, res) => {
   try {
     const { 
       page = 1, 
@@ -33,17 +39,9 @@ router.get('/', async (req, res) => {
     const skip = (page - 1) * limit;
     let query = { isActive: true };
 
-    // Role-based filtering
-    if (req.headers.authorization) {
-      try {
-        // This is a simplified approach - in production, use proper JWT verification
-        const token = req.headers.authorization.split(' ')[1];
-        // For now, we'll allow all books for authenticated users
-        // In production, implement proper role checking
-      } catch (error) {
-        // Guest users see all books
-      }
-    }
+    // Role-based filtering: only audiences the user may see
+    const visibleAudiences = getVisibleAudiences(req.user);
+    query.audience = { $in: visibleAudiences.filter(a => !audience || a === audience) };
 
     // Add filters
     if (search) {
@@ -58,7 +56,6 @@ router.get('/', async (req, res) => {
     if (author) query.author = { $regex: author, $options: 'i' };
     if (subject) query.subject = { $regex: subject, $options: 'i' };
     if (bookType) query.bookType = bookType;
-    if (audience) query.audience = audience;
     if (available === 'true') query.availableCopies = { $gt: 0 };
     if (available === 'false') query.availableCopies = 0;
 
@@ -99,8 +96,8 @@ router.get('/', async (req, res) => {
 
 // @route   GET /api/books/:id
 // @desc    Get book by ID
-// @access  Public
-router.get('/:id', async (req, res) => {
+// @access  Public (with role-based filtering)
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -121,6 +118,13 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    if (!getVisibleAudiences(req.user).includes(book.audience)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied to ${book.audience} books`
+      });
+    }
+
     res.json({
       success: true,
       data: book
@@ -207,6 +211,9 @@ router.post('/', [
 
     await book.save();
 
+    // Create an item record with a barcode for every copy
+    const copies = await BookCopy.createCopies(book, totalCopies);
+
     res.status(201).json({
       success: true,
       message: 'Book added successfully',
@@ -215,7 +222,8 @@ router.post('/', [
         title: book.title,
         author: book.author,
         isbn: book.isbn,
-        qrCode: book.qrCode
+        qrCode: book.qrCode,
+        barcodes: copies.map(copy => copy.barcode)
       }
     });
 
@@ -263,16 +271,42 @@ router.put('/:id', [
       });
     }
 
-    // Update total copies and adjust available copies accordingly
-    if (updateData.totalCopies !== undefined) {
-      const difference = updateData.totalCopies - book.totalCopies;
-      updateData.availableCopies = Math.max(0, book.availableCopies + difference);
+    // Copy counters are derived from item records; add or withdraw copies instead
+    const { totalCopies, availableCopies, ...bookUpdates } = updateData;
+    if (totalCopies !== undefined) {
+      const difference = totalCopies - book.totalCopies;
+      let added = [];
+
+      if (difference > 0) {
+        added = await BookCopy.createCopies(book, difference);
+      } else if (difference < 0) {
+        const shelved = await BookCopy.find({ book: id, status: 'available' })
+          .sort({ acquiredAt: 1 })
+          .limit(-difference);
+
+        if (shelved.length < -difference) {
+          return res.status(400).json({
+            success: false,
+            message: 'Not enough copies on the shelf to withdraw'
+          });
+        }
+
+        await BookCopy.updateMany(
+          { _id: { $in: shelved.map(copy => copy._id) } },
+          { status: 'withdrawn', withdrawnAt: new Date() }
+        );
+      }
+
+      await Book.syncCopyCounts(id);
+
+      // New copies go to patrons waiting on holds before the shelf
+      await holdService.promoteToCopies(id, req.user._id, added.map(copy => copy._id));
     }
 
     // Update book
     const updatedBook = await Book.findByIdAndUpdate(
       id,
-      updateData,
+      bookUpdates,
       { new: true, runValidators: true }
     ).populate('addedBy', 'name role');
 
@@ -337,6 +371,181 @@ router.delete('/:id', [
   }
 });
 
+// @route   GET /api/books/:id/copies
+// @desc    Get item records for a book
+// @access  Private (Staff only)
+router.get('/:id/copies', [
+  authenticateToken,
+  requireRole('librarian', 'chief_librarian', 'admin'),
+  logActivity('book_copies_view', 'book')
+], async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.query;
+
+    const query = { book: id };
+    if (status) query.status = status;
+
+    const copies = await BookCopy.find(query)
+      .populate({
+        path: 'currentBorrow',
+        select: 'user type dueDate reservedUntil',
+        populate: { path: 'user', select: 'name email phone' }
+      })
+      .sort({ barcode: 1 });
+
+    res.json({
+      success: true,
+      data: copies
+    });
+
+  } catch (error) {
+    console.error('Get book copies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch book copies'
+    });
+  }
+});
+
+// @route   POST /api/books/:id/copies
+// @desc    Add a copy to a book
+// @access  Private (Chief Librarian/Admin only)
+router.post('/:id/copies', [
+  authenticateToken,
+  canManageBooks,
+  body('barcode').optional().trim().notEmpty(),
+  body('condition').optional().isIn(['new', 'good', 'fair', 'poor', 'damaged']).withMessage('Invalid condition'),
+  logActivity('book_copy_add', 'book')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { barcode, accessionNumber, condition, location, notes } = req.body;
+
+    const book = await Book.findById(id);
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book not found'
+      });
+    }
+
+    if (barcode && await BookCopy.exists({ barcode })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A copy with this barcode already exists'
+      });
+    }
+
+    const copy = await BookCopy.create({
+      book: id,
+      barcode: barcode || await BookCopy.generateBarcode(),
+      accessionNumber,
+      condition,
+      location: location || book.location,
+      notes
+    });
+
+    await Book.syncCopyCounts(id);
+
+    // A new copy goes to the next patron waiting on a hold
+    const promoted = await holdService.promoteToCopies(id, req.user._id, [copy._id]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Copy added successfully',
+      data: promoted.length > 0 ? await BookCopy.findById(copy._id) : copy
+    });
+
+  } catch (error) {
+    console.error('Add book copy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add copy'
+    });
+  }
+});
+
+// @route   PUT /api/books/copies/:copyId
+// @desc    Update a copy's condition, location or shelf status
+// @access  Private (Chief Librarian/Admin only)
+router.put('/copies/:copyId', [
+  authenticateToken,
+  canManageBooks,
+  body('condition').optional().isIn(['new', 'good', 'fair', 'poor', 'damaged']).withMessage('Invalid condition'),
+  body('status').optional().isIn(['available', 'in_repair', 'withdrawn']).withMessage('Invalid status'),
+  logActivity('book_copy_update', 'book')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { copyId } = req.params;
+    const { condition, location, status, notes } = req.body;
+
+    const copy = await BookCopy.findById(copyId);
+    if (!copy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Copy not found'
+      });
+    }
+
+    // Copies on loan or reserved are moved by the circulation routes
+    if (status && ['on_loan', 'reserved'].includes(copy.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot change the status of a copy that is on loan or reserved'
+      });
+    }
+
+    if (condition) copy.condition = condition;
+    if (location) copy.location = location;
+    if (notes !== undefined) copy.notes = notes;
+    const backOnShelf = status === 'available' && copy.status !== 'available';
+    if (status) {
+      copy.status = status;
+      copy.withdrawnAt = status === 'withdrawn' ? new Date() : null;
+    }
+
+    await copy.save();
+    await Book.syncCopyCounts(copy.book);
+
+    // A copy back from repair or withdrawal goes to the next waiting hold
+    const promoted = backOnShelf
+      ? await holdService.promoteToCopies(copy.book, req.user._id, [copy._id])
+      : [];
+
+    res.json({
+      success: true,
+      message: 'Copy updated successfully',
+      data: promoted.length > 0 ? await BookCopy.findById(copy._id) : copy
+    });
+
+  } catch (error) {
+    console.error('Update book copy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update copy'
+    });
+  }
+});
+
 // @route   POST /api/books/bulk-import
 // @desc    Bulk import books from Excel/CSV
 // @access  Private (Chief Librarian/Admin only)
@@ -394,12 +603,14 @@ router.post('/bulk-import', [
         // Create book
         const book = new Book({
           ...bookData,
+          availableCopies: bookData.totalCopies,
           qrCode,
           addedBy: req.user._id,
           isActive: true
         });
 
         await book.save();
+        await BookCopy.createCopies(book, book.totalCopies);
         results.successful++;
 
       } catch (error) {
@@ -498,8 +709,8 @@ router.get('/export', [
 
 // @route   GET /api/books/search/advanced
 // @desc    Advanced book search
-// @access  Public
-router.get('/search/advanced', async (req, res) => {
+// @access  Public (with role-based filtering)
+router.get('/search/advanced', optionalAuth, async (req, res) => {
   try {
     const { 
       query, 
@@ -528,6 +739,9 @@ router.get('/search/advanced', async (req, res) => {
       }
     }
 
+    // Role-based filtering always wins over client filters
+    searchQuery.audience = { $in: getVisibleAudiences(req.user) };
+
     // Build sort object
     let sort = {};
     if (sortBy === 'relevance' && query) {
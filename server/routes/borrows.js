@@ -2,7 +2,11 @@ import express from 'express';
 import { body, validationResult } from 'express-validator';
 import Borrow from '../models/Borrow.js';
 import Book from '../models/Book.js';
+import BookCopy from '../models/BookCopy.js';
 import User from '../models/User.js';
+import Hold from '../models/Hold.js';
+import SystemConfig from '../models/SystemConfig.js';
+import AuditLog from '../models/AuditLog.js';
 import { 
   authenticateToken, 
   requireRole, 
@@ -10,9 +14,17 @@ import {
   logActivity 
 } from '../middleware/auth.js';
 import notificationService from '../services/notificationService.js';
+import holdService from '../services/holdService.js';
+import fineService from '../services/fineService.js';
+import calendarService from '../services/calendarService.js';
+import eligibilityService from '../services/eligibilityService.js';
+import { withTransaction } from '../config/db.js';
 
 const router = express.Router();
 
+// Error for a circulation rule that failed inside a transaction
+const circulationError = (message, status = 409) => Object.assign(new Error(message), { status });
+
 // @route   GET /api/borrows
 // @desc    Get borrows (filtered by user role)
 // @access  Private
@@ -68,7 +80,7 @@ router.get('/', [
 });
 
 // @route   POST /api/borrows/reserve
-// @desc    Reserve a book
+// @desc    Reserve a book, or join its hold queue when no copy is available
 // @access  Private (Staff only)
 router.post('/reserve', [
   authenticateToken,
@@ -98,9 +110,9 @@ router.post('/reserve', [
       });
     }
 
-    // Check if book exists and is available
+    // Check if book exists
     const book = await Book.findById(bookId);
-    if (!book || !book.isActive || book.availableCopies === 0) {
+    if (!book || !book.isActive) {
       return res.status(400).json({
         success: false,
         message: 'Book not available for reservation'
@@ -122,24 +134,80 @@ router.post('/reserve', [
       });
     }
 
-    // Create reservation
-    const borrow = new Borrow({
-      user: userId,
-      book: bookId,
-      type: 'reservation',
-      issuedBy: req.user._id,
-      notes
+    // Set a copy aside and create the reservation together
+    const holdHours = await holdService.getReservationHoldHours();
+    const reserved = await withTransaction(async (session) => {
+      const copy = await BookCopy.findOneAndUpdate(
+        { book: bookId, status: 'available' },
+        { status: 'reserved' },
+        { new: true, session }
+      );
+      if (!copy) return null;
+
+      const [borrow] = await Borrow.create([{
+        user: userId,
+        book: bookId,
+        copy: copy._id,
+        type: 'reservation',
+        reservedUntil: new Date(Date.now() + holdHours * 60 * 60 * 1000),
+        issuedBy: req.user._id,
+        notes
+      }], { session });
+
+      copy.currentBorrow = borrow._id;
+      await copy.save({ session });
+      await Book.syncCopyCounts(bookId, session);
+
+      return { copy, borrow };
     });
 
-    await borrow.save();
+    // No copy on the shelf: join the hold queue instead
+    if (!reserved) {
+      let holdResult;
+      try {
+        holdResult = await holdService.placeHold(userId, bookId, req.user._id, notes);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      const { hold, position, estimatedAvailableAt } = holdResult;
+
+      try {
+        await notificationService.sendNotification({
+          user,
+          type: 'hold_placed',
+          variables: { bookTitle: book.title, position },
+          channels: ['email', 'sms'],
+          priority: 'low'
+        });
+      } catch (error) {
+        console.error('Failed to send hold notification:', error);
+      }
+
+      return res.status(202).json({
+        success: true,
+        message: 'No copies available. User added to the hold queue',
+        data: {
+          holdId: hold._id,
+          userId: user.name,
+          bookTitle: book.title,
+          queuePosition: position,
+          estimatedAvailableAt
+        }
+      });
+    }
+
+    const { copy, borrow } = reserved;
 
     // Send reservation notification
     try {
       await notificationService.sendNotification({
         user,
         type: 'reservation_created',
-        title: 'Book Reserved',
-        message: `Your reservation for "${book.title}" has been created. Please collect it within 24 hours.`,
+        variables: { bookTitle: book.title, holdHours },
         channels: ['email', 'sms'],
         priority: 'medium'
       });
@@ -154,6 +222,7 @@ router.post('/reserve', [
         reservationId: borrow._id,
         userId: user.name,
         bookTitle: book.title,
+        barcode: copy.barcode,
         reservedUntil: borrow.reservedUntil
       }
     });
@@ -168,14 +237,18 @@ router.post('/reserve', [
 });
 
 // @route   POST /api/borrows/issue
-// @desc    Issue a book to user
+// @desc    Issue a book copy to user (any available copy when no barcode is given)
 // @access  Private (Staff only)
 router.post('/issue', [
   authenticateToken,
   requireRole('librarian', 'chief_librarian', 'admin'),
   body('userId').notEmpty().withMessage('User ID is required'),
   body('bookId').notEmpty().withMessage('Book ID is required'),
-  body('dueDate').isISO8601().withMessage('Valid due date is required'),
+  body('dueDate').optional().isISO8601().withMessage('Valid due date is required'),
+  body('overrideAudience').optional().isBoolean().toBoolean(),
+  body('overrideReason').if(body('overrideAudience').equals('true')).trim().notEmpty().withMessage('Override reason is required'),
+  body('overrideBlock').optional().isBoolean().toBoolean(),
+  body('overrideBlockReason').if(body('overrideBlock').equals('true')).trim().notEmpty().withMessage('Block override reason is required'),
   logActivity('book_issue', 'borrow')
 ], async (req, res) => {
   try {
@@ -188,7 +261,10 @@ router.post('/issue', [
       });
     }
 
-    const { userId, bookId, dueDate, notes } = req.body;
+    const {
+      userId, bookId, barcode, dueDate, notes,
+      overrideAudience, overrideReason, overrideBlock, overrideBlockReason
+    } = req.body;
 
     // Check if user exists and is active
     const user = await User.findById(userId);
@@ -199,15 +275,30 @@ router.post('/issue', [
       });
     }
 
-    // Check if book exists and is available
+    // Check if book exists
     const book = await Book.findById(bookId);
-    if (!book || !book.isActive || book.availableCopies === 0) {
+    if (!book || !book.isActive) {
       return res.status(400).json({
         success: false,
         message: 'Book not available for borrowing'
       });
     }
 
+    // A copy already set aside for this user's reservation can be issued
+    const reservation = await Borrow.findOne({
+      user: userId,
+      book: bookId,
+      type: 'reservation',
+      status: 'active'
+    }).populate('copy');
+
+    if (reservation && reservation.copy && barcode && reservation.copy.barcode !== barcode) {
+      return res.status(400).json({
+        success: false,
+        message: `Copy ${reservation.copy.barcode} is reserved for this user`
+      });
+    }
+
     // Check if book is borrowable
     if (!book.isBorrowable) {
       return res.status(400).json({
@@ -216,55 +307,186 @@ router.post('/issue', [
       });
     }
 
-    // Check user's borrowing limits
-    if (user.currentBooksBorrowed >= user.maxBooksAllowed) {
-      return res.status(400).json({
+    // Junior members only borrow junior material unless staff override this loan
+    const audienceOverridden = !user.canAccessBookType(book.audience);
+    if (audienceOverridden && !overrideAudience) {
+      return res.status(403).json({
         success: false,
-        message: 'User has reached maximum borrowing limit'
+        message: `This book is for ${book.audience} readers. Set overrideAudience with a reason to issue it anyway`
       });
     }
 
-    // Check if user has outstanding fines
-    if (user.fineBalance > 0) {
+    // Check the loan limit and the fine and overdue block rules. Staff can
+    // override the fine and overdue blocks for this loan with a reason.
+    const eligibility = await eligibilityService.checkBorrowing(user);
+    const blockOverridden = !eligibility.eligible;
+    if (!eligibility.eligible && (!overrideBlock || !eligibility.overridable)) {
+      const reasons = eligibility.blocks.map(block => block.message).join('; ');
       return res.status(400).json({
         success: false,
-        message: 'User has outstanding fines and cannot borrow books'
+        message: eligibility.overridable
+          ? `User cannot borrow: ${reasons}. Set overrideBlock with a reason to issue anyway`
+          : `User cannot borrow: ${reasons}`,
+        data: { blocks: eligibility.blocks }
       });
     }
 
-    // Create borrow record
-    const borrow = new Borrow({
-      user: userId,
-      book: bookId,
-      type: 'borrowed',
-      borrowedAt: new Date(),
-      dueDate: new Date(dueDate),
-      issuedBy: req.user._id,
-      notes
-    });
+    // Due dates never fall on a day the library is closed
+    const loanDueDate = dueDate
+      ? await calendarService.rollForwardDueDate(new Date(dueDate))
+      : await calendarService.computeDueDate(book.maxBorrowDays);
 
-    await borrow.save();
+    // Claim the copy, count the loan and create it in one transaction so
+    // concurrent issues of the last copy cannot both succeed
+    let borrow, copy;
+    try {
+      ({ borrow, copy } = await withTransaction(async (session) => {
+        // Without a transaction (standalone MongoDB) nothing is rolled back,
+        // so each step records how to undo itself if a later one fails
+        const undo = [];
 
-    // Update book availability
-    await book.updateAvailableCopies(-1);
+        try {
+          // Count the loan only while the user is under their limit. This
+          // comes first so a user at the limit claims nothing.
+          const counted = await User.findOneAndUpdate(
+            { _id: userId, $expr: { $lt: ['$currentBooksBorrowed', '$maxBooksAllowed'] } },
+            { $inc: { currentBooksBorrowed: 1 } },
+            { new: true, session }
+          );
+          if (!counted) {
+            throw circulationError('User has reached maximum borrowing limit', 400);
+          }
+          undo.push(() => User.updateOne({ _id: userId }, { $inc: { currentBooksBorrowed: -1 } }));
 
-    // Update user's borrowed count
-    await User.findByIdAndUpdate(userId, {
-      $inc: { currentBooksBorrowed: 1 }
-    });
+          // Take the reserved copy. The reservation is claimed atomically so
+          // the expiry sweeper cannot release it meanwhile.
+          let claimedReservation = null;
+          let loanCopy = null;
+          if (reservation) {
+            claimedReservation = await Borrow.findOneAndUpdate(
+              { _id: reservation._id, status: 'active' },
+              { status: 'completed' },
+              { new: true, session }
+            );
+            if (claimedReservation) {
+              undo.push(() => Borrow.updateOne({ _id: claimedReservation._id }, { status: 'active' }));
+            }
+            if (claimedReservation && claimedReservation.copy) {
+              loanCopy = await BookCopy.findOneAndUpdate(
+                { _id: claimedReservation.copy, status: 'reserved', currentBorrow: claimedReservation._id },
+                { status: 'on_loan' },
+                { new: true, session }
+              );
+              if (loanCopy) {
+                undo.push(() => BookCopy.updateOne(
+                  { _id: loanCopy._id },
+                  { status: 'reserved', currentBorrow: claimedReservation._id }
+                ));
+              }
+            }
+          }
 
-    // Send due date reminder (scheduled)
-    try {
-      // Schedule reminder for 2 days before due date
-      const reminderDate = new Date(dueDate);
-      reminderDate.setDate(reminderDate.getDate() - 2);
-      
-      // This would be handled by a scheduled task
-      console.log(`Scheduling reminder for ${user.name} on ${reminderDate}`);
+          // Otherwise claim the scanned copy, or any available one
+          if (!loanCopy) {
+            const copyQuery = { book: bookId, status: 'available' };
+            if (barcode) copyQuery.barcode = barcode;
+
+            loanCopy = await BookCopy.findOneAndUpdate(copyQuery, { status: 'on_loan' }, { new: true, session });
+            if (!loanCopy) {
+              throw circulationError(barcode ? `Copy ${barcode} is not available for borrowing` : 'Book not available for borrowing', 400);
+            }
+            const claimedCopyId = loanCopy._id;
+            undo.push(() => BookCopy.updateOne({ _id: claimedCopyId }, { status: 'available', currentBorrow: null }));
+          }
+
+          // Create borrow record
+          const [loan] = await Borrow.create([{
+            user: userId,
+            book: bookId,
+            copy: loanCopy._id,
+            type: 'borrowed',
+            borrowedAt: new Date(),
+            dueDate: loanDueDate,
+            issuedBy: req.user._id,
+            notes
+          }], { session });
+          undo.push(() => Borrow.deleteOne({ _id: loan._id }));
+
+          loanCopy.currentBorrow = loan._id;
+          await loanCopy.save({ session });
+
+          if (claimedReservation) {
+            const hold = await holdService.fulfilHoldForReservation(claimedReservation._id, session);
+            if (hold) {
+              undo.push(() => Hold.updateOne({ _id: hold._id }, { status: 'ready' }));
+            }
+          }
+
+          if (audienceOverridden) {
+            await AuditLog.create([{
+              user: req.user._id,
+              action: 'audience_override',
+              entity: 'borrow',
+              entityId: loan._id,
+              details: `${req.user.name} issued ${book.audience} book "${book.title}" to ${user.name} (${user.role}): ${overrideReason}`,
+              ipAddress: req.ip || req.connection.remoteAddress,
+              userAgent: req.get('User-Agent'),
+              severity: 'medium',
+              metadata: {
+                bookId: book._id,
+                userId: user._id,
+                audience: book.audience,
+                reason: overrideReason
+              }
+            }], { session });
+          }
+
+          if (blockOverridden) {
+            await AuditLog.create([{
+              user: req.user._id,
+              action: 'borrowing_block_override',
+              entity: 'borrow',
+              entityId: loan._id,
+              details: `${req.user.name} issued "${book.title}" to blocked member ${user.name} (${eligibility.blocks.map(block => block.rule).join(', ')}): ${overrideBlockReason}`,
+              ipAddress: req.ip || req.connection.remoteAddress,
+              userAgent: req.get('User-Agent'),
+              severity: 'medium',
+              metadata: {
+                bookId: book._id,
+                userId: user._id,
+                blocks: eligibility.blocks.map(block => block.rule),
+                fineBalance: eligibility.status.fineBalance,
+                overdueItems: eligibility.status.overdueItems,
+                reason: overrideBlockReason
+              }
+            }], { session });
+          }
+
+          await Book.findByIdAndUpdate(bookId, { $inc: { totalBorrows: 1, currentBorrows: 1 } }, { session });
+          undo.push(() => Book.updateOne({ _id: bookId }, { $inc: { totalBorrows: -1, currentBorrows: -1 } }));
+          await Book.syncCopyCounts(bookId, session);
+
+          return { borrow: loan, copy: loanCopy };
+        } catch (error) {
+          if (!session) {
+            for (const step of undo.reverse()) {
+              await step().catch(undoError => console.error('Failed to undo book issue step:', undoError));
+            }
+            await Book.syncCopyCounts(bookId).catch(syncError => console.error('Failed to resync copy counts:', syncError));
+          }
+          throw error;
+        }
+      }));
     } catch (error) {
-      console.error('Failed to schedule reminder:', error);
+      if (!error.status) throw error;
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
     }
 
+    // Due date reminders are sent by the daily reminder job
+
     res.status(201).json({
       success: true,
       message: 'Book issued successfully',
@@ -272,8 +494,11 @@ router.post('/issue', [
         borrowId: borrow._id,
         userId: user.name,
         bookTitle: book.title,
+        barcode: copy.barcode,
         dueDate: borrow.dueDate,
-        issuedBy: req.user.name
+        issuedBy: req.user.name,
+        audienceOverridden,
+        blockOverridden
       }
     });
 
@@ -287,12 +512,12 @@ router.post('/issue', [
 });
 
 // @route   POST /api/borrows/return
-// @desc    Return a borrowed book
+// @desc    Return a borrowed book by borrow ID or copy barcode
 // @access  Private (Staff only)
 router.post('/return', [
   authenticateToken,
   requireRole('librarian', 'chief_librarian', 'admin'),
-  body('borrowId').notEmpty().withMessage('Borrow ID is required'),
+  body('borrowId').if(body('barcode').not().exists()).notEmpty().withMessage('Borrow ID or barcode is required'),
   logActivity('book_return', 'borrow')
 ], async (req, res) => {
   try {
@@ -305,12 +530,24 @@ router.post('/return', [
       });
     }
 
-    const { borrowId, notes } = req.body;
+    const { borrowId, barcode, notes } = req.body;
+
+    // Find borrow record, either directly or through the scanned copy
+    let borrowQuery = { _id: borrowId };
+    if (!borrowId) {
+      const scannedCopy = await BookCopy.findOne({ barcode });
+      if (!scannedCopy || !scannedCopy.currentBorrow) {
+        return res.status(404).json({
+          success: false,
+          message: 'No active loan found for this copy'
+        });
+      }
+      borrowQuery = { _id: scannedCopy.currentBorrow };
+    }
 
-    // Find borrow record
-    const borrow = await Borrow.findById(borrowId)
+    const borrow = await Borrow.findOne(borrowQuery)
       .populate('user', 'name currentBooksBorrowed')
-      .populate('book', 'title');
+      .populate('book');
 
     if (!borrow) {
       return res.status(404).json({
@@ -326,25 +563,94 @@ router.post('/return', [
       });
     }
 
-    // Update borrow record
-    borrow.status = 'completed';
-    borrow.returnedAt = new Date();
-    borrow.returnedBy = req.user._id;
-    if (notes) borrow.notes = notes;
-    await borrow.save();
+    if (!['borrowed', 'overdue'].includes(borrow.type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only loans can be returned'
+      });
+    }
+
+    // Finalize the overdue fine, close the loan and release its copy and
+    // counters together
+    let result;
+    try {
+      result = await withTransaction(async (session) => {
+        const overdue = borrow.dueDate && new Date() > borrow.dueDate
+          ? await fineService.finalizeOverdueFine(borrow._id, req.user._id, session)
+          : { fine: null, created: false };
+        const { fine } = overdue;
 
-    // Update book availability
-    await borrow.book.updateAvailableCopies(1);
+        const completed = await Borrow.findOneAndUpdate(
+          { _id: borrow._id, status: { $in: ['active', 'overdue'] } },
+          {
+            status: 'completed',
+            returnedAt: new Date(),
+            returnedBy: req.user._id,
+            ...(notes && { notes }),
+            ...(fine && { fineAmount: fine.amount })
+          },
+          { new: true, session }
+        );
+        if (!completed) {
+          throw circulationError('Book has already been returned', 400);
+        }
+        borrow.returnedAt = completed.returnedAt;
 
-    // Update user's borrowed count
-    await User.findByIdAndUpdate(borrow.user._id, {
-      $inc: { currentBooksBorrowed: -1 }
-    });
+        // A copy assessed as damaged during the loan goes for repair;
+        // otherwise hand it to the next hold in the queue, or back to the shelf
+        const needsRepair = borrow.copy
+          ? await BookCopy.exists({ _id: borrow.copy, condition: 'damaged' }).session(session)
+          : null;
+        let promotedHold = null;
+        if (needsRepair) {
+          await BookCopy.findOneAndUpdate(
+            { _id: borrow.copy, currentBorrow: borrow._id },
+            { status: 'in_repair', currentBorrow: null },
+            { session }
+          );
+        } else {
+          promotedHold = await holdService.promoteNextHold(borrow.book._id, req.user._id, borrow.copy, session);
+          if (!promotedHold && borrow.copy) {
+            await BookCopy.findOneAndUpdate(
+              { _id: borrow.copy, currentBorrow: borrow._id },
+              { status: 'available', currentBorrow: null },
+              { session }
+            );
+          }
+        }
+
+        await User.findOneAndUpdate(
+          { _id: borrow.user._id, currentBooksBorrowed: { $gt: 0 } },
+          { $inc: { currentBooksBorrowed: -1 } },
+          { session }
+        );
+        await Book.findOneAndUpdate(
+          { _id: borrow.book._id, currentBorrows: { $gt: 0 } },
+          { $inc: { currentBorrows: -1 } },
+          { session }
+        );
+        await Book.syncCopyCounts(borrow.book._id, session);
 
-    // Check if book was overdue and create fine if necessary
-    if (borrow.dueDate && new Date() > borrow.dueDate) {
-      // This would trigger fine creation
-      console.log(`Book "${borrow.book.title}" returned overdue by ${borrow.user.name}`);
+        return { promoted: promotedHold, ...overdue };
+      });
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const { promoted, fine, created } = result;
+
+    await holdService.notifyPromotion(promoted);
+
+    if (created) {
+      try {
+        await notificationService.sendFineNotice(fine);
+      } catch (error) {
+        console.error('Failed to send overdue fine notice:', error);
+      }
     }
 
     res.json({
@@ -355,7 +661,20 @@ router.post('/return', [
         userId: borrow.user.name,
         bookTitle: borrow.book.title,
         returnedAt: borrow.returnedAt,
-        returnedBy: req.user.name
+        returnedBy: req.user.name,
+        fine: fine ? {
+          fineId: fine._id,
+          amount: fine.amount,
+          overdueDays: fine.overdueDays,
+          status: fine.status,
+          dueDate: fine.dueDate
+        } : null,
+        heldFor: promoted ? {
+          holdId: promoted.hold._id,
+          reservationId: promoted.reservation._id,
+          userId: promoted.hold.user.name,
+          reservedUntil: promoted.reservation.reservedUntil
+        } : null
       }
     });
 
@@ -368,6 +687,452 @@ router.post('/return', [
   }
 });
 
+// @route   POST /api/borrows/:id/renew
+// @desc    Renew a loan, extending its due date by the book's loan period
+// @access  Private (Staff or borrower)
+router.post('/:id/renew', [
+  authenticateToken,
+  logActivity('book_renewal', 'borrow')
+], async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const borrow = await Borrow.findById(id)
+      .populate('user', 'name email phone fineBalance status')
+      .populate('book', 'title maxBorrowDays');
+
+    if (!borrow) {
+      return res.status(404).json({
+        success: false,
+        message: 'Borrow record not found'
+      });
+    }
+
+    // Members can only renew their own loans
+    const isStaff = ['librarian', 'chief_librarian', 'admin'].includes(req.user.role);
+    if (!isStaff && borrow.user._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only renew your own loans'
+      });
+    }
+
+    if (!['borrowed', 'overdue'].includes(borrow.type) || !['active', 'overdue'].includes(borrow.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only active loans can be renewed'
+      });
+    }
+
+    if (!borrow.book.maxBorrowDays || borrow.book.maxBorrowDays <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This book type cannot be renewed'
+      });
+    }
+
+    // Check renewal limit
+    const maxRenewals = Number(await SystemConfig.getValue('max_renewals', 2));
+    if (borrow.renewalCount >= maxRenewals) {
+      return res.status(400).json({
+        success: false,
+        message: `Loan has reached the maximum of ${maxRenewals} renewal(s)`
+      });
+    }
+
+    // Overdue loans must be returned; their fine is settled at check-in
+    if (borrow.status === 'overdue' || borrow.isOverdue()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Overdue loans cannot be renewed'
+      });
+    }
+
+    // Check if user has outstanding fines
+    if (borrow.user.fineBalance > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'User has outstanding fines and cannot renew books'
+      });
+    }
+
+    // Patrons waiting in the hold queue take priority
+    const waitingHolds = await Hold.countDocuments({ book: borrow.book._id, status: 'waiting' });
+    if (waitingHolds > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This book has a waiting hold and cannot be renewed'
+      });
+    }
+
+    // Extend from today, never shortening the current loan
+    const extended = await calendarService.computeDueDate(borrow.book.maxBorrowDays);
+    const newDueDate = borrow.dueDate && borrow.dueDate > extended ? borrow.dueDate : extended;
+
+    await borrow.renew(newDueDate, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Loan renewed successfully',
+      data: {
+        borrowId: borrow._id,
+        userId: borrow.user.name,
+        bookTitle: borrow.book.title,
+        dueDate: borrow.dueDate,
+        renewalCount: borrow.renewalCount,
+        renewalsRemaining: Math.max(0, maxRenewals - borrow.renewalCount),
+        renewedBy: req.user.name
+      }
+    });
+
+  } catch (error) {
+    console.error('Renew loan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to renew loan'
+    });
+  }
+});
+
+// @route   POST /api/borrows/:id/lost
+// @desc    Declare a borrowed book lost, charge the replacement fine and withdraw the copy
+// @access  Private (Staff only)
+router.post('/:id/lost', [
+  authenticateToken,
+  requireRole('librarian', 'chief_librarian', 'admin'),
+  body('replacementCost').optional().isFloat({ min: 0 }).withMessage('Replacement cost must be a positive number'),
+  logActivity('book_lost', 'borrow')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { replacementCost } = req.body;
+
+    const borrow = await Borrow.findById(id);
+    if (!borrow) {
+      return res.status(404).json({
+        success: false,
+        message: 'Borrow record not found'
+      });
+    }
+
+    const fine = await fineService.createLostBookFine(
+      id,
+      req.user._id,
+      replacementCost !== undefined ? Number(replacementCost) : null
+    );
+
+    res.json({
+      success: true,
+      message: 'Book declared lost',
+      data: {
+        borrowId: borrow._id,
+        copyId: borrow.copy,
+        declaredBy: req.user.name,
+        fine: {
+          fineId: fine._id,
+          amount: fine.amount,
+          replacementCost: fine.bookValue,
+          dueDate: fine.dueDate
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Declare lost error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to declare book lost'
+    });
+  }
+});
+
+// @route   POST /api/borrows/:id/damage
+// @desc    Assess damage on a borrowed copy with a condition grade and a charge
+// @access  Private (Staff only)
+router.post('/:id/damage', [
+  authenticateToken,
+  requireRole('librarian', 'chief_librarian', 'admin'),
+  body('condition').isIn(['new', 'good', 'fair', 'poor', 'damaged']).withMessage('Valid condition grade is required'),
+  body('amount').isFloat({ min: 0 }).withMessage('Damage charge must be a positive number'),
+  logActivity('book_damage_assessment', 'borrow')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { condition, amount, notes } = req.body;
+
+    const borrow = await Borrow.findById(id);
+    if (!borrow) {
+      return res.status(404).json({
+        success: false,
+        message: 'Borrow record not found'
+      });
+    }
+
+    const fine = await fineService.createDamageFine(id, req.user._id, condition, Number(amount), notes);
+
+    res.json({
+      success: true,
+      message: fine ? 'Damage assessed and fine charged' : 'Damage assessed',
+      data: {
+        borrowId: borrow._id,
+        copyId: borrow.copy,
+        condition,
+        assessedBy: req.user.name,
+        fine: fine ? {
+          fineId: fine._id,
+          amount: fine.amount,
+          dueDate: fine.dueDate
+        } : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Damage assessment error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to assess damage'
+    });
+  }
+});
+
+// @route   POST /api/borrows/:id/found
+// @desc    Check in a book that was declared lost, reversing its fine and restoring the copy
+// @access  Private (Staff only)
+router.post('/:id/found', [
+  authenticateToken,
+  requireRole('librarian', 'chief_librarian', 'admin'),
+  logActivity('lost_book_found', 'borrow')
+], async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { notes } = req.body;
+
+    const borrow = await Borrow.findById(id);
+    if (!borrow) {
+      return res.status(404).json({
+        success: false,
+        message: 'Borrow record not found'
+      });
+    }
+
+    // Close the lost record, reverse the fine and return the copy to stock together
+    let result;
+    try {
+      result = await withTransaction(async (session) => {
+        const found = await Borrow.findOneAndUpdate(
+          { _id: id, type: 'lost', isLost: true },
+          {
+            isLost: false,
+            type: 'returned',
+            foundAt: new Date(),
+            foundBy: req.user._id,
+            returnedAt: new Date(),
+            returnedBy: req.user._id,
+            ...(notes && { notes })
+          },
+          { new: true, session }
+        );
+        if (!found) {
+          throw circulationError('Loan is not marked as lost', 400);
+        }
+
+        const fine = await fineService.reverseLostBookFine(id, req.user._id, session);
+
+        // The copy comes back into stock for the next hold, or the shelf
+        let promotedHold = null;
+        if (found.copy) {
+          const restored = await BookCopy.findOneAndUpdate(
+            { _id: found.copy, status: 'lost' },
+            { status: 'available', currentBorrow: null, withdrawnAt: null },
+            { new: true, session }
+          );
+          if (restored) {
+            promotedHold = await holdService.promoteNextHold(found.book, req.user._id, restored._id, session);
+          }
+          await Book.syncCopyCounts(found.book, session);
+        }
+
+        return { found, fine, promotedHold };
+      });
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const { found, fine, promotedHold } = result;
+
+    await holdService.notifyPromotion(promotedHold);
+
+    try {
+      await notificationService.sendLostBookFoundNotice(found, fine);
+    } catch (error) {
+      console.error('Failed to send lost book found notice:', error);
+    }
+
+    res.json({
+      success: true,
+      message: 'Lost book checked in',
+      data: {
+        borrowId: found._id,
+        copyId: found.copy,
+        foundAt: found.foundAt,
+        foundBy: req.user.name,
+        fine: fine ? {
+          fineId: fine._id,
+          amount: fine.amount,
+          status: fine.status,
+          creditedAmount: fine.creditedAmount
+        } : null,
+        heldFor: promotedHold ? {
+          holdId: promotedHold.hold._id,
+          reservationId: promotedHold.reservation._id,
+          userId: promotedHold.hold.user.name,
+          reservedUntil: promotedHold.reservation.reservedUntil
+        } : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Lost book found error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check in lost book'
+    });
+  }
+});
+
+// @route   GET /api/borrows/holds
+// @desc    Get holds with queue positions (filtered by user role)
+// @access  Private
+router.get('/holds', [
+  authenticateToken,
+  logActivity('hold_list_view', 'borrow')
+], async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'waiting', bookId } = req.query;
+    const skip = (page - 1) * limit;
+
+    let query = {};
+
+    // Filter by user role
+    if (['junior_member', 'adult_member'].includes(req.user.role)) {
+      query.user = req.user._id;
+    }
+
+    if (status) query.status = status;
+    if (bookId) query.book = bookId;
+
+    const holds = await Hold.find(query)
+      .populate('user', 'name email phone')
+      .populate('book', 'title author totalCopies availableCopies')
+      .populate('reservation', 'reservedUntil status')
+      .sort({ queuedAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Hold.countDocuments(query);
+
+    const holdsWithPosition = await Promise.all(holds.map(async hold => {
+      const position = await hold.getQueuePosition();
+      return {
+        ...hold.toObject(),
+        queuePosition: position,
+        estimatedAvailableAt: position > 0
+          ? await holdService.estimateAvailability(hold.book._id, position)
+          : null
+      };
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        holds: holdsWithPosition,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalHolds: total,
+          hasNext: skip + holds.length < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get holds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch holds'
+    });
+  }
+});
+
+// @route   DELETE /api/borrows/holds/:id
+// @desc    Cancel a waiting hold
+// @access  Private (Staff or hold owner)
+router.delete('/holds/:id', [
+  authenticateToken,
+  logActivity('hold_cancel', 'borrow')
+], async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const hold = await Hold.findById(id);
+    if (!hold) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hold not found'
+      });
+    }
+
+    const isStaff = ['librarian', 'chief_librarian', 'admin'].includes(req.user.role);
+    if (!isStaff && hold.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only cancel your own holds'
+      });
+    }
+
+    await holdService.cancelHold(id, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Hold cancelled successfully',
+      data: {
+        holdId: hold._id,
+        cancelledBy: req.user.name
+      }
+    });
+
+  } catch (error) {
+    console.error('Cancel hold error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to cancel hold'
+    });
+  }
+});
+
 // @route   GET /api/borrows/overdue
 // @desc    Get overdue books
 // @access  Private (Staff only)
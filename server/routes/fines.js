@@ -1,6 +1,11 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
 import Fine from '../models/Fine.js';
+import InstalmentPlan from '../models/InstalmentPlan.js';
+import CashierSession from '../models/CashierSession.js';
+import Receipt from '../models/Receipt.js';
+import AmnestyCampaign from '../models/AmnestyCampaign.js';
+import Refund from '../models/Refund.js';
 import { 
   authenticateToken, 
   requireRole, 
@@ -8,9 +13,25 @@ import {
   logActivity 
 } from '../middleware/auth.js';
 import fineService from '../services/fineService.js';
+import instalmentService from '../services/instalmentService.js';
+import cashierService from '../services/cashierService.js';
+import receiptService from '../services/receiptService.js';
+import amnestyService from '../services/amnestyService.js';
+import refundService from '../services/refundService.js';
 
 const router = express.Router();
 
+// Counter payments and refunds go through the staff member's open cashier
+// session. Cash cannot move without one, as it has to be counted back at
+// close-out.
+const resolveCashierSession = async (user, paymentMethod) => {
+  const session = await cashierService.getOpenSession(user._id);
+  if (!session && paymentMethod === 'cash') {
+    throw new Error('Open a cashier session before handling cash');
+  }
+  return session ? session._id : null;
+};
+
 // @route   GET /api/fines
 // @desc    Get fines (filtered by user role)
 // @access  Private
@@ -65,12 +86,14 @@ router.get('/', [
   }
 });
 
-// @route   POST /api/fines/:id/pay
-// @desc    Pay a fine
+// @route   POST /api/fines/pay
+// @desc    Take a payment from a user, allocated to their fines oldest first
 // @access  Private (Staff only)
-router.post('/:id/pay', [
+router.post('/pay', [
   authenticateToken,
   canManageFines,
+  body('userId').isMongoId().withMessage('Valid user ID is required'),
+  body('amount').isFloat({ min: 1 }).withMessage('Amount must be at least KES 1'),
   body('paymentMethod').isIn(['cash', 'mpesa', 'bank']).withMessage('Valid payment method is required'),
   logActivity('fine_payment', 'fine')
 ], async (req, res) => {
@@ -84,19 +107,922 @@ router.post('/:id/pay', [
       });
     }
 
-    const { id } = req.params;
-    const { paymentMethod, receiptNumber, notes } = req.body;
+    const { userId, amount, paymentMethod, reference } = req.body;
+    const cashierSession = await resolveCashierSession(req.user, paymentMethod);
+
+    const result = await fineService.allocatePayment(userId, Number(amount), {
+      method: paymentMethod,
+      reference,
+      receivedBy: req.user._id,
+      cashierSession
+    });
+
+    res.json({
+      success: true,
+      message: 'Payment recorded successfully',
+      data: {
+        amount: result.amount,
+        paymentMethod,
+        reference,
+        receiptId: result.receipt._id,
+        receiptNumber: result.receipt.receiptNumber,
+        paidBy: req.user.name,
+        allocations: result.allocations.map(({ fine, amount: allocated }) => ({
+          fineId: fine._id,
+          allocated,
+          amountPaid: fine.amountPaid,
+          outstandingAmount: fine.outstandingAmount,
+          status: fine.status
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Record payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to record payment'
+    });
+  }
+});
+
+// @route   GET /api/fines/instalment-plans
+// @desc    Get instalment plans (filtered by user role)
+// @access  Private
+router.get('/instalment-plans', [
+  authenticateToken,
+  logActivity('instalment_plan_list_view', 'fine')
+], async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, userId } = req.query;
+    const skip = (page - 1) * limit;
+
+    let query = {};
+
+    // Filter by user role
+    if (['junior_member', 'adult_member'].includes(req.user.role)) {
+      query.user = req.user._id;
+    } else if (userId) {
+      query.user = userId;
+    }
+
+    if (status) query.status = status;
+
+    const plans = await InstalmentPlan.find(query)
+      .populate('user', 'name email phone')
+      .populate('createdBy', 'name role')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await InstalmentPlan.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        plans,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalPlans: total,
+          hasNext: skip + plans.length < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get instalment plans error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch instalment plans'
+    });
+  }
+});
+
+// @route   POST /api/fines/instalment-plans
+// @desc    Set up an instalment plan for a user's outstanding fines
+// @access  Private (Staff only)
+router.post('/instalment-plans', [
+  authenticateToken,
+  canManageFines,
+  body('userId').isMongoId().withMessage('Valid user ID is required'),
+  body('numberOfInstalments').isInt({ min: 2 }).withMessage('At least 2 instalments are required'),
+  body('frequency').optional().isIn(['weekly', 'fortnightly', 'monthly']).withMessage('Invalid frequency'),
+  body('startDate').optional().isISO8601().withMessage('Valid start date is required'),
+  body('fineIds').optional().isArray().withMessage('Fine IDs must be a list'),
+  logActivity('instalment_plan_create', 'fine')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { userId, numberOfInstalments, frequency, startDate, fineIds, notes } = req.body;
+
+    const plan = await instalmentService.createPlan(userId, {
+      numberOfInstalments: parseInt(numberOfInstalments),
+      frequency,
+      startDate,
+      fineIds,
+      notes
+    }, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Instalment plan created successfully',
+      data: plan
+    });
+
+  } catch (error) {
+    console.error('Create instalment plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to create instalment plan'
+    });
+  }
+});
+
+// @route   DELETE /api/fines/instalment-plans/:id
+// @desc    Cancel an instalment plan (the fines stay outstanding)
+// @access  Private (Staff only)
+router.delete('/instalment-plans/:id', [
+  authenticateToken,
+  canManageFines,
+  logActivity('instalment_plan_cancel', 'fine')
+], async (req, res) => {
+  try {
+    const plan = await instalmentService.cancelPlan(req.params.id, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Instalment plan cancelled',
+      data: plan
+    });
+
+  } catch (error) {
+    console.error('Cancel instalment plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to cancel instalment plan'
+    });
+  }
+});
+
+// @route   GET /api/fines/cashier-sessions
+// @desc    Get cashier sessions (staff see their own)
+// @access  Private (Staff only)
+router.get('/cashier-sessions', [
+  authenticateToken,
+  canManageFines,
+  logActivity('cashier_session_list_view', 'fine')
+], async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, cashierId, date } = req.query;
+    const skip = (page - 1) * limit;
+
+    let query = {};
+
+    if (['admin', 'chief_librarian'].includes(req.user.role)) {
+      if (cashierId) query.cashier = cashierId;
+    } else {
+      query.cashier = req.user._id;
+    }
+
+    if (status) query.status = status;
+
+    if (date) {
+      const start = new Date(date);
+      start.setHours(0, 0, 0, 0);
+      const end = new Date(start);
+      end.setDate(end.getDate() + 1);
+      query.openedAt = { $gte: start, $lt: end };
+    }
+
+    const sessions = await CashierSession.find(query)
+      .populate('cashier', 'name role')
+      .populate('closedBy', 'name role')
+      .sort({ openedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await CashierSession.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        sessions,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalSessions: total,
+          hasNext: skip + sessions.length < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get cashier sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch cashier sessions'
+    });
+  }
+});
+
+// @route   GET /api/fines/cashier-sessions/current
+// @desc    Get the current user's open cashier session with running totals
+// @access  Private (Staff only)
+router.get('/cashier-sessions/current', [
+  authenticateToken,
+  canManageFines
+], async (req, res) => {
+  try {
+    const session = await cashierService.getOpenSession(req.user._id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'No open cashier session'
+      });
+    }
+
+    const totals = await cashierService.getSessionTotals(session._id);
+
+    res.json({
+      success: true,
+      data: {
+        session,
+        ...totals
+      }
+    });
+
+  } catch (error) {
+    console.error('Get current cashier session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch cashier session'
+    });
+  }
+});
+
+// @route   POST /api/fines/cashier-sessions
+// @desc    Open a cashier session with an opening float
+// @access  Private (Staff only)
+router.post('/cashier-sessions', [
+  authenticateToken,
+  canManageFines,
+  body('openingFloat').optional().isFloat({ min: 0 }).withMessage('Opening float cannot be negative'),
+  logActivity('cashier_session_open', 'fine')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { openingFloat = 0, notes } = req.body;
+
+    const session = await cashierService.openSession(req.user._id, Number(openingFloat), notes);
+
+    res.status(201).json({
+      success: true,
+      message: 'Cashier session opened',
+      data: session
+    });
+
+  } catch (error) {
+    console.error('Open cashier session error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to open cashier session'
+    });
+  }
+});
+
+// @route   POST /api/fines/cashier-sessions/:id/close
+// @desc    Close a cashier session with the counted cash
+// @access  Private (Staff only)
+router.post('/cashier-sessions/:id/close', [
+  authenticateToken,
+  canManageFines,
+  body('countedCash').isFloat({ min: 0 }).withMessage('Counted cash is required'),
+  logActivity('cashier_session_close', 'fine')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const existing = await CashierSession.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cashier session not found'
+      });
+    }
+
+    // Staff close their own sessions; chief librarians and admins can close any
+    if (!existing.cashier.equals(req.user._id) && !['admin', 'chief_librarian'].includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only close your own cashier session'
+      });
+    }
+
+    const { countedCash, notes } = req.body;
+
+    const session = await cashierService.closeSession(existing._id, Number(countedCash), req.user._id, notes);
+
+    res.json({
+      success: true,
+      message: session.variance === 0
+        ? 'Cashier session closed and balanced'
+        : `Cashier session closed with a variance of KES ${session.variance}`,
+      data: session
+    });
+
+  } catch (error) {
+    console.error('Close cashier session error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to close cashier session'
+    });
+  }
+});
+
+// @route   GET /api/fines/receipts
+// @desc    Get payment and waiver receipts (filtered by user role)
+// @access  Private
+router.get('/receipts', [
+  authenticateToken,
+  logActivity('receipt_list_view', 'fine')
+], async (req, res) => {
+  try {
+    const { page = 1, limit = 20, type, userId } = req.query;
+    const skip = (page - 1) * limit;
+
+    let query = {};
+
+    // Filter by user role
+    if (['junior_member', 'adult_member'].includes(req.user.role)) {
+      query.user = req.user._id;
+    } else if (userId) {
+      query.user = userId;
+    }
+
+    if (type) query.type = type;
+
+    const receipts = await Receipt.find(query)
+      .populate('user', 'name email phone')
+      .populate('issuedBy', 'name role')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Receipt.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        receipts,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalReceipts: total,
+          hasNext: skip + receipts.length < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get receipts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch receipts'
+    });
+  }
+});
+
+// @route   GET /api/fines/receipts/:receiptNumber/pdf
+// @desc    Download a receipt as a PDF
+// @access  Private (own receipts, or staff)
+router.get('/receipts/:receiptNumber/pdf', [
+  authenticateToken,
+  logActivity('receipt_download', 'fine')
+], async (req, res) => {
+  try {
+    const receipt = await receiptService.getReceipt({ receiptNumber: req.params.receiptNumber });
+
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Receipt not found'
+      });
+    }
+
+    if (['junior_member', 'adult_member', 'guest'].includes(req.user.role) && !receipt.user._id.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const pdf = await receiptService.renderPdf(receipt);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=${receipt.receiptNumber}.pdf`);
+    res.send(pdf);
+
+  } catch (error) {
+    console.error('Download receipt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate receipt'
+    });
+  }
+});
+
+const amnestyValidation = (isUpdate = false) => [
+  (isUpdate ? body('name').optional() : body('name')).trim().notEmpty().withMessage('Campaign name is required'),
+  (isUpdate ? body('startDate').optional() : body('startDate')).isISO8601().withMessage('Valid start date is required'),
+  (isUpdate ? body('endDate').optional() : body('endDate')).isISO8601().withMessage('Valid end date is required'),
+  (isUpdate ? body('waiverPercentage').optional() : body('waiverPercentage')).isFloat({ min: 1, max: 100 }).withMessage('Waiver percentage must be between 1 and 100'),
+  body('fineTypes').optional().isArray().withMessage('Fine types must be a list'),
+  body('fineTypes.*').isIn(['overdue', 'lost', 'damaged', 'reservation_expired']).withMessage('Invalid fine type'),
+  body('roles').optional().isArray().withMessage('Roles must be a list'),
+  body('roles.*').isIn(['junior_member', 'adult_member', 'guest', 'librarian', 'chief_librarian', 'admin']).withMessage('Invalid role'),
+  body('schools').optional().isArray().withMessage('Schools must be a list')
+];
+
+const pickAmnestyFields = (body) => {
+  const fields = {};
+  ['name', 'description', 'startDate', 'endDate', 'fineTypes', 'roles', 'schools', 'waiverPercentage'].forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// @route   GET /api/fines/amnesty-campaigns
+// @desc    Get amnesty campaigns
+// @access  Private (Chief Librarian, Admin)
+router.get('/amnesty-campaigns', [
+  authenticateToken,
+  requireRole('chief_librarian', 'admin')
+], async (req, res) => {
+  try {
+    const { status } = req.query;
+    const query = {};
+    if (status) query.status = status;
+
+    const campaigns = await AmnestyCampaign.find(query)
+      .populate('createdBy', 'name')
+      .populate('appliedBy', 'name')
+      .sort({ startDate: -1 });
+
+    res.json({
+      success: true,
+      data: campaigns
+    });
+
+  } catch (error) {
+    console.error('Get amnesty campaigns error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch amnesty campaigns'
+    });
+  }
+});
+
+// @route   POST /api/fines/amnesty-campaigns
+// @desc    Create a draft amnesty campaign
+// @access  Private (Chief Librarian, Admin)
+router.post('/amnesty-campaigns', [
+  authenticateToken,
+  requireRole('chief_librarian', 'admin'),
+  ...amnestyValidation(),
+  logActivity('amnesty_create', 'fine')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const fields = pickAmnestyFields(req.body);
+    if (new Date(fields.endDate) < new Date(fields.startDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must be on or after the start date'
+      });
+    }
+
+    const campaign = await AmnestyCampaign.create({
+      ...fields,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Amnesty campaign created',
+      data: campaign
+    });
+
+  } catch (error) {
+    console.error('Create amnesty campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create amnesty campaign'
+    });
+  }
+});
+
+// @route   PUT /api/fines/amnesty-campaigns/:id
+// @desc    Update a draft amnesty campaign
+// @access  Private (Chief Librarian, Admin)
+router.put('/amnesty-campaigns/:id', [
+  authenticateToken,
+  requireRole('chief_librarian', 'admin'),
+  ...amnestyValidation(true),
+  logActivity('amnesty_update', 'fine')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const campaign = await AmnestyCampaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Amnesty campaign not found'
+      });
+    }
+
+    if (campaign.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft campaigns can be changed'
+      });
+    }
+
+    campaign.set(pickAmnestyFields(req.body));
+    if (campaign.endDate < campaign.startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must be on or after the start date'
+      });
+    }
+    await campaign.save();
+
+    res.json({
+      success: true,
+      message: 'Amnesty campaign updated',
+      data: campaign
+    });
+
+  } catch (error) {
+    console.error('Update amnesty campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update amnesty campaign'
+    });
+  }
+});
+
+// @route   GET /api/fines/amnesty-campaigns/:id/preview
+// @desc    Dry run: the fines and total a campaign would waive
+// @access  Private (Chief Librarian, Admin)
+router.get('/amnesty-campaigns/:id/preview', [
+  authenticateToken,
+  requireRole('chief_librarian', 'admin')
+], async (req, res) => {
+  try {
+    const preview = await amnestyService.preview(req.params.id);
+
+    res.json({
+      success: true,
+      data: preview
+    });
+
+  } catch (error) {
+    console.error('Preview amnesty campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to preview amnesty campaign'
+    });
+  }
+});
+
+// @route   POST /api/fines/amnesty-campaigns/:id/apply
+// @desc    Waive all eligible fines (audited as one action by the service)
+// @access  Private (Chief Librarian, Admin)
+router.post('/amnesty-campaigns/:id/apply', [
+  authenticateToken,
+  requireRole('chief_librarian', 'admin')
+], async (req, res) => {
+  try {
+    const campaign = await amnestyService.apply(req.params.id, req.user, {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: `Amnesty applied: KES ${campaign.results.totalWaived} waived on ${campaign.results.finesWaived} fine(s)`,
+      data: campaign
+    });
+
+  } catch (error) {
+    console.error('Apply amnesty campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to apply amnesty campaign'
+    });
+  }
+});
+
+// @route   DELETE /api/fines/amnesty-campaigns/:id
+// @desc    Cancel a draft amnesty campaign
+// @access  Private (Chief Librarian, Admin)
+router.delete('/amnesty-campaigns/:id', [
+  authenticateToken,
+  requireRole('chief_librarian', 'admin'),
+  logActivity('amnesty_cancel', 'fine')
+], async (req, res) => {
+  try {
+    const campaign = await AmnestyCampaign.findOneAndUpdate(
+      { _id: req.params.id, status: 'draft' },
+      { status: 'cancelled' },
+      { new: true }
+    );
+
+    if (!campaign) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft campaigns can be cancelled'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Amnesty campaign cancelled',
+      data: campaign
+    });
+
+  } catch (error) {
+    console.error('Cancel amnesty campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel amnesty campaign'
+    });
+  }
+});
+
+// @route   GET /api/fines/refunds
+// @desc    Get refunds (filtered by user role)
+// @access  Private
+router.get('/refunds', [
+  authenticateToken,
+  logActivity('refund_list_view', 'fine')
+], async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, userId } = req.query;
+    const skip = (page - 1) * limit;
+
+    let query = {};
+
+    // Filter by user role
+    if (['junior_member', 'adult_member'].includes(req.user.role)) {
+      query.user = req.user._id;
+    } else if (userId) {
+      query.user = userId;
+    }
+
+    if (status) query.status = status;
+
+    const refunds = await Refund.find(query)
+      .populate('user', 'name email phone')
+      .populate('fine', 'type amount amountPaid status')
+      .populate('requestedBy', 'name role')
+      .populate('approvedBy', 'name role')
+      .populate('rejectedBy', 'name role')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Refund.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        refunds,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalRefunds: total,
+          hasNext: skip + refunds.length < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get refunds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch refunds'
+    });
+  }
+});
+
+// @route   POST /api/fines/refunds
+// @desc    Request a refund of a paid fine or of account credit
+// @access  Private (Staff only)
+router.post('/refunds', [
+  authenticateToken,
+  canManageFines,
+  body('userId').isMongoId().withMessage('Valid user ID is required'),
+  body('fineId').optional().isMongoId().withMessage('Invalid fine ID'),
+  body('amount').isFloat({ min: 1 }).withMessage('Amount must be at least KES 1'),
+  body('method').isIn(['cash', 'mpesa', 'bank']).withMessage('Valid refund method is required'),
+  body('reasonCategory').optional().isIn(['lost_book_found', 'duplicate_charge', 'wrong_charge', 'account_credit', 'other']).withMessage('Invalid reason category'),
+  body('reason').trim().notEmpty().withMessage('Refund reason is required'),
+  logActivity('refund_request', 'fine')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { userId, fineId, amount, method, reasonCategory, reason, reference } = req.body;
+
+    const refund = await refundService.requestRefund({
+      userId,
+      fineId,
+      amount: Number(amount),
+      method,
+      reasonCategory,
+      reason,
+      reference
+    }, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Refund requested and awaiting approval',
+      data: refund
+    });
+
+  } catch (error) {
+    console.error('Request refund error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to request refund'
+    });
+  }
+});
+
+// @route   POST /api/fines/refunds/:id/approve
+// @desc    Approve and pay out a refund
+// @access  Private (Chief Librarian, Admin)
+router.post('/refunds/:id/approve', [
+  authenticateToken,
+  requireRole('chief_librarian', 'admin'),
+  logActivity('refund_approve', 'fine')
+], async (req, res) => {
+  try {
+    const existing = await Refund.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Refund not found'
+      });
+    }
+
+    const cashierSession = await resolveCashierSession(req.user, existing.method);
+
+    const refund = await refundService.approveRefund(existing._id, req.user._id, cashierSession);
+
+    res.json({
+      success: true,
+      message: `Refund of KES ${refund.amount} approved`,
+      data: refund
+    });
+
+  } catch (error) {
+    console.error('Approve refund error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to approve refund'
+    });
+  }
+});
+
+// @route   POST /api/fines/refunds/:id/reject
+// @desc    Reject a refund request
+// @access  Private (Chief Librarian, Admin)
+router.post('/refunds/:id/reject', [
+  authenticateToken,
+  requireRole('chief_librarian', 'admin'),
+  body('reason').trim().notEmpty().withMessage('Rejection reason is required'),
+  logActivity('refund_reject', 'fine')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const refund = await refundService.rejectRefund(req.params.id, req.user._id, req.body.reason);
+
+    res.json({
+      success: true,
+      message: 'Refund rejected',
+      data: refund
+    });
+
+  } catch (error) {
+    console.error('Reject refund error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to reject refund'
+    });
+  }
+});
+
+// @route   POST /api/fines/:id/pay
+// @desc    Pay a fine, in full or in part
+// @access  Private (Staff only)
+router.post('/:id/pay', [
+  authenticateToken,
+  canManageFines,
+  body('paymentMethod').isIn(['cash', 'mpesa', 'bank']).withMessage('Valid payment method is required'),
+  body('amount').optional().isFloat({ min: 1 }).withMessage('Amount must be at least KES 1'),
+  logActivity('fine_payment', 'fine')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { paymentMethod, reference, amount } = req.body;
+
+    const cashierSession = await resolveCashierSession(req.user, paymentMethod);
 
-    const fine = await fineService.payFine(id, req.user._id, paymentMethod, receiptNumber);
+    const { fine, receipt } = await fineService.payFine(id, req.user._id, paymentMethod, reference, amount ? Number(amount) : null, cashierSession);
 
     res.json({
       success: true,
-      message: 'Fine paid successfully',
+      message: fine.status === 'paid' ? 'Fine paid successfully' : 'Part payment recorded',
       data: {
         fineId: fine._id,
         amount: fine.amount,
+        amountPaid: fine.amountPaid,
+        outstandingAmount: fine.outstandingAmount,
+        status: fine.status,
         paymentMethod,
-        receiptNumber,
+        reference,
+        receiptId: receipt._id,
+        receiptNumber: receipt.receiptNumber,
         paidBy: req.user.name,
         paidAt: fine.paidAt
       }
@@ -133,7 +1059,7 @@ router.post('/:id/waive', [
     const { id } = req.params;
     const { reason } = req.body;
 
-    const fine = await fineService.waiveFine(id, req.user._id, reason);
+    const { fine, receipt } = await fineService.waiveFine(id, req.user._id, reason);
 
     res.json({
       success: true,
@@ -142,6 +1068,8 @@ router.post('/:id/waive', [
         fineId: fine._id,
         amount: fine.amount,
         reason,
+        receiptId: receipt._id,
+        receiptNumber: receipt.receiptNumber,
         waivedBy: req.user.name,
         waivedAt: fine.waivedAt
       }
@@ -1,10 +1,17 @@
 import express from 'express';
+import { body, validationResult } from 'express-validator';
 import Notification from '../models/Notification.js';
+import NotificationPreference from '../models/NotificationPreference.js';
+import BroadcastCampaign from '../models/BroadcastCampaign.js';
 import { 
   authenticateToken, 
   requireRole,
   logActivity 
 } from '../middleware/auth.js';
+import notificationService from '../services/notificationService.js';
+import notificationStream from '../services/notificationStream.js';
+import broadcastService from '../services/broadcastService.js';
+import templateService from '../services/templateService.js';
 
 const router = express.Router();
 
@@ -16,13 +23,14 @@ router.get('/', [
   logActivity('notification_list_view', 'notification')
 ], async (req, res) => {
   try {
-    const { page = 1, limit = 20, status, type } = req.query;
+    const { page = 1, limit = 20, status, type, unread } = req.query;
     const skip = (page - 1) * limit;
 
-    let query = { user: req.user._id };
+    let query = Notification.inboxQuery(req.user._id);
 
     if (status) query.status = status;
     if (type) query.type = type;
+    if (unread === 'true') query.readAt = null;
 
     const notifications = await Notification.find(query)
       .sort({ createdAt: -1 })
@@ -30,11 +38,13 @@ router.get('/', [
       .limit(parseInt(limit));
 
     const total = await Notification.countDocuments(query);
+    const unreadCount = await Notification.countUnread(req.user._id);
 
     res.json({
       success: true,
       data: {
         notifications,
+        unreadCount,
         pagination: {
           currentPage: parseInt(page),
           totalPages: Math.ceil(total / limit),
@@ -54,6 +64,703 @@ router.get('/', [
   }
 });
 
+// @route   GET /api/notifications/stream
+// @desc    Server-Sent Events stream of new notifications ("notification"
+//          events) and unread counts ("unread" events)
+// @access  Private
+router.get('/stream', authenticateToken, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countUnread(req.user._id);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    notificationStream.subscribe(req.user._id, res);
+    notificationStream.send(req.user._id, 'unread', { unreadCount });
+
+    req.on('close', () => notificationStream.unsubscribe(req.user._id, res));
+
+  } catch (error) {
+    console.error('Notification stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to open notification stream'
+      });
+    }
+  }
+});
+
+// @route   GET /api/notifications/unread-count
+// @desc    Number of unread notifications
+// @access  Private
+router.get('/unread-count', authenticateToken, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countUnread(req.user._id);
+
+    res.json({
+      success: true,
+      data: { unreadCount }
+    });
+
+  } catch (error) {
+    console.error('Get unread notification count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch unread notification count'
+    });
+  }
+});
+
+// @route   PUT /api/notifications/read
+// @desc    Mark several notifications as read, or all of them when no ids
+//          are given
+// @access  Private
+router.put('/read', [
+  authenticateToken,
+  body('ids').optional().isArray({ min: 1, max: 500 }).withMessage('Provide between 1 and 500 notification IDs'),
+  body('ids.*').isMongoId().withMessage('Invalid notification ID'),
+  logActivity('notification_mark_read', 'notification')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { ids } = req.body;
+    const query = Notification.inboxQuery(req.user._id, { readAt: null });
+    if (ids) query._id = { $in: ids };
+
+    const result = await Notification.updateMany(query, { readAt: new Date() });
+    const unreadCount = await Notification.countUnread(req.user._id);
+    notificationStream.send(req.user._id, 'unread', { unreadCount });
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} notification(s) marked as read`,
+      data: { updatedCount: result.modifiedCount, unreadCount }
+    });
+
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notifications as read'
+    });
+  }
+});
+
+// @route   DELETE /api/notifications
+// @desc    Delete several notifications from your inbox
+// @access  Private
+router.delete('/', [
+  authenticateToken,
+  body('ids').isArray({ min: 1, max: 500 }).withMessage('Provide between 1 and 500 notification IDs'),
+  body('ids.*').isMongoId().withMessage('Invalid notification ID'),
+  logActivity('notification_delete', 'notification')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await Notification.updateMany(
+      Notification.inboxQuery(req.user._id, { _id: { $in: req.body.ids } }),
+      { deletedAt: new Date() }
+    );
+    const unreadCount = await Notification.countUnread(req.user._id);
+    notificationStream.send(req.user._id, 'unread', { unreadCount });
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} notification(s) deleted`,
+      data: { deletedCount: result.modifiedCount, unreadCount }
+    });
+
+  } catch (error) {
+    console.error('Delete notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete notifications'
+    });
+  }
+});
+
+// Notification types a member can see in their preferences
+const PREFERENCE_TYPES = Notification.schema.path('type').enumValues.filter(type => type !== 'daily_digest');
+
+const formatPreferences = (preference) => ({
+  channels: Object.fromEntries(preference.channels),
+  quietHours: {
+    enabled: preference.quietHours.enabled,
+    start: preference.quietHours.start,
+    end: preference.quietHours.end
+  },
+  digest: {
+    enabled: preference.digest.enabled,
+    hour: preference.digest.hour,
+    lastSentAt: preference.digest.lastSentAt
+  },
+  types: PREFERENCE_TYPES.map(type => ({
+    type,
+    mandatory: NotificationPreference.MANDATORY_TYPES.includes(type),
+    digest: NotificationPreference.canDigest(type)
+  }))
+});
+
+// @route   GET /api/notifications/preferences
+// @desc    Get your notification preferences
+// @access  Private
+router.get('/preferences', authenticateToken, async (req, res) => {
+  try {
+    const preference = await NotificationPreference.getFor(req.user._id);
+
+    res.json({
+      success: true,
+      data: formatPreferences(preference)
+    });
+
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notification preferences'
+    });
+  }
+});
+
+// @route   PUT /api/notifications/preferences
+// @desc    Update your channels per notification type, quiet hours and digest
+// @access  Private
+router.put('/preferences', [
+  authenticateToken,
+  body('channels').optional().isObject().withMessage('Channels must map notification types to channel lists'),
+  body('channels').optional().custom(channels => {
+    for (const [type, allowed] of Object.entries(channels)) {
+      if (!PREFERENCE_TYPES.includes(type)) {
+        throw new Error(`Unknown notification type ${type}`);
+      }
+      if (NotificationPreference.MANDATORY_TYPES.includes(type)) {
+        throw new Error(`${type} notices are always sent and cannot be changed`);
+      }
+      if (allowed !== null && (!Array.isArray(allowed) || allowed.some(channel => !['sms', 'email'].includes(channel)))) {
+        throw new Error(`Channels for ${type} must be a list of sms and/or email, or null for the default`);
+      }
+    }
+    return true;
+  }),
+  body('quietHours.enabled').optional().isBoolean(),
+  body('quietHours.start').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Quiet hours must use HH:mm'),
+  body('quietHours.end').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Quiet hours must use HH:mm'),
+  body('digest.enabled').optional().isBoolean(),
+  body('digest.hour').optional().isInt({ min: 0, max: 23 }).withMessage('Digest hour must be between 0 and 23'),
+  logActivity('notification_preferences_update', 'notification')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { channels, quietHours = {}, digest = {} } = req.body;
+    const preference = await NotificationPreference.getFor(req.user._id);
+    const wasDigest = preference.digest.enabled;
+
+    if (channels) {
+      for (const [type, allowed] of Object.entries(channels)) {
+        if (allowed === null) {
+          preference.channels.delete(type);
+        } else {
+          preference.channels.set(type, allowed);
+        }
+      }
+    }
+
+    ['enabled', 'start', 'end'].forEach(field => {
+      if (quietHours[field] !== undefined) preference.quietHours[field] = quietHours[field];
+    });
+    ['enabled', 'hour'].forEach(field => {
+      if (digest[field] !== undefined) preference.digest[field] = digest[field];
+    });
+
+    await preference.save();
+
+    // Notices held for a digest that was turned off go out on their own
+    if (wasDigest && !preference.digest.enabled) {
+      await Notification.updateMany(
+        { user: req.user._id, status: 'pending', digest: true },
+        { digest: false, scheduledFor: new Date() }
+      );
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: formatPreferences(preference)
+    });
+
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notification preferences'
+    });
+  }
+});
+
+const broadcastValidation = (isEstimate = false) => [
+  ...(isEstimate ? [] : [
+    body('name').trim().notEmpty().withMessage('Campaign name is required'),
+    body('title').trim().notEmpty().withMessage('Title is required'),
+    body('priority').optional().isIn(['low', 'medium', 'high', 'urgent']).withMessage('Invalid priority'),
+    body('scheduledFor').optional().isISO8601().withMessage('Valid send time is required')
+  ]),
+  body('message').trim().notEmpty().withMessage('Message is required'),
+  body(['title', 'message']).optional().custom(text => {
+    const unknown = templateService.getPlaceholders(text).filter(name => name !== 'name');
+    if (unknown.length > 0) {
+      throw new Error(`Unknown placeholder(s): ${unknown.join(', ')}; only {{name}} can be used`);
+    }
+    return true;
+  }),
+  body('channels').isArray({ min: 1 }).withMessage('Choose at least one channel'),
+  body('channels.*').isIn(['sms', 'email', 'in_app']).withMessage('Channel must be sms, email or in_app'),
+  body('roles').optional().isArray().withMessage('Roles must be a list'),
+  body('roles.*').isIn(['junior_member', 'adult_member', 'guest', 'librarian', 'chief_librarian', 'admin']).withMessage('Invalid role'),
+  body('statuses').optional().isArray().withMessage('Statuses must be a list'),
+  body('statuses.*').isIn(['pending', 'active', 'suspended', 'inactive']).withMessage('Invalid account status'),
+  body('schools').optional().isArray().withMessage('Schools must be a list'),
+  body('borrowing').optional().isIn(BroadcastCampaign.BORROWING_STATES).withMessage('Invalid borrowing state')
+];
+
+const pickBroadcastFields = (body) => {
+  const fields = {};
+  ['name', 'title', 'message', 'roles', 'statuses', 'schools', 'borrowing', 'channels', 'priority', 'scheduledFor'].forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// @route   POST /api/notifications
+// @desc    Create a broadcast campaign to a segment of members, sent now
+//          or at scheduledFor
+// @access  Private (Librarian+)
+router.post('/', [
+  authenticateToken,
+  requireRole('librarian', 'chief_librarian', 'admin'),
+  ...broadcastValidation(),
+  logActivity('broadcast_create', 'notification')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { campaign, estimate } = await broadcastService.createCampaign(pickBroadcastFields(req.body), req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: campaign.scheduledFor > new Date() ? 'Broadcast scheduled' : 'Broadcast is being sent',
+      data: { campaign, estimate }
+    });
+
+  } catch (error) {
+    console.error('Create broadcast error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create broadcast'
+    });
+  }
+});
+
+// @route   POST /api/notifications/broadcasts/estimate
+// @desc    Recipients and estimated SMS cost for a segment, channels and
+//          message, without sending anything
+// @access  Private (Librarian+)
+router.post('/broadcasts/estimate', [
+  authenticateToken,
+  requireRole('librarian', 'chief_librarian', 'admin'),
+  ...broadcastValidation(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const fields = pickBroadcastFields(req.body);
+    const estimate = await broadcastService.estimate({ statuses: ['active'], ...fields });
+
+    res.json({
+      success: true,
+      data: estimate
+    });
+
+  } catch (error) {
+    console.error('Estimate broadcast error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to estimate broadcast'
+    });
+  }
+});
+
+// @route   GET /api/notifications/broadcasts
+// @desc    Get broadcast campaigns
+// @access  Private (Librarian+)
+router.get('/broadcasts', [
+  authenticateToken,
+  requireRole('librarian', 'chief_librarian', 'admin')
+], async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (status) query.status = status;
+
+    const campaigns = await BroadcastCampaign.find(query)
+      .populate('createdBy', 'name')
+      .populate('cancelledBy', 'name')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await BroadcastCampaign.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        campaigns,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalCampaigns: total,
+          hasNext: skip + campaigns.length < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get broadcasts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch broadcasts'
+    });
+  }
+});
+
+// @route   GET /api/notifications/broadcasts/:id
+// @desc    Get a broadcast campaign with its delivery counts
+// @access  Private (Librarian+)
+router.get('/broadcasts/:id', [
+  authenticateToken,
+  requireRole('librarian', 'chief_librarian', 'admin')
+], async (req, res) => {
+  try {
+    const campaign = await BroadcastCampaign.findById(req.params.id)
+      .populate('createdBy', 'name')
+      .populate('cancelledBy', 'name');
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Broadcast not found'
+      });
+    }
+
+    const deliveries = await broadcastService.getDeliveryStats(campaign._id);
+
+    res.json({
+      success: true,
+      data: { campaign, deliveries }
+    });
+
+  } catch (error) {
+    console.error('Get broadcast error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch broadcast'
+    });
+  }
+});
+
+// @route   GET /api/notifications/broadcasts/:id/recipients
+// @desc    Delivery status of a broadcast for each recipient
+// @access  Private (Librarian+)
+router.get('/broadcasts/:id/recipients', [
+  authenticateToken,
+  requireRole('librarian', 'chief_librarian', 'admin')
+], async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status, recipient } = req.query;
+    const skip = (page - 1) * limit;
+
+    let query = { campaign: req.params.id };
+
+    if (status) query.status = status;
+    if (recipient) query.recipient = recipient;
+
+    const notifications = await Notification.find(query)
+      .select('user recipient channels status smsStatus emailStatus smsCost sentAt failedAt failureReason retryCount readAt')
+      .populate('user', 'name email phone guardianName guardianPhone guardianEmail')
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Notification.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalNotifications: total,
+          hasNext: skip + notifications.length < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get broadcast recipients error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch broadcast recipients'
+    });
+  }
+});
+
+// @route   POST /api/notifications/broadcasts/:id/cancel
+// @desc    Cancel a broadcast that has not started sending
+// @access  Private (Librarian+)
+router.post('/broadcasts/:id/cancel', [
+  authenticateToken,
+  requireRole('librarian', 'chief_librarian', 'admin'),
+  logActivity('broadcast_cancel', 'notification')
+], async (req, res) => {
+  try {
+    const campaign = await broadcastService.cancelCampaign(req.params.id, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Broadcast cancelled',
+      data: campaign
+    });
+
+  } catch (error) {
+    console.error('Cancel broadcast error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to cancel broadcast'
+    });
+  }
+});
+
+// @route   GET /api/notifications/dead-letter
+// @desc    Notifications that failed on every retry
+// @access  Private (Librarian+)
+router.get('/dead-letter', [
+  authenticateToken,
+  requireRole('librarian', 'chief_librarian', 'admin'),
+  logActivity('notification_dead_letter_view', 'notification')
+], async (req, res) => {
+  try {
+    const { page = 1, limit = 20, type, channel, recipient } = req.query;
+    const skip = (page - 1) * limit;
+
+    let query = { status: 'failed' };
+
+    if (type) query.type = type;
+    if (channel) query.channels = channel;
+    if (recipient) query.recipient = recipient;
+
+    const notifications = await Notification.find(query)
+      .populate('user', 'name email phone guardianName guardianPhone guardianEmail')
+      .sort({ failedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Notification.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalNotifications: total,
+          hasNext: skip + notifications.length < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get dead-letter notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch failed notifications'
+    });
+  }
+});
+
+// @route   POST /api/notifications/dead-letter/retry
+// @desc    Put several failed notifications back on the queue
+// @access  Private (Librarian+)
+router.post('/dead-letter/retry', [
+  authenticateToken,
+  requireRole('librarian', 'chief_librarian', 'admin'),
+  body('ids').isArray({ min: 1, max: 500 }).withMessage('Provide between 1 and 500 notification IDs'),
+  body('ids.*').isMongoId().withMessage('Invalid notification ID'),
+  logActivity('notification_retry', 'notification')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const notifications = await notificationService.retryDeadLetters(req.body.ids);
+
+    res.json({
+      success: true,
+      message: `${notifications.length} notification(s) queued for retry`,
+      data: { retriedCount: notifications.length }
+    });
+
+  } catch (error) {
+    console.error('Retry notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to retry notifications'
+    });
+  }
+});
+
+// @route   POST /api/notifications/:id/retry
+// @desc    Put a failed notification back on the queue
+// @access  Private (Librarian+)
+router.post('/:id/retry', [
+  authenticateToken,
+  requireRole('librarian', 'chief_librarian', 'admin'),
+  logActivity('notification_retry', 'notification')
+], async (req, res) => {
+  try {
+    const [notification] = await notificationService.retryDeadLetters([req.params.id]);
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Failed notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification queued for retry',
+      data: notification
+    });
+
+  } catch (error) {
+    console.error('Retry notification error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to retry notification'
+    });
+  }
+});
+
+// @route   GET /api/notifications/:id/deliveries
+// @desc    Delivery status of a notification for each recipient (the
+//          member and, for junior members, their guardian)
+// @access  Private (Librarian+)
+router.get('/:id/deliveries', [
+  authenticateToken,
+  requireRole('librarian', 'chief_librarian', 'admin'),
+  logActivity('notification_deliveries_view', 'notification')
+], async (req, res) => {
+  try {
+    const notification = await Notification.findById(req.params.id);
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    const originalId = notification.copyOf || notification._id;
+    const notifications = await Notification.find({ $or: [{ _id: originalId }, { copyOf: originalId }] })
+      .populate('user', 'name email phone guardianName guardianPhone guardianEmail')
+      .sort({ createdAt: 1 });
+
+    const deliveries = notifications.map(item => ({
+      notificationId: item._id,
+      recipient: item.recipient,
+      name: item.recipient === 'guardian' ? item.user?.guardianName : item.user?.name,
+      phone: item.recipient === 'guardian' ? item.user?.guardianPhone : item.user?.phone,
+      email: item.recipient === 'guardian' ? item.user?.guardianEmail : item.user?.email,
+      channels: item.channels,
+      status: item.status,
+      smsStatus: item.smsStatus,
+      emailStatus: item.emailStatus,
+      sentAt: item.sentAt,
+      failedAt: item.failedAt,
+      failureReason: item.failureReason,
+      retryCount: item.retryCount
+    }));
+
+    res.json({
+      success: true,
+      data: { deliveries }
+    });
+
+  } catch (error) {
+    console.error('Get notification deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notification deliveries'
+    });
+  }
+});
+
 // @route   PUT /api/notifications/:id/read
 // @desc    Mark notification as read
 // @access  Private
@@ -65,7 +772,7 @@ router.put('/:id/read', [
     const { id } = req.params;
 
     const notification = await Notification.findOneAndUpdate(
-      { _id: id, user: req.user._id },
+      Notification.inboxQuery(req.user._id, { _id: id }),
       { readAt: new Date() },
       { new: true }
     );
@@ -77,6 +784,8 @@ router.put('/:id/read', [
       });
     }
 
+    await notificationStream.publishUnreadCount(req.user._id);
+
     res.json({
       success: true,
       message: 'Notification marked as read',
@@ -92,4 +801,41 @@ router.put('/:id/read', [
   }
 });
 
+// @route   DELETE /api/notifications/:id
+// @desc    Delete a notification from your inbox
+// @access  Private
+router.delete('/:id', [
+  authenticateToken,
+  logActivity('notification_delete', 'notification')
+], async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      Notification.inboxQuery(req.user._id, { _id: req.params.id }),
+      { deletedAt: new Date() },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    await notificationStream.publishUnreadCount(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Notification deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete notification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete notification'
+    });
+  }
+});
+
 export default router;
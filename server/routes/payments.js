@@ -0,0 +1,198 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Payment from '../models/Payment.js';
+import {
+  authenticateToken,
+  logActivity
+} from '../middleware/auth.js';
+import mpesaService from '../services/mpesaService.js';
+
+const router = express.Router();
+
+const isStaff = (user) => ['librarian', 'chief_librarian', 'admin'].includes(user.role);
+
+// @route   POST /api/payments/mpesa-stkpush (alias: /api/payments/mpesa)
+// @desc    Pay fines by M-Pesa: sends an STK Push prompt to the phone
+// @access  Private (members pay their own fines, staff on behalf of a user)
+router.post(['/mpesa-stkpush', '/mpesa'], [
+  authenticateToken,
+  body('phone').notEmpty().withMessage('Phone number is required'),
+  body('amount').optional({ values: 'falsy' }).isFloat({ min: 1 }).withMessage('Amount must be at least KES 1'),
+  body('fineId').optional().isMongoId().withMessage('Invalid fine ID'),
+  body('userId').optional().isMongoId().withMessage('Invalid user ID'),
+  logActivity('mpesa_payment_initiated', 'fine')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { phone, amount, fineId, userId } = req.body;
+
+    if (userId && userId !== req.user._id.toString() && !isStaff(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only pay your own fines'
+      });
+    }
+
+    const payment = await mpesaService.initiateStkPush({
+      userId: userId || req.user._id,
+      fineId,
+      phone,
+      amount,
+      initiatedBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment initiated. Check your phone to complete',
+      data: {
+        paymentId: payment._id,
+        checkoutRequestId: payment.checkoutRequestId,
+        amount: payment.amount,
+        fines: payment.fines,
+        status: payment.status
+      }
+    });
+
+  } catch (error) {
+    console.error('Initiate M-Pesa payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to initiate payment'
+    });
+  }
+});
+
+// @route   POST /api/payments/mpesa/callback
+// @desc    Daraja STK Push result callback
+// @access  Public (verified by callback token and checkout request ID)
+router.post('/mpesa/callback', async (req, res) => {
+  try {
+    if (!mpesaService.verifyCallbackToken(req.query.token)) {
+      console.error('M-Pesa callback rejected: invalid token');
+      return res.status(403).json({ ResultCode: 1, ResultDesc: 'Rejected' });
+    }
+
+    await mpesaService.handleCallback(req.body);
+
+    res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+  } catch (error) {
+    console.error('M-Pesa callback error:', error);
+    // Acknowledge anyway; the status query job resolves the payment
+    res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+  }
+});
+
+// @route   GET /api/payments/history
+// @desc    Get payment history (filtered by user role)
+// @access  Private
+router.get('/history', [
+  authenticateToken,
+  logActivity('payment_list_view', 'fine')
+], async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, userId } = req.query;
+    const skip = (page - 1) * limit;
+
+    let query = {};
+
+    // Members only see their own payments
+    if (!isStaff(req.user)) {
+      query.user = req.user._id;
+    } else if (userId) {
+      query.user = userId;
+    }
+
+    if (status) query.status = status;
+
+    const payments = await Payment.find(query)
+      .select('-callbackPayload')
+      .populate('user', 'name email phone')
+      .populate('fines', 'type amount status')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Payment.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        payments,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalPayments: total,
+          hasNext: skip + payments.length < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get payments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payments'
+    });
+  }
+});
+
+// @route   GET /api/payments/:id
+// @desc    Get payment status (poll until it is no longer pending)
+// @access  Private (owner or staff)
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    let payment = await Payment.findById(req.params.id)
+      .select('-callbackPayload');
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    if (!isStaff(req.user) && payment.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    // No callback yet: ask Daraja directly
+    if (mpesaService.shouldQuery(payment)) {
+      payment = await mpesaService.queryStatus(payment);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        paymentId: payment._id,
+        status: payment.status,
+        amount: payment.amount,
+        fines: payment.fines,
+        mpesaReceiptNumber: payment.mpesaReceiptNumber,
+        resultDesc: payment.resultDesc,
+        completedAt: payment.completedAt,
+        createdAt: payment.createdAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Get payment status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payment status'
+    });
+  }
+});
+
+export default router;
@@ -5,6 +5,11 @@ import Book from '../models/Book.js';
 import Borrow from '../models/Borrow.js';
 import Fine from '../models/Fine.js';
 import Notification from '../models/Notification.js';
+import Payment from '../models/Payment.js';
+import CashierSession from '../models/CashierSession.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import ledgerService from '../services/ledgerService.js';
+import cashierService from '../services/cashierService.js';
 import moment from 'moment';
 import ExcelJS from 'exceljs';
 import PDFDocument from 'pdfkit';
@@ -331,6 +336,141 @@ router.get('/borrows', async (req, res) => {
   }
 });
 
+// End-of-day fines reconciliation: ledger movements, cashier sessions and M-Pesa settlements
+router.get('/fines/reconciliation', async (req, res) => {
+  try {
+    const { format = 'json', date } = req.query;
+
+    const day = date ? moment(date) : moment();
+    if (!day.isValid()) {
+      return res.status(400).json({ success: false, message: 'Invalid date' });
+    }
+    const start = day.clone().startOf('day').toDate();
+    const end = day.clone().endOf('day').toDate();
+    const reportDate = day.format('YYYY-MM-DD');
+
+    const [ledger, accountBalances, sessions, mpesaPayments, mpesaLedger] = await Promise.all([
+      ledgerService.summarize({ createdAt: { $gte: start, $lte: end } }),
+      ledgerService.getAccountBalances({ createdAt: { $gte: start, $lte: end } }),
+      CashierSession.find({
+        $or: [
+          { openedAt: { $gte: start, $lte: end } },
+          { closedAt: { $gte: start, $lte: end } },
+          { status: 'open', openedAt: { $lte: end } }
+        ]
+      })
+        .populate('cashier', 'name role')
+        .populate('closedBy', 'name')
+        .sort({ openedAt: 1 })
+        .lean(),
+      Payment.aggregate([
+        { $match: { status: 'completed', completedAt: { $gte: start, $lte: end } } },
+        { $group: { _id: null, count: { $sum: 1 }, total: { $sum: '$amount' } } }
+      ]),
+      // M-Pesa ledger rows, split by whether they came from an STK Push
+      // payment or were keyed in at the counter with a manual reference
+      LedgerEntry.aggregate([
+        { $match: { method: 'mpesa', entryType: { $in: ['paid', 'refunded'] }, createdAt: { $gte: start, $lte: end } } },
+        {
+          $group: {
+            _id: { entryType: '$entryType', stk: { $ne: [{ $ifNull: ['$payment', null] }, null] } },
+            total: { $sum: '$amount' }
+          }
+        }
+      ])
+    ]);
+
+    // Open sessions have no close-out yet, so show their running totals
+    const sessionRows = await Promise.all(sessions.map(async (session) => {
+      const totals = session.status === 'open'
+        ? await cashierService.getSessionTotals(session._id)
+        : { takings: session.takings, refunds: session.refunds };
+
+      return {
+        sessionId: session._id,
+        cashier: session.cashier?.name || '',
+        status: session.status,
+        openedAt: session.openedAt,
+        closedAt: session.closedAt,
+        openingFloat: session.openingFloat,
+        takings: totals.takings,
+        refunds: totals.refunds,
+        expectedCash: session.status === 'open'
+          ? Math.round((session.openingFloat + totals.takings.cash - totals.refunds.cash) * 100) / 100
+          : session.expectedCash,
+        countedCash: session.countedCash,
+        variance: session.variance
+      };
+    }));
+
+    // M-Pesa settled by Safaricom should match what the ledger took in from
+    // STK Push payments; counter receipts and refunds are shown on their own
+    const mpesaTotal = (entryType, stk) => mpesaLedger
+      .filter(row => row._id.entryType === entryType && row._id.stk === stk)
+      .reduce((sum, row) => sum + row.total, 0);
+    const ledgerMpesa = mpesaTotal('paid', true);
+    const manualMpesa = mpesaTotal('paid', false);
+    const refundedMpesa = mpesaTotal('refunded', true) + mpesaTotal('refunded', false);
+    const mpesaSettled = mpesaPayments[0]?.total || 0;
+
+    const report = {
+      date: reportDate,
+      ledger,
+      accountBalances,
+      sessions: sessionRows,
+      openSessions: sessionRows.filter(row => row.status === 'open').length,
+      totalVariance: Math.round(sessionRows.reduce((sum, row) => sum + (row.variance || 0), 0) * 100) / 100,
+      mpesa: {
+        payments: mpesaPayments[0]?.count || 0,
+        settled: Math.round(mpesaSettled * 100) / 100,
+        ledger: Math.round(ledgerMpesa * 100) / 100,
+        difference: Math.round((mpesaSettled - ledgerMpesa) * 100) / 100,
+        manual: Math.round(manualMpesa * 100) / 100,
+        refunded: Math.round(refundedMpesa * 100) / 100
+      }
+    };
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename=fines_reconciliation_${reportDate}.csv`);
+
+      res.write('Entry Type,Method,Count,Total\n');
+      ledger.forEach(row => {
+        res.write([row.entryType, row.method || '', row.count, row.total].map(field => `"${field}"`).join(',') + '\n');
+      });
+
+      res.write('\nCashier,Status,Opened,Closed,Opening Float,Cash Takings,M-Pesa Takings,Bank Takings,Cash Refunds,Expected Cash,Counted Cash,Variance\n');
+      sessionRows.forEach(row => {
+        res.write([
+          row.cashier,
+          row.status,
+          moment(row.openedAt).format('YYYY-MM-DD HH:mm'),
+          row.closedAt ? moment(row.closedAt).format('YYYY-MM-DD HH:mm') : '',
+          row.openingFloat,
+          row.takings.cash,
+          row.takings.mpesa,
+          row.takings.bank,
+          row.refunds.cash,
+          row.expectedCash ?? '',
+          row.countedCash ?? '',
+          row.variance ?? ''
+        ].map(field => `"${field}"`).join(',') + '\n');
+      });
+
+      res.write(`\nM-Pesa Settled,"${report.mpesa.settled}"\nM-Pesa Ledger,"${report.mpesa.ledger}"\nM-Pesa Difference,"${report.mpesa.difference}"\nM-Pesa Manual Receipts,"${report.mpesa.manual}"\nM-Pesa Refunds,"${report.mpesa.refunded}"\n`);
+      res.end();
+    } else {
+      res.json({
+        success: true,
+        data: report
+      });
+    }
+  } catch (error) {
+    console.error('Error generating fines reconciliation report:', error);
+    res.status(500).json({ success: false, message: 'Failed to generate fines reconciliation report' });
+  }
+});
+
 // Generate fine report
 router.get('/fines', async (req, res) => {
   try {
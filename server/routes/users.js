@@ -1,5 +1,6 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
+import moment from 'moment';
 import User from '../models/User.js';
 import { 
   authenticateToken, 
@@ -8,6 +9,7 @@ import {
   logActivity 
 } from '../middleware/auth.js';
 import notificationService from '../services/notificationService.js';
+import eligibilityService from '../services/eligibilityService.js';
 
 const router = express.Router();
 
@@ -150,6 +152,52 @@ router.get('/:id', [
   }
 });
 
+// @route   GET /api/users/:id/eligibility
+// @desc    Whether a user can borrow right now, and why not
+// @access  Private (Staff or self)
+router.get('/:id/eligibility', [
+  authenticateToken
+], async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Members can only check their own account
+    if (req.user.role === 'guest' || req.user.role === 'junior_member' || req.user.role === 'adult_member') {
+      if (id !== req.user._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only check your own eligibility'
+        });
+      }
+    }
+
+    const user = await User.findById(id).select('-password');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const eligibility = await eligibilityService.checkBorrowing(user);
+
+    res.json({
+      success: true,
+      message: eligibility.eligible
+        ? `${user.name} can borrow`
+        : `${user.name} cannot borrow: ${eligibility.blocks.map(block => block.message).join('; ')}`,
+      data: eligibility
+    });
+
+  } catch (error) {
+    console.error('Get eligibility error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check borrowing eligibility'
+    });
+  }
+});
+
 // @route   PUT /api/users/:id/approve
 // @desc    Approve user account
 // @access  Private (Staff only)
@@ -262,8 +310,7 @@ router.put('/:id/reject', [
       await notificationService.sendNotification({
         user,
         type: 'account_rejected',
-        title: 'Account Registration Rejected',
-        message: `Dear ${user.name}, your account registration has been rejected. Reason: ${reason}. Please contact the library staff for more information.`,
+        variables: { name: user.name, reason },
         channels: ['email'],
         priority: 'medium'
       });
@@ -346,8 +393,11 @@ router.put('/:id/suspend', [
       await notificationService.sendNotification({
         user,
         type: 'account_suspended',
-        title: 'Account Suspended',
-        message: `Dear ${user.name}, your account has been suspended. Reason: ${reason}. ${duration ? `Suspension will end on ${user.suspensionEndsAt.toLocaleDateString()}.` : ''} Please contact the library staff for more information.`,
+        variables: {
+          name: user.name,
+          reason,
+          endDate: duration ? moment(user.suspensionEndsAt).format('DD/MM/YYYY') : null
+        },
         channels: ['email', 'sms'],
         priority: 'high'
       });
@@ -418,8 +468,7 @@ router.put('/:id/reactivate', [
       await notificationService.sendNotification({
         user,
         type: 'account_reactivated',
-        title: 'Account Reactivated',
-        message: `Dear ${user.name}, your account has been reactivated. You can now access library services again.`,
+        variables: { name: user.name },
         channels: ['email', 'sms'],
         priority: 'medium'
       });
@@ -504,8 +553,7 @@ router.put('/:id/role', [
       await notificationService.sendNotification({
         user,
         type: 'role_changed',
-        title: 'Role Changed',
-        message: `Dear ${user.name}, your role has been changed from ${oldRole} to ${newRole}. Reason: ${reason}.`,
+        variables: { name: user.name, oldRole, newRole, reason },
         channels: ['email'],
         priority: 'medium'
       });
@@ -543,6 +591,7 @@ router.put('/:id', [
   authenticateToken,
   body('name').optional().trim().isLength({ min: 2, max: 50 }),
   body('phone').optional().trim().isLength({ min: 10, max: 15 }),
+  body('preferredLanguage').optional().isIn(['en', 'sw']).withMessage('Preferred language must be en or sw'),
   logActivity('user_update', 'user')
 ], async (req, res) => {
   try {
@@ -556,7 +605,7 @@ router.put('/:id', [
     }
 
     const { id } = req.params;
-    const { name, phone } = req.body;
+    const { name, phone, preferredLanguage } = req.body;
 
     // Users can only update their own profile unless they're staff
     if (req.user.role === 'guest' || req.user.role === 'junior_member' || req.user.role === 'adult_member') {
@@ -579,6 +628,7 @@ router.put('/:id', [
     // Update fields
     if (name) user.name = name;
     if (phone) user.phone = phone;
+    if (preferredLanguage) user.preferredLanguage = preferredLanguage;
 
     await user.save();
 
@@ -589,6 +639,7 @@ router.put('/:id', [
         userId: user._id,
         name: user.name,
         phone: user.phone,
+        preferredLanguage: user.preferredLanguage,
         updatedAt: user.updatedAt
       }
     });
@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import connectDB from '../config/db.js';
+import Book from '../models/Book.js';
+import BookCopy from '../models/BookCopy.js';
+import Borrow from '../models/Borrow.js';
+
+dotenv.config();
+
+// Create BookCopy records for books that only have copy counters,
+// linking active loans and reservations to the copies they hold.
+const migrateBookCopies = async () => {
+  try {
+    console.log('🚀 Migrating book copy counters to item records...');
+
+    await connectDB();
+
+    const books = await Book.find();
+    let migratedBooks = 0;
+    let createdCopies = 0;
+
+    for (const book of books) {
+      const existingCopies = await BookCopy.countDocuments({ book: book._id });
+      if (existingCopies > 0) {
+        console.log(`ℹ️  Skipping "${book.title}": already has ${existingCopies} copies`);
+        continue;
+      }
+
+      const holders = await Borrow.find({
+        book: book._id,
+        copy: null,
+        status: { $in: ['active', 'overdue'] },
+        type: { $in: ['borrowed', 'overdue', 'reservation'] }
+      }).sort({ createdAt: 1 });
+
+      // Never create fewer copies than are currently out
+      const copyCount = Math.max(book.totalCopies, holders.length);
+      const copies = await BookCopy.createCopies(book, copyCount);
+
+      for (let i = 0; i < holders.length; i++) {
+        const holder = holders[i];
+        const copy = copies[i];
+
+        copy.status = holder.type === 'reservation' ? 'reserved' : 'on_loan';
+        copy.currentBorrow = holder._id;
+        await copy.save();
+
+        holder.copy = copy._id;
+        await holder.save();
+      }
+
+      const synced = await Book.syncCopyCounts(book._id);
+      if (synced.availableCopies !== book.availableCopies) {
+        console.log(`⚠️  "${book.title}": available copies corrected from ${book.availableCopies} to ${synced.availableCopies}`);
+      }
+
+      migratedBooks++;
+      createdCopies += copies.length;
+    }
+
+    console.log(`✅ Migrated ${migratedBooks} books, created ${createdCopies} copies`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+};
+
+// Run migration if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  migrateBookCopies();
+}
+
+export default migrateBookCopies;
@@ -0,0 +1,127 @@
+import express from 'express';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Minimal stand-in for the Safaricom Daraja API, for testing M-Pesa
+// payments locally. Set MPESA_BASE_URL=http://localhost:<port> on the
+// server, then start this with `npm run mock:daraja`.
+//
+// Each STK Push is answered with a callback after MOCK_DARAJA_DELAY_MS.
+// The last digits of the phone number pick the outcome:
+//   ...0001  customer cancels (1032)
+//   ...0002  insufficient funds (1)
+//   anything else succeeds
+const PORT = process.env.MOCK_DARAJA_PORT || 5055;
+const CALLBACK_DELAY_MS = Number(process.env.MOCK_DARAJA_DELAY_MS || 3000);
+
+const app = express();
+app.use(express.json());
+
+const requests = new Map();
+let sequence = 0;
+
+const resultFor = (phone) => {
+  if (String(phone).endsWith('0001')) {
+    return { ResultCode: 1032, ResultDesc: 'Request cancelled by user' };
+  }
+  if (String(phone).endsWith('0002')) {
+    return { ResultCode: 1, ResultDesc: 'The balance is insufficient for the transaction' };
+  }
+  return { ResultCode: 0, ResultDesc: 'The service request is processed successfully.' };
+};
+
+const requireBearer = (req, res, next) => {
+  if (!(req.headers.authorization || '').startsWith('Bearer ')) {
+    return res.status(401).json({ errorCode: '404.001.03', errorMessage: 'Invalid Access Token' });
+  }
+  next();
+};
+
+app.get('/oauth/v1/generate', (req, res) => {
+  if (!(req.headers.authorization || '').startsWith('Basic ')) {
+    return res.status(400).json({ errorMessage: 'Invalid Authentication passed' });
+  }
+  res.json({ access_token: `mock_${Date.now()}`, expires_in: '3599' });
+});
+
+app.post('/mpesa/stkpush/v1/processrequest', requireBearer, (req, res) => {
+  const { Amount, PhoneNumber, CallBackURL } = req.body;
+
+  if (!Amount || !PhoneNumber || !CallBackURL) {
+    return res.status(400).json({ errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid request' });
+  }
+
+  sequence++;
+  const merchantRequestId = `mock-merchant-${sequence}`;
+  const checkoutRequestId = `ws_CO_MOCK_${Date.now()}_${sequence}`;
+  const result = resultFor(PhoneNumber);
+
+  requests.set(checkoutRequestId, { ...result, done: false });
+
+  setTimeout(async () => {
+    const callback = {
+      MerchantRequestID: merchantRequestId,
+      CheckoutRequestID: checkoutRequestId,
+      ...result
+    };
+
+    if (result.ResultCode === 0) {
+      callback.CallbackMetadata = {
+        Item: [
+          { Name: 'Amount', Value: Number(Amount) },
+          { Name: 'MpesaReceiptNumber', Value: `MOCK${String(sequence).padStart(6, '0')}` },
+          { Name: 'TransactionDate', Value: Number(new Date().toISOString().replace(/\D/g, '').slice(0, 14)) },
+          { Name: 'PhoneNumber', Value: Number(PhoneNumber) }
+        ]
+      };
+    }
+
+    requests.get(checkoutRequestId).done = true;
+
+    try {
+      const response = await fetch(CallBackURL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ Body: { stkCallback: callback } })
+      });
+      console.log(`📨 Callback for ${checkoutRequestId}: ${response.status}`);
+    } catch (error) {
+      console.error(`❌ Callback for ${checkoutRequestId} failed:`, error.message);
+    }
+  }, CALLBACK_DELAY_MS);
+
+  console.log(`📱 STK Push KES ${Amount} to ${PhoneNumber} (${checkoutRequestId})`);
+
+  res.json({
+    MerchantRequestID: merchantRequestId,
+    CheckoutRequestID: checkoutRequestId,
+    ResponseCode: '0',
+    ResponseDescription: 'Success. Request accepted for processing',
+    CustomerMessage: 'Success. Request accepted for processing'
+  });
+});
+
+app.post('/mpesa/stkpushquery/v1/query', requireBearer, (req, res) => {
+  const request = requests.get(req.body.CheckoutRequestID);
+
+  if (!request) {
+    return res.status(400).json({ errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid CheckoutRequestID' });
+  }
+
+  if (!request.done) {
+    return res.status(500).json({ errorCode: '500.001.1001', errorMessage: 'The transaction is being processed' });
+  }
+
+  res.json({
+    ResponseCode: '0',
+    ResponseDescription: 'The service request has been accepted successsfully',
+    CheckoutRequestID: req.body.CheckoutRequestID,
+    ResultCode: String(request.ResultCode),
+    ResultDesc: request.ResultDesc
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`🧪 Mock Daraja listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,129 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import connectDB from '../config/db.js';
+import Book from '../models/Book.js';
+import BookCopy from '../models/BookCopy.js';
+import Borrow from '../models/Borrow.js';
+import User from '../models/User.js';
+
+dotenv.config();
+
+const ACTIVE_LOAN = {
+  type: { $in: ['borrowed', 'overdue'] },
+  status: { $in: ['active', 'overdue'] }
+};
+
+const ACTIVE_RESERVATION = {
+  type: 'reservation',
+  status: 'active'
+};
+
+// Recompute circulation counters and copy statuses from the borrow records.
+// Pass --dry-run to report drift without writing anything.
+const reconcileCounters = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    console.log(`🚀 Reconciling circulation counters${dryRun ? ' (dry run)' : ''}...`);
+
+    await connectDB();
+
+    let copiesFixed = 0;
+    let booksFixed = 0;
+    let usersFixed = 0;
+
+    // Copies marked as out whose borrow is no longer open go back to the shelf
+    const heldCopies = await BookCopy.find({ status: { $in: ['on_loan', 'reserved'] } });
+    for (const copy of heldCopies) {
+      const holder = copy.currentBorrow && await Borrow.findOne({
+        _id: copy.currentBorrow,
+        copy: copy._id,
+        ...(copy.status === 'on_loan' ? ACTIVE_LOAN : ACTIVE_RESERVATION)
+      });
+
+      if (!holder) {
+        console.log(`⚠️  Copy ${copy.barcode}: ${copy.status} without an open borrow, releasing`);
+        copiesFixed++;
+        if (!dryRun) {
+          copy.status = 'available';
+          copy.currentBorrow = null;
+          await copy.save();
+        }
+      }
+    }
+
+    // Open loans and reservations whose copy does not point back at them
+    const holders = await Borrow.find({
+      copy: { $ne: null },
+      $or: [ACTIVE_LOAN, ACTIVE_RESERVATION]
+    });
+    for (const holder of holders) {
+      const expectedStatus = holder.type === 'reservation' ? 'reserved' : 'on_loan';
+      const copy = await BookCopy.findById(holder.copy);
+
+      if (!copy || BookCopy.OUT_OF_STOCK_STATUSES.includes(copy.status)) {
+        console.log(`⚠️  Borrow ${holder._id}: copy is missing or out of stock, check manually`);
+        continue;
+      }
+
+      if (copy.status !== expectedStatus || String(copy.currentBorrow) !== String(holder._id)) {
+        console.log(`⚠️  Copy ${copy.barcode}: ${copy.status} but held by ${holder.type} ${holder._id}, marking ${expectedStatus}`);
+        copiesFixed++;
+        if (!dryRun) {
+          copy.status = expectedStatus;
+          copy.currentBorrow = holder._id;
+          await copy.save();
+        }
+      }
+    }
+
+    // Book counters follow the copies and the open loans
+    const books = await Book.find();
+    for (const book of books) {
+      const counts = await BookCopy.countByStatus(book._id);
+      const inStock = Object.entries(counts)
+        .filter(([status]) => !BookCopy.OUT_OF_STOCK_STATUSES.includes(status))
+        .reduce((sum, [, count]) => sum + count, 0);
+      const available = counts.available || 0;
+      const currentBorrows = await Borrow.countDocuments({ book: book._id, ...ACTIVE_LOAN });
+
+      if (book.totalCopies !== inStock || book.availableCopies !== available || book.currentBorrows !== currentBorrows) {
+        console.log(`⚠️  "${book.title}": total ${book.totalCopies}→${inStock}, available ${book.availableCopies}→${available}, on loan ${book.currentBorrows}→${currentBorrows}`);
+        booksFixed++;
+        if (!dryRun) {
+          await Book.syncCopyCounts(book._id);
+          await Book.findByIdAndUpdate(book._id, { currentBorrows });
+        }
+      }
+    }
+
+    // User counters follow their open loans
+    const users = await User.find().select('name email currentBooksBorrowed');
+    for (const user of users) {
+      const currentBooksBorrowed = await Borrow.countDocuments({ user: user._id, ...ACTIVE_LOAN });
+
+      if (user.currentBooksBorrowed !== currentBooksBorrowed) {
+        console.log(`⚠️  ${user.email}: books borrowed ${user.currentBooksBorrowed}→${currentBooksBorrowed}`);
+        usersFixed++;
+        if (!dryRun) {
+          await User.findByIdAndUpdate(user._id, { currentBooksBorrowed });
+        }
+      }
+    }
+
+    console.log(`✅ ${dryRun ? 'Found' : 'Fixed'} ${copiesFixed} copies, ${booksFixed} books, ${usersFixed} users`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Reconciliation failed:', error);
+    process.exit(1);
+  }
+};
+
+// Run reconciliation if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  reconcileCounters();
+}
+
+export default reconcileCounters;
@@ -15,10 +15,16 @@ import fineRoutes from './routes/fines.js';
 import notificationRoutes from './routes/notifications.js';
 import adminRoutes from './routes/admin.js';
 import reportRoutes from './routes/reports.js';
+import paymentRoutes from './routes/payments.js';
 
 // Import services
 import fineService from './services/fineService.js';
 import notificationService from './services/notificationService.js';
+import holdService from './services/holdService.js';
+import reminderService from './services/reminderService.js';
+import mpesaService from './services/mpesaService.js';
+import instalmentService from './services/instalmentService.js';
+import broadcastService from './services/broadcastService.js';
 
 dotenv.config();
 
@@ -69,6 +75,7 @@ app.use('/api/fines', fineRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/reports', reportRoutes);
+app.use('/api/payments', paymentRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -124,16 +131,87 @@ const scheduleTasks = () => {
     }
   }, 60 * 60 * 1000); // Every hour
 
-  // Send due date reminders daily at 9 AM
+  // Release uncollected reservations every 15 minutes
+  setInterval(async () => {
+    try {
+      const result = await holdService.processExpiredReservations();
+      if (result.expiredCount > 0) {
+        console.log(`Expired ${result.expiredCount} reservations, ${result.promotedCount} passed to holds`);
+      }
+    } catch (error) {
+      console.error('Error processing expired reservations:', error);
+    }
+  }, 15 * 60 * 1000); // Every 15 minutes
+
+  // Resolve M-Pesa payments whose callback never arrived, and retry failed
+  // allocations, every 5 minutes
+  setInterval(async () => {
+    try {
+      const result = await mpesaService.reconcilePendingPayments();
+      if (result.resolvedCount > 0) {
+        console.log(`Resolved ${result.resolvedCount} pending M-Pesa payments`);
+      }
+      if (result.allocatedCount > 0) {
+        console.log(`Allocated ${result.allocatedCount} M-Pesa payments to fines`);
+      }
+    } catch (error) {
+      console.error('Error reconciling M-Pesa payments:', error);
+    }
+  }, 5 * 60 * 1000); // Every 5 minutes
+
+  // Send queued notifications and retry failed ones every minute
+  setInterval(async () => {
+    try {
+      const result = await notificationService.processQueue();
+      if (result.sentCount > 0 || result.failedCount > 0) {
+        console.log(`Sent ${result.sentCount} queued notifications, ${result.failedCount} failed`);
+      }
+    } catch (error) {
+      console.error('Error processing notification queue:', error);
+    }
+  }, 60 * 1000); // Every minute
+
+  // Queue broadcast campaigns whose send time has passed every minute
+  setInterval(async () => {
+    try {
+      const result = await broadcastService.dispatchDueCampaigns();
+      if (result.campaignsSent > 0) {
+        console.log(`Sent ${result.campaignsSent} broadcasts (${result.notificationsQueued} notifications queued)`);
+      }
+    } catch (error) {
+      console.error('Error dispatching broadcasts:', error);
+    }
+  }, 60 * 1000); // Every minute
+
+  // Send daily digests to members whose digest hour has passed
+  setInterval(async () => {
+    try {
+      const result = await notificationService.processDigests();
+      if (result.digestsSent > 0) {
+        console.log(`Sent ${result.digestsSent} daily notification digests`);
+      }
+    } catch (error) {
+      console.error('Error sending notification digests:', error);
+    }
+  }, 15 * 60 * 1000); // Every 15 minutes
+
+  // Send due date and instalment reminders daily at 9 AM
   setInterval(async () => {
     const now = new Date();
     if (now.getHours() === 9 && now.getMinutes() === 0) {
       try {
-        // This would be implemented to send reminders for books due in 2 days
-        console.log('Sending due date reminders...');
+        const result = await reminderService.processDueDateReminders();
+        console.log(`Sent ${result.remindersSent} due date reminders and ${result.overdueNoticesSent} overdue notices`);
       } catch (error) {
         console.error('Error sending due date reminders:', error);
       }
+
+      try {
+        const result = await instalmentService.processInstalmentReminders();
+        console.log(`Sent ${result.remindersSent} instalment reminders, ${result.missedCount} instalments missed`);
+      } catch (error) {
+        console.error('Error sending instalment reminders:', error);
+      }
     }
   }, 60 * 1000); // Check every minute
 };
@@ -0,0 +1,204 @@
+import AmnestyCampaign from '../models/AmnestyCampaign.js';
+import Fine from '../models/Fine.js';
+import User from '../models/User.js';
+import AuditLog from '../models/AuditLog.js';
+import fineService from './fineService.js';
+import notificationService from './notificationService.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class AmnestyService {
+  // Pending fines the campaign covers, with what would be waived on each
+  async findEligibleFines(campaign) {
+    const query = { status: 'pending' };
+    if (campaign.fineTypes.length > 0) query.type = { $in: campaign.fineTypes };
+
+    if (campaign.roles.length > 0 || campaign.schools.length > 0) {
+      const userQuery = {};
+      if (campaign.roles.length > 0) userQuery.role = { $in: campaign.roles };
+      if (campaign.schools.length > 0) userQuery.school = { $in: campaign.schools };
+      query.user = { $in: await User.find(userQuery).distinct('_id') };
+    }
+
+    const fines = await Fine.find(query)
+      .populate('user', 'name email phone role school')
+      .sort({ createdAt: 1 });
+
+    return fines
+      .filter(fine => fine.user && fine.outstandingAmount > 0)
+      .map(fine => ({
+        fine,
+        waiverAmount: round(fine.outstandingAmount * campaign.waiverPercentage / 100)
+      }))
+      .filter(({ waiverAmount }) => waiverAmount > 0);
+  }
+
+  // Dry run: the fines and amounts the campaign would waive
+  async preview(campaignId) {
+    try {
+      const campaign = await AmnestyCampaign.findById(campaignId);
+      if (!campaign) {
+        throw new Error('Amnesty campaign not found');
+      }
+
+      const eligible = await this.findEligibleFines(campaign);
+      const members = new Set(eligible.map(({ fine }) => fine.user._id.toString()));
+
+      return {
+        campaign,
+        totalFines: eligible.length,
+        totalMembers: members.size,
+        totalOutstanding: round(eligible.reduce((sum, { fine }) => sum + fine.outstandingAmount, 0)),
+        totalWaiver: round(eligible.reduce((sum, { waiverAmount }) => sum + waiverAmount, 0)),
+        fines: eligible.map(({ fine, waiverAmount }) => ({
+          fineId: fine._id,
+          type: fine.type,
+          user: {
+            _id: fine.user._id,
+            name: fine.user.name,
+            role: fine.user.role,
+            school: fine.user.school
+          },
+          amount: fine.amount,
+          outstandingAmount: fine.outstandingAmount,
+          waiverAmount,
+          createdAt: fine.createdAt
+        }))
+      };
+    } catch (error) {
+      console.error('Error previewing amnesty campaign:', error);
+      throw error;
+    }
+  }
+
+  // Waive every eligible fine, then send each member one notice
+  async apply(campaignId, appliedBy, requestInfo = {}) {
+    try {
+      const existing = await AmnestyCampaign.findById(campaignId);
+      if (!existing) {
+        throw new Error('Amnesty campaign not found');
+      }
+
+      if (!existing.isOpen()) {
+        throw new Error('Amnesty campaigns can only be applied during their date window');
+      }
+
+      // Claim the campaign so it cannot be applied twice
+      const campaign = await AmnestyCampaign.findOneAndUpdate(
+        { _id: campaignId, status: 'draft' },
+        { status: 'applying' },
+        { new: true }
+      );
+      if (!campaign) {
+        throw new Error(`Cannot apply a campaign that is ${existing.status}`);
+      }
+
+      const reason = `Amnesty: ${campaign.name} (${campaign.waiverPercentage}% waived)`;
+      const byMember = new Map();
+      const failures = [];
+      let totalWaived = 0;
+      let finesWaived = 0;
+
+      try {
+        const eligible = await this.findEligibleFines(campaign);
+
+        for (const { fine, waiverAmount } of eligible) {
+          try {
+            const { receipt, waivedAmount } = await fineService.waiveFine(fine._id, appliedBy._id, reason, {
+              amount: waiverAmount,
+              notify: false
+            });
+
+            const key = fine.user._id.toString();
+            if (!byMember.has(key)) byMember.set(key, { user: fine.user, amount: 0, receipts: [] });
+            const member = byMember.get(key);
+            member.amount = round(member.amount + waivedAmount);
+            member.receipts.push(receipt);
+            totalWaived = round(totalWaived + waivedAmount);
+            finesWaived++;
+          } catch (error) {
+            console.error(`Failed to waive fine ${fine._id} for amnesty:`, error);
+            failures.push({ fine: fine._id, error: error.message });
+          }
+        }
+
+        campaign.status = 'applied';
+        campaign.appliedBy = appliedBy._id;
+        campaign.appliedAt = new Date();
+        campaign.results = {
+          finesWaived,
+          membersAffected: byMember.size,
+          totalWaived,
+          failures
+        };
+        await campaign.save();
+      } catch (error) {
+        // Nothing waived yet: hand the campaign back as a draft to retry.
+        // Once fines are waived a rerun would waive them again, so the
+        // campaign is marked failed with what it managed.
+        await AmnestyCampaign.findOneAndUpdate(
+          { _id: campaign._id, status: 'applying' },
+          finesWaived === 0
+            ? { status: 'draft' }
+            : {
+                status: 'failed',
+                appliedBy: appliedBy._id,
+                appliedAt: new Date(),
+                failureReason: error.message,
+                results: { finesWaived, membersAffected: byMember.size, totalWaived, failures }
+              }
+        );
+        throw error;
+      }
+
+      // One audit entry for the whole run
+      await AuditLog.create({
+        user: appliedBy._id,
+        action: 'amnesty_apply',
+        entity: 'fine',
+        entityId: campaign._id,
+        details: `${appliedBy.name} applied amnesty "${campaign.name}": ${finesWaived} fine(s) for ${byMember.size} member(s), KES ${totalWaived} waived`,
+        ipAddress: requestInfo.ipAddress,
+        userAgent: requestInfo.userAgent,
+        status: failures.length > 0 ? 'warning' : 'success',
+        severity: 'high',
+        metadata: {
+          campaignId: campaign._id,
+          waiverPercentage: campaign.waiverPercentage,
+          finesWaived,
+          membersAffected: byMember.size,
+          totalWaived,
+          failures: failures.length
+        }
+      });
+
+      // One notice per member, with their receipts attached
+      for (const { user, amount, receipts } of byMember.values()) {
+        try {
+          await notificationService.sendNotification({
+            user,
+            type: 'fine_amnesty',
+            variables: {
+              name: user.name,
+              amount,
+              campaignName: campaign.name,
+              receiptNumbers: receipts.map(receipt => receipt.receiptNumber).join(', ')
+            },
+            channels: ['sms', 'email'],
+            priority: 'medium',
+            receipts: receipts.map(receipt => receipt._id)
+          });
+        } catch (error) {
+          console.error(`Failed to send amnesty notice to user ${user._id}:`, error);
+        }
+      }
+
+      return campaign;
+    } catch (error) {
+      console.error('Error applying amnesty campaign:', error);
+      throw error;
+    }
+  }
+}
+
+export default new AmnestyService();
@@ -0,0 +1,247 @@
+import mongoose from 'mongoose';
+import BroadcastCampaign from '../models/BroadcastCampaign.js';
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import Borrow from '../models/Borrow.js';
+import notificationService from './notificationService.js';
+import templateService from './templateService.js';
+import { splitIntoSegments } from './smsProviders.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Name used to size messages with a {{name}} placeholder
+const SAMPLE_NAME = 'Wanjiru Mwenda';
+
+class BroadcastService {
+  constructor() {
+    this.defaultConfig = {
+      lockMinutes: 10 // How long one run holds a campaign while queueing it
+    };
+  }
+
+  // User query for a campaign's segment: role, account status, school and
+  // borrowing state
+  async buildSegmentQuery({ roles = [], statuses = [], schools = [], borrowing = 'any' }) {
+    const query = {};
+    if (roles.length > 0) query.role = { $in: roles };
+    if (statuses.length > 0) query.status = { $in: statuses };
+    if (schools.length > 0) query.school = { $in: schools };
+
+    if (borrowing === 'owes_fines') {
+      query.fineBalance = { $gt: 0 };
+    } else if (borrowing !== 'any') {
+      const loanQuery = {
+        type: { $in: ['borrowed', 'overdue'] },
+        status: { $in: ['active', 'overdue'] }
+      };
+      if (borrowing === 'overdue') loanQuery.dueDate = { $lt: new Date() };
+
+      const borrowers = await Borrow.distinct('user', loanQuery);
+      query._id = borrowing === 'no_loans' ? { $nin: borrowers } : { $in: borrowers };
+    }
+
+    return query;
+  }
+
+  // Recipients and SMS cost a campaign would have, without sending it.
+  // Member preferences and guardian copies can change the final figures.
+  async estimate(campaign) {
+    try {
+      const query = await this.buildSegmentQuery(campaign);
+      const { channels = [] } = campaign;
+
+      const [recipientCount, smsRecipients, emailRecipients] = await Promise.all([
+        User.countDocuments(query),
+        channels.includes('sms') ? User.countDocuments({ ...query, phone: { $nin: [null, ''] } }) : 0,
+        channels.includes('email') ? User.countDocuments({ ...query, email: { $nin: [null, ''] } }) : 0
+      ]);
+
+      const smsConfig = await notificationService.getSmsConfig();
+      const { totalSegments, truncated } = splitIntoSegments(
+        templateService.renderText(campaign.message, { name: SAMPLE_NAME }),
+        smsConfig.maxSegments
+      );
+      const segmentsPerMessage = Math.min(totalSegments, smsConfig.maxSegments);
+      const estimatedSmsCost = round(smsRecipients * segmentsPerMessage * smsConfig.costPerSegment);
+      const spentToday = smsConfig.dailySpendLimit > 0 ? await notificationService.getSmsSpendToday() : 0;
+
+      return {
+        recipientCount,
+        smsRecipients,
+        emailRecipients,
+        segmentsPerMessage: channels.includes('sms') ? segmentsPerMessage : 0,
+        truncated: channels.includes('sms') && truncated,
+        costPerSegment: smsConfig.costPerSegment,
+        estimatedSmsCost,
+        dailySpendLimit: smsConfig.dailySpendLimit,
+        spentToday,
+        withinDailyLimit: smsConfig.dailySpendLimit === 0 || spentToday + estimatedSmsCost <= smsConfig.dailySpendLimit
+      };
+    } catch (error) {
+      console.error('Error estimating broadcast campaign:', error);
+      throw error;
+    }
+  }
+
+  async createCampaign(fields, createdBy) {
+    try {
+      // Estimate from the document so model defaults (active members only)
+      // apply to the figures just as they do to the send
+      const campaign = new BroadcastCampaign({ ...fields, createdBy });
+      const estimate = await this.estimate(campaign);
+      campaign.estimatedSmsCost = estimate.estimatedSmsCost;
+      await campaign.save();
+
+      if (campaign.scheduledFor <= new Date()) {
+        setImmediate(() => {
+          this.dispatchDueCampaigns().catch(error => console.error('Broadcast dispatch failed:', error));
+        });
+      }
+
+      return { campaign, estimate };
+    } catch (error) {
+      console.error('Error creating broadcast campaign:', error);
+      throw error;
+    }
+  }
+
+  async cancelCampaign(campaignId, cancelledBy) {
+    try {
+      const campaign = await BroadcastCampaign.findOneAndUpdate(
+        { _id: campaignId, status: 'scheduled' },
+        { status: 'cancelled', cancelledBy, cancelledAt: new Date() },
+        { new: true }
+      );
+
+      if (!campaign) {
+        throw new Error('Only scheduled campaigns can be cancelled');
+      }
+
+      return campaign;
+    } catch (error) {
+      console.error('Error cancelling broadcast campaign:', error);
+      throw error;
+    }
+  }
+
+  lockExpiry() {
+    return new Date(Date.now() + this.defaultConfig.lockMinutes * 60 * 1000);
+  }
+
+  // Queue one notification per member in the segment. Members who already
+  // have one for the campaign are skipped, so an interrupted run can be
+  // picked up again.
+  async queueCampaign(campaign) {
+    const notified = new Set((await Notification.distinct('user', {
+      campaign: campaign._id,
+      recipient: { $ne: 'guardian' }
+    })).map(String));
+
+    const users = await User.find(await this.buildSegmentQuery(campaign))
+      .select('name email phone role preferredLanguage');
+    let queuedCount = 0;
+
+    for (const user of users) {
+      if (notified.has(String(user._id))) continue;
+
+      try {
+        await notificationService.sendNotification({
+          user,
+          type: 'announcement',
+          title: templateService.renderText(campaign.title, { name: user.name }),
+          message: templateService.renderText(campaign.message, { name: user.name }),
+          channels: campaign.channels,
+          priority: campaign.priority,
+          campaign: campaign._id
+        });
+        notified.add(String(user._id));
+        queuedCount++;
+
+        if (queuedCount % 100 === 0) {
+          campaign.lockedUntil = this.lockExpiry();
+          await campaign.save();
+        }
+      } catch (error) {
+        console.error(`Failed to queue broadcast ${campaign._id} for user ${user._id}:`, error);
+      }
+    }
+
+    campaign.status = 'sent';
+    campaign.sentAt = new Date();
+    campaign.recipientCount = notified.size;
+    campaign.lockedUntil = null;
+    await campaign.save();
+
+    return queuedCount;
+  }
+
+  // Queue every campaign whose scheduled time has passed
+  async dispatchDueCampaigns() {
+    try {
+      let campaignsSent = 0;
+      let notificationsQueued = 0;
+
+      for (;;) {
+        const now = new Date();
+        const campaign = await BroadcastCampaign.findOneAndUpdate(
+          {
+            $or: [
+              { status: 'scheduled', scheduledFor: { $lte: now } },
+              { status: 'sending', lockedUntil: { $lt: now } }
+            ]
+          },
+          { status: 'sending', lockedUntil: this.lockExpiry() },
+          { new: true, sort: { scheduledFor: 1 } }
+        );
+        if (!campaign) break;
+
+        notificationsQueued += await this.queueCampaign(campaign);
+        campaignsSent++;
+      }
+
+      return { campaignsSent, notificationsQueued };
+    } catch (error) {
+      console.error('Error dispatching broadcast campaigns:', error);
+      throw error;
+    }
+  }
+
+  // Delivery counts for a campaign's notifications, per recipient (member
+  // or guardian copy)
+  async getDeliveryStats(campaignId) {
+    try {
+      const isStatus = (field, values) => ({ $sum: { $cond: [{ $in: [field, values] }, 1, 0] } });
+
+      const rows = await Notification.aggregate([
+        { $match: { campaign: new mongoose.Types.ObjectId(campaignId) } },
+        {
+          $group: {
+            _id: '$recipient',
+            total: { $sum: 1 },
+            pending: isStatus('$status', ['pending']),
+            sent: isStatus('$status', ['sent', 'delivered']),
+            failed: isStatus('$status', ['failed']),
+            smsSent: isStatus('$smsStatus', ['sent', 'delivered']),
+            smsFailed: isStatus('$smsStatus', ['failed']),
+            smsSkipped: isStatus('$smsStatus', ['skipped']),
+            emailSent: isStatus('$emailStatus', ['sent', 'delivered']),
+            emailFailed: isStatus('$emailStatus', ['failed']),
+            emailSkipped: isStatus('$emailStatus', ['skipped']),
+            read: { $sum: { $cond: [{ $ifNull: ['$readAt', false] }, 1, 0] } },
+            smsCost: { $sum: '$smsCost' }
+          }
+        }
+      ]);
+
+      return Object.fromEntries(rows.map(({ _id, smsCost, ...counts }) => [
+        _id || 'member',
+        { ...counts, smsCost: round(smsCost) }
+      ]));
+    } catch (error) {
+      console.error('Error fetching broadcast delivery stats:', error);
+      throw error;
+    }
+  }
+}
+
+export default new BroadcastService();
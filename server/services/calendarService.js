@@ -0,0 +1,56 @@
+import LibraryCalendar from '../models/LibraryCalendar.js';
+import moment from 'moment';
+
+// Stop searching for an open day after a year of closures
+const MAX_LOOKAHEAD_DAYS = 366;
+
+class CalendarService {
+  async getCalendar() {
+    return LibraryCalendar.getCalendar();
+  }
+
+  // Get the first open day on or after the given date
+  async nextOpenDay(date, calendar = null) {
+    const cal = calendar || await this.getCalendar();
+    const day = moment(date);
+
+    for (let i = 0; i < MAX_LOOKAHEAD_DAYS; i++) {
+      if (cal.isOpenOn(day.toDate())) return day;
+      day.add(1, 'day');
+    }
+
+    throw new Error('No open day found in the library calendar');
+  }
+
+  // Roll a due date forward to the closing time of the next open day
+  async rollForwardDueDate(date, calendar = null) {
+    const cal = calendar || await this.getCalendar();
+    const day = await this.nextOpenDay(date, cal);
+    const [hour, minute] = cal.getHoursFor(day.toDate()).closesAt.split(':').map(Number);
+
+    return day.hour(hour).minute(minute).second(0).millisecond(0).toDate();
+  }
+
+  // Compute the due date for a loan of the given length starting now
+  async computeDueDate(loanDays, startDate = new Date()) {
+    return this.rollForwardDueDate(moment(startDate).add(loanDays, 'days').toDate());
+  }
+
+  // Count the full days between two dates on which the library was open
+  async countOpenDays(from, to, calendar = null) {
+    const cal = calendar || await this.getCalendar();
+    const start = moment(from);
+    const fullDays = moment(to).diff(start, 'days');
+
+    let openDays = 0;
+    for (let i = 1; i <= fullDays; i++) {
+      if (cal.isOpenOn(start.clone().add(i, 'days').toDate())) {
+        openDays++;
+      }
+    }
+
+    return { openDays, closedDays: Math.max(0, fullDays - openDays) };
+  }
+}
+
+export default new CalendarService();
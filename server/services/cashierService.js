@@ -0,0 +1,104 @@
+import CashierSession from '../models/CashierSession.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class CashierService {
+  // Open a till session for a librarian taking counter payments
+  async openSession(cashierId, openingFloat = 0, notes) {
+    try {
+      const existing = await CashierSession.findOne({ cashier: cashierId, status: 'open' });
+      if (existing) {
+        throw new Error('You already have an open cashier session');
+      }
+
+      return await CashierSession.create({
+        cashier: cashierId,
+        openingFloat: round(Number(openingFloat) || 0),
+        notes
+      });
+    } catch (error) {
+      // Another request opened one first
+      if (error.code === 11000) {
+        throw new Error('You already have an open cashier session');
+      }
+      console.error('Error opening cashier session:', error);
+      throw error;
+    }
+  }
+
+  async getOpenSession(cashierId) {
+    return CashierSession.findOne({ cashier: cashierId, status: 'open' });
+  }
+
+  // Payments and refunds recorded against a session, by payment method
+  async getSessionTotals(sessionId) {
+    const rows = await LedgerEntry.aggregate([
+      { $match: { cashierSession: sessionId, entryType: { $in: ['paid', 'refunded'] } } },
+      {
+        $group: {
+          _id: { entryType: '$entryType', method: '$method' },
+          total: { $sum: '$amount' }
+        }
+      }
+    ]);
+
+    const totals = {
+      takings: { cash: 0, mpesa: 0, bank: 0 },
+      refunds: { cash: 0, mpesa: 0, bank: 0 }
+    };
+
+    rows.forEach(({ _id, total }) => {
+      const bucket = _id.entryType === 'paid' ? totals.takings : totals.refunds;
+      const method = _id.method || 'cash';
+      bucket[method] = round(bucket[method] + total);
+    });
+
+    return totals;
+  }
+
+  // Close a session with the cash counted in the drawer and work out the variance
+  async closeSession(sessionId, countedCash, closedBy, notes) {
+    try {
+      const session = await CashierSession.findById(sessionId);
+      if (!session) {
+        throw new Error('Cashier session not found');
+      }
+
+      if (session.status !== 'open') {
+        throw new Error('Cashier session is already closed');
+      }
+
+      const { takings, refunds } = await this.getSessionTotals(session._id);
+      const expectedCash = round(session.openingFloat + takings.cash - refunds.cash);
+      const counted = round(Number(countedCash));
+
+      // Only one close wins when two arrive together
+      const closed = await CashierSession.findOneAndUpdate(
+        { _id: session._id, status: 'open' },
+        {
+          takings,
+          refunds,
+          expectedCash,
+          countedCash: counted,
+          variance: round(counted - expectedCash),
+          status: 'closed',
+          closedAt: new Date(),
+          closedBy,
+          ...(notes && { notes: session.notes ? `${session.notes}\n${notes}` : notes })
+        },
+        { new: true }
+      );
+      if (!closed) {
+        throw new Error('Cashier session is already closed');
+      }
+
+      return closed;
+    } catch (error) {
+      console.error('Error closing cashier session:', error);
+      throw error;
+    }
+  }
+}
+
+export default new CashierService();
@@ -0,0 +1,120 @@
+import Borrow from '../models/Borrow.js';
+import Fine from '../models/Fine.js';
+import SystemConfig from '../models/SystemConfig.js';
+import moment from 'moment';
+
+class EligibilityService {
+  constructor() {
+    this.defaultConfig = {
+      fineBalanceThreshold: 500, // KES owed before borrowing is blocked
+      overdueItemsLimit: 2, // Overdue loans that block borrowing (0 disables)
+      fineAgeDays: 60 // Age of the oldest unpaid fine that blocks borrowing (0 disables)
+    };
+  }
+
+  async getThresholds() {
+    const [fineBalanceThreshold, overdueItemsLimit, fineAgeDays] = await Promise.all([
+      SystemConfig.getValue('block_fine_balance', this.defaultConfig.fineBalanceThreshold),
+      SystemConfig.getValue('block_overdue_items', this.defaultConfig.overdueItemsLimit),
+      SystemConfig.getValue('block_fine_age_days', this.defaultConfig.fineAgeDays)
+    ]);
+
+    return {
+      fineBalanceThreshold: Number(fineBalanceThreshold),
+      overdueItemsLimit: Number(overdueItemsLimit),
+      fineAgeDays: Number(fineAgeDays)
+    };
+  }
+
+  // Whether a member can borrow right now, and every reason they cannot.
+  // Fine and overdue blocks can be overridden by staff; account status and
+  // the loan limit cannot.
+  async checkBorrowing(user) {
+    try {
+      const thresholds = await this.getThresholds();
+      const now = new Date();
+
+      const [overdueItems, oldestFine] = await Promise.all([
+        Borrow.countDocuments({
+          user: user._id,
+          type: { $in: ['borrowed', 'overdue'] },
+          status: { $in: ['active', 'overdue'] },
+          dueDate: { $lt: now }
+        }),
+        Fine.findOne({ user: user._id, status: 'pending' }).sort({ createdAt: 1 })
+      ]);
+
+      const fineBalance = Math.round((user.fineBalance || 0) * 100) / 100;
+      const oldestFineDays = oldestFine ? moment(now).diff(oldestFine.createdAt, 'days') : 0;
+      const blocks = [];
+
+      if (user.status !== 'active') {
+        blocks.push({
+          rule: 'account_status',
+          message: `Account is ${user.status}`,
+          overridable: false
+        });
+      }
+
+      if (user.currentBooksBorrowed >= user.maxBooksAllowed) {
+        blocks.push({
+          rule: 'loan_limit',
+          message: `Has ${user.currentBooksBorrowed} of ${user.maxBooksAllowed} books allowed on loan`,
+          value: user.currentBooksBorrowed,
+          limit: user.maxBooksAllowed,
+          overridable: false
+        });
+      }
+
+      if (fineBalance > thresholds.fineBalanceThreshold) {
+        blocks.push({
+          rule: 'fine_balance',
+          message: `Owes KES ${fineBalance}, above the KES ${thresholds.fineBalanceThreshold} limit`,
+          value: fineBalance,
+          limit: thresholds.fineBalanceThreshold,
+          overridable: true
+        });
+      }
+
+      if (thresholds.overdueItemsLimit > 0 && overdueItems >= thresholds.overdueItemsLimit) {
+        blocks.push({
+          rule: 'overdue_items',
+          message: `Has ${overdueItems} overdue item(s); borrowing stops at ${thresholds.overdueItemsLimit}`,
+          value: overdueItems,
+          limit: thresholds.overdueItemsLimit,
+          overridable: true
+        });
+      }
+
+      if (thresholds.fineAgeDays > 0 && oldestFine && oldestFineDays >= thresholds.fineAgeDays) {
+        blocks.push({
+          rule: 'fine_age',
+          message: `Has a fine unpaid for ${oldestFineDays} days; borrowing stops at ${thresholds.fineAgeDays} days`,
+          value: oldestFineDays,
+          limit: thresholds.fineAgeDays,
+          overridable: true
+        });
+      }
+
+      return {
+        eligible: blocks.length === 0,
+        overridable: blocks.length > 0 && blocks.every(block => block.overridable),
+        blocks,
+        status: {
+          accountStatus: user.status,
+          booksBorrowed: user.currentBooksBorrowed,
+          maxBooksAllowed: user.maxBooksAllowed,
+          fineBalance,
+          overdueItems,
+          oldestUnpaidFineDays: oldestFine ? oldestFineDays : null
+        },
+        thresholds
+      };
+    } catch (error) {
+      console.error('Error checking borrowing eligibility:', error);
+      throw error;
+    }
+  }
+}
+
+export default new EligibilityService();
@@ -1,8 +1,17 @@
 import Fine from '../models/Fine.js';
 import Borrow from '../models/Borrow.js';
 import User from '../models/User.js';
+import Book from '../models/Book.js';
+import BookCopy from '../models/BookCopy.js';
 import SystemConfig from '../models/SystemConfig.js';
+import FinePolicy from '../models/FinePolicy.js';
+import Receipt from '../models/Receipt.js';
 import notificationService from './notificationService.js';
+import calendarService from './calendarService.js';
+import instalmentService from './instalmentService.js';
+import ledgerService from './ledgerService.js';
+import receiptService from './receiptService.js';
+import { withTransaction } from '../config/db.js';
 import moment from 'moment';
 
 class FineService {
@@ -16,52 +25,98 @@ class FineService {
     };
   }
 
+  // Work out the fine rules for a book and borrower: the most specific
+  // matching fine policy, or the global settings when no rule matches
+  async resolveFinePolicy({ bookType, audience, role }) {
+    const rule = await FinePolicy.resolve({ bookType, audience, role });
+
+    if (rule) {
+      return {
+        policyId: rule._id,
+        name: rule.name,
+        rateType: rule.rateType,
+        rate: rule.rate,
+        gracePeriod: rule.gracePeriod,
+        maxFine: rule.maxFine,
+        lostMultiplier: rule.lostMultiplier
+      };
+    }
+
+    const rateType = await SystemConfig.getValue('fine_rate_type', 'per_day');
+    const rate = rateType === 'per_hour'
+      ? await SystemConfig.getValue('fine_hourly_rate', this.defaultConfig.hourlyRate)
+      : await SystemConfig.getValue('fine_daily_rate', this.defaultConfig.dailyRate);
+
+    return {
+      policyId: null,
+      name: 'Global default',
+      rateType,
+      rate: Number(rate),
+      gracePeriod: Number(await SystemConfig.getValue('grace_period_days', this.defaultConfig.gracePeriod)),
+      maxFine: Number(await SystemConfig.getValue('max_fine_amount', this.defaultConfig.maxFine)),
+      lostMultiplier: Number(await SystemConfig.getValue('lost_book_multiplier', this.defaultConfig.lostBookMultiplier))
+    };
+  }
+
+  // Overdue charge for a loan due at dueDate and returned (or still out) at returnedAt
+  async computeOverdueAmount(policy, dueDate, returnedAt = new Date()) {
+    const due = moment(dueDate);
+    const until = moment(returnedAt);
+
+    // Days the library was closed do not count towards the fine
+    const { openDays: overdueDays, closedDays } = await calendarService.countOpenDays(due, until);
+
+    // Check if grace period applies
+    if (overdueDays <= policy.gracePeriod) {
+      return { fineAmount: 0, overdueDays, gracePeriodUsed: true };
+    }
+
+    // Calculate fine based on rate type
+    let fineAmount = 0;
+    if (policy.rateType === 'per_hour') {
+      const overdueHours = until.diff(due, 'hours') - closedDays * 24;
+      fineAmount = Math.max(0, overdueHours - (policy.gracePeriod * 24)) * policy.rate;
+    } else {
+      fineAmount = Math.max(0, overdueDays - policy.gracePeriod) * policy.rate;
+    }
+
+    // Apply maximum fine limit
+    if (policy.maxFine !== null && policy.maxFine !== undefined) {
+      fineAmount = Math.min(fineAmount, policy.maxFine);
+    }
+
+    return {
+      fineAmount: Math.round(fineAmount * 100) / 100, // Round to 2 decimal places
+      overdueDays,
+      gracePeriodUsed: false
+    };
+  }
+
   // Calculate fine for overdue book
-  async calculateOverdueFine(borrowId) {
+  async calculateOverdueFine(borrowId, session = null) {
     try {
       const borrow = await Borrow.findById(borrowId)
         .populate('user')
-        .populate('book');
+        .populate('book')
+        .session(session);
 
       if (!borrow || borrow.status === 'completed') {
         throw new Error('Invalid borrow record or already completed');
       }
 
-      // Get system configuration
-      const gracePeriod = await SystemConfig.getValue('grace_period_days', this.defaultConfig.gracePeriod);
-      const dailyRate = await SystemConfig.getValue('fine_daily_rate', this.defaultConfig.dailyRate);
-      const hourlyRate = await SystemConfig.getValue('fine_hourly_rate', this.defaultConfig.hourlyRate);
-      const rateType = await SystemConfig.getValue('fine_rate_type', 'per_day');
-
-      const now = moment();
-      const dueDate = moment(borrow.dueDate);
-      const overdueDays = now.diff(dueDate, 'days');
-
-      // Check if grace period applies
-      if (overdueDays <= gracePeriod) {
-        return { fineAmount: 0, gracePeriodUsed: true };
-      }
-
-      // Calculate fine based on rate type
-      let fineAmount = 0;
-      if (rateType === 'per_hour') {
-        const overdueHours = now.diff(dueDate, 'hours');
-        fineAmount = Math.max(0, overdueHours - (gracePeriod * 24)) * hourlyRate;
-      } else {
-        fineAmount = Math.max(0, overdueDays - gracePeriod) * dailyRate;
-      }
-
-      // Apply maximum fine limit
-      const maxFine = await SystemConfig.getValue('max_fine_amount', this.defaultConfig.maxFine);
-      fineAmount = Math.min(fineAmount, maxFine);
+      const policy = await this.resolveFinePolicy({
+        bookType: borrow.book.bookType,
+        audience: borrow.book.audience,
+        role: borrow.user.role
+      });
+      const result = await this.computeOverdueAmount(policy, borrow.dueDate);
 
       return {
-        fineAmount: Math.round(fineAmount * 100) / 100, // Round to 2 decimal places
-        overdueDays,
-        gracePeriodUsed: false,
-        rateType,
-        dailyRate,
-        hourlyRate
+        ...result,
+        rateType: policy.rateType,
+        rate: policy.rate,
+        gracePeriod: policy.gracePeriod,
+        finePolicy: policy.policyId
       };
     } catch (error) {
       console.error('Error calculating overdue fine:', error);
@@ -69,50 +124,69 @@ class FineService {
     }
   }
 
-  // Create fine for overdue book
-  async createOverdueFine(borrowId, issuedBy) {
+  // Create fine for overdue book. Pass the caller's session to make this
+  // part of its transaction, with notify: false to send the notice after commit.
+  async createOverdueFine(borrowId, issuedBy, session = null, { notify = true } = {}) {
     try {
       const borrow = await Borrow.findById(borrowId)
         .populate('user')
-        .populate('book');
+        .populate('book')
+        .session(session);
 
       if (!borrow) {
         throw new Error('Borrow record not found');
       }
 
       // Check if fine already exists
-      const existingFine = await Fine.findOne({ borrow: borrowId, type: 'overdue' });
+      const existingFine = await Fine.findOne({ borrow: borrowId, type: 'overdue' }).session(session);
       if (existingFine) {
         throw new Error('Fine already exists for this borrow');
       }
 
-      const fineCalculation = await this.calculateOverdueFine(borrowId);
+      const fineCalculation = await this.calculateOverdueFine(borrowId, session);
       
       if (fineCalculation.fineAmount === 0) {
         return null; // No fine needed
       }
 
-      // Create fine record
-      const fine = await Fine.create({
-        user: borrow.user._id,
-        borrow: borrowId,
-        amount: fineCalculation.fineAmount,
-        type: 'overdue',
-        dueDate: moment().add(7, 'days').toDate(), // Fine due in 7 days
-        baseAmount: fineCalculation.fineAmount,
-        rateType: fineCalculation.rateType,
-        rate: fineCalculation.rateType === 'per_hour' ? fineCalculation.hourlyRate : fineCalculation.dailyRate,
-        gracePeriod: await SystemConfig.getValue('grace_period_days', this.defaultConfig.gracePeriod),
-        overdueDays: fineCalculation.overdueDays
-      });
+      const recordFine = async (session) => {
+        // Create fine record
+        const [overdueFine] = await Fine.create([{
+          user: borrow.user._id,
+          borrow: borrowId,
+          amount: fineCalculation.fineAmount,
+          type: 'overdue',
+          dueDate: moment().add(7, 'days').toDate(), // Fine due in 7 days
+          baseAmount: fineCalculation.fineAmount,
+          rateType: fineCalculation.rateType,
+          rate: fineCalculation.rate,
+          gracePeriod: fineCalculation.gracePeriod,
+          overdueDays: fineCalculation.overdueDays,
+          finePolicy: fineCalculation.finePolicy
+        }], { session });
+
+        // Update user's fine balance
+        await User.findByIdAndUpdate(borrow.user._id, {
+          $inc: { fineBalance: fineCalculation.fineAmount }
+        }, { session });
+
+        await ledgerService.record('assessed', {
+          user: borrow.user._id,
+          fine: overdueFine._id,
+          amount: fineCalculation.fineAmount,
+          recordedBy: issuedBy,
+          description: `Overdue fine: ${fineCalculation.overdueDays} day(s)`
+        }, session);
+
+        return overdueFine;
+      };
 
-      // Update user's fine balance
-      await User.findByIdAndUpdate(borrow.user._id, {
-        $inc: { fineBalance: fineCalculation.fineAmount }
-      });
+      const fine = session ? await recordFine(session) : await withTransaction(recordFine);
 
       // Send fine notice
-      await notificationService.sendFineNotice(fine);
+      if (notify) {
+        await notificationService.sendFineNotice(fine);
+      }
 
       return fine;
     } catch (error) {
@@ -121,6 +195,72 @@ class FineService {
     }
   }
 
+  // Bring an accruing overdue fine up to date with a fresh calculation
+  async refreshOverdueFine(fine, fineCalculation, session = null) {
+    const difference = fineCalculation.fineAmount - fine.amount;
+
+    fine.amount = fineCalculation.fineAmount;
+    fine.baseAmount = fineCalculation.fineAmount;
+    fine.overdueDays = fineCalculation.overdueDays || 0;
+    if (fine.amountPaid > 0 && fine.amountPaid + (fine.amountWaived || 0) >= fine.amount) {
+      fine.status = 'paid';
+      fine.paidAt = new Date();
+    }
+
+    const saveFine = async (session) => {
+      await fine.save({ session });
+
+      if (difference !== 0) {
+        await User.findByIdAndUpdate(fine.user, {
+          $inc: { fineBalance: difference }
+        }, { session });
+
+        await ledgerService.record('adjusted', {
+          user: fine.user,
+          fine: fine._id,
+          amount: difference,
+          description: `Overdue fine accrued to ${fine.overdueDays} day(s)`
+        }, session);
+      }
+    };
+
+    await (session ? saveFine(session) : withTransaction(saveFine));
+
+    return fine;
+  }
+
+  // Finalize the overdue fine when a late book is checked in.
+  // Must run before the borrow is marked completed; pass the session of the
+  // transaction that closes the loan. Returns the fine and whether it was
+  // created here, so the caller can send a new fine's notice after commit.
+  async finalizeOverdueFine(borrowId, processedBy, session = null) {
+    try {
+      const fineCalculation = await this.calculateOverdueFine(borrowId, session);
+      let fine = await Fine.findOne({ borrow: borrowId, type: 'overdue' }).session(session);
+      let created = false;
+
+      if (fine) {
+        // Settled fines are left as they are
+        if (fine.status !== 'pending' || fine.isFinal) {
+          return { fine, created };
+        }
+        await this.refreshOverdueFine(fine, fineCalculation, session);
+      } else {
+        fine = await this.createOverdueFine(borrowId, processedBy, session, { notify: false });
+        if (!fine) return { fine: null, created };
+        created = true;
+      }
+
+      fine.isFinal = true;
+      fine.finalizedAt = new Date();
+      await fine.save({ session });
+      return { fine, created };
+    } catch (error) {
+      console.error('Error finalizing overdue fine:', error);
+      throw error;
+    }
+  }
+
   // Create fine for lost book
   async createLostBookFine(borrowId, issuedBy, replacementCost = null) {
     try {
@@ -138,34 +278,86 @@ class FineService {
         throw new Error('Fine already exists for this lost book');
       }
 
+      if (!['borrowed', 'overdue'].includes(borrow.type) || borrow.status === 'completed') {
+        throw new Error('Only books currently on loan can be declared lost');
+      }
+
       // Calculate replacement cost
+      const policy = await this.resolveFinePolicy({
+        bookType: borrow.book.bookType,
+        audience: borrow.book.audience,
+        role: borrow.user.role
+      });
       const bookValue = replacementCost || borrow.book.price;
-      const fineAmount = bookValue * this.defaultConfig.lostBookMultiplier;
+      const fineAmount = Math.round(bookValue * policy.lostMultiplier * 100) / 100;
 
-      // Create fine record
-      const fine = await Fine.create({
-        user: borrow.user._id,
-        borrow: borrowId,
-        amount: fineAmount,
-        type: 'lost',
-        dueDate: moment().add(14, 'days').toDate(), // Lost book fine due in 14 days
-        baseAmount: fineAmount,
-        rateType: 'fixed',
-        rate: 0,
-        bookValue,
-        replacementCost: fineAmount
-      });
+      // Overdue fines stop accruing once the book is declared lost
+      if (borrow.dueDate && new Date() > borrow.dueDate) {
+        const overdue = await this.finalizeOverdueFine(borrowId, issuedBy);
+        if (overdue.created) {
+          await notificationService.sendFineNotice(overdue.fine);
+        }
+      }
 
-      // Mark borrow as lost
-      await Borrow.findByIdAndUpdate(borrowId, {
-        isLost: true,
-        lostAt: new Date(),
-        status: 'completed'
-      });
+      // Mark the loan lost, charge the fine, withdraw the copy
+      // and release the counters together
+      const fine = await withTransaction(async (session) => {
+        const lostBorrow = await Borrow.findOneAndUpdate(
+          { _id: borrowId, isLost: false, status: { $in: ['active', 'overdue'] } },
+          { isLost: true, lostAt: new Date(), status: 'completed', type: 'lost', replacementCost: bookValue },
+          { new: true, session }
+        );
+        if (!lostBorrow) {
+          throw new Error('Borrow is not an open loan');
+        }
 
-      // Update user's fine balance
-      await User.findByIdAndUpdate(borrow.user._id, {
-        $inc: { fineBalance: fineAmount }
+        // Create fine record
+        const [lostFine] = await Fine.create([{
+          user: borrow.user._id,
+          borrow: borrowId,
+          amount: fineAmount,
+          type: 'lost',
+          dueDate: moment().add(14, 'days').toDate(), // Lost book fine due in 14 days
+          baseAmount: fineAmount,
+          rateType: 'fixed',
+          rate: 0,
+          bookValue,
+          replacementCost: fineAmount,
+          finePolicy: policy.policyId
+        }], { session });
+
+        // Update user's fine balance and borrowed count
+        await User.findByIdAndUpdate(borrow.user._id, {
+          $inc: { fineBalance: fineAmount }
+        }, { session });
+        await ledgerService.record('assessed', {
+          user: borrow.user._id,
+          fine: lostFine._id,
+          amount: fineAmount,
+          recordedBy: issuedBy,
+          description: `Lost book: ${borrow.book.title}`
+        }, session);
+        await User.findOneAndUpdate(
+          { _id: borrow.user._id, currentBooksBorrowed: { $gt: 0 } },
+          { $inc: { currentBooksBorrowed: -1 } },
+          { session }
+        );
+        await Book.findOneAndUpdate(
+          { _id: borrow.book._id, currentBorrows: { $gt: 0 } },
+          { $inc: { currentBorrows: -1 } },
+          { session }
+        );
+
+        if (borrow.copy) {
+          await BookCopy.findOneAndUpdate(
+            { _id: borrow.copy, currentBorrow: borrowId },
+            { status: 'lost', currentBorrow: null, withdrawnAt: new Date() },
+            { session }
+          );
+          await Book.syncCopyCounts(borrow.book._id, session);
+        }
+
+        return lostFine;
       });
 
       // Send fine notice
@@ -178,12 +370,216 @@ class FineService {
     }
   }
 
-  // Pay fine
-  async payFine(fineId, paidBy, paymentMethod = 'cash', receiptNumber = null) {
+  // Reverse the lost book fine when the book turns up after all.
+  // Pass the caller's session to make this part of its transaction.
+  async reverseLostBookFine(borrowId, reversedBy, session = null) {
     try {
-      const fine = await Fine.findById(fineId)
+      const fine = await Fine.findOne({
+        borrow: borrowId,
+        type: 'lost',
+        status: { $in: ['pending', 'paid'] }
+      }).session(session);
+
+      if (!fine) {
+        return null;
+      }
+
+      return await this.reverseFine(fine, reversedBy, 'lost book was found', session);
+    } catch (error) {
+      console.error('Error reversing lost book fine:', error);
+      throw error;
+    }
+  }
+
+  // Reverse a wrongly charged fine. A pending fine is cancelled; a paid
+  // one is credited to the member's account, in full or up to `amount`.
+  // Money already paid becomes credit, which can then be refunded. What
+  // has already been credited is not credited again.
+  async reverseFine(fine, reversedBy, reason, session = null, amount = null) {
+    if (!['pending', 'paid'].includes(fine.status)) {
+      return fine;
+    }
+
+    // Any part already waived or credited is off the balance
+    const remaining = Math.round((fine.amount - (fine.amountWaived || 0) - (fine.creditedAmount || 0)) * 100) / 100;
+    const reversal = fine.status === 'paid' && amount !== null ? Math.min(amount, remaining) : remaining;
+    if (reversal <= 0) {
+      return fine;
+    }
+
+    if (fine.status === 'pending') {
+      // Instalments already paid become credit
+      if (fine.amountPaid > 0) {
+        fine.creditedAmount = fine.amountPaid;
+        fine.creditedAt = new Date();
+        fine.creditedBy = reversedBy;
+      }
+      fine.status = 'cancelled';
+      fine.notes = [fine.notes, `Cancelled: ${reason}`].filter(Boolean).join('\n');
+    } else {
+      fine.creditedAmount = Math.round(((fine.creditedAmount || 0) + reversal) * 100) / 100;
+      fine.creditedAt = new Date();
+      fine.creditedBy = reversedBy;
+      fine.notes = [fine.notes, `Credited: ${reason}`].filter(Boolean).join('\n');
+    }
+    await fine.save({ session });
+
+    // Either way the amount comes off the balance; below zero it is
+    // credit towards future fines
+    await User.findByIdAndUpdate(fine.user, {
+      $inc: { fineBalance: -reversal }
+    }, { session });
+
+    await ledgerService.record('adjusted', {
+      user: fine.user,
+      fine: fine._id,
+      amount: -reversal,
+      recordedBy: reversedBy,
+      description: `Fine reversed: ${reason}`
+    }, session);
+
+    return fine;
+  }
+
+  // Charge for damage found on a borrowed copy and record its condition
+  async createDamageFine(borrowId, issuedBy, condition, amount, notes) {
+    try {
+      const borrow = await Borrow.findById(borrowId)
         .populate('user')
-        .populate('borrow');
+        .populate('book');
+
+      if (!borrow) {
+        throw new Error('Borrow record not found');
+      }
+
+      if (borrow.type === 'reservation') {
+        throw new Error('Damage can only be assessed on a loan');
+      }
+
+      // Check if fine already exists
+      const existingFine = await Fine.findOne({ borrow: borrowId, type: 'damaged', status: { $ne: 'cancelled' } });
+      if (existingFine) {
+        throw new Error('Damage has already been assessed for this loan');
+      }
+
+      const fine = await withTransaction(async (session) => {
+        let damageFine = null;
+        if (amount > 0) {
+          [damageFine] = await Fine.create([{
+            user: borrow.user._id,
+            borrow: borrowId,
+            amount,
+            type: 'damaged',
+            dueDate: moment().add(14, 'days').toDate(),
+            baseAmount: amount,
+            rateType: 'fixed',
+            rate: 0,
+            bookValue: borrow.book.price,
+            condition,
+            notes,
+            isFinal: true,
+            finalizedAt: new Date()
+          }], { session });
+
+          await User.findByIdAndUpdate(borrow.user._id, {
+            $inc: { fineBalance: amount }
+          }, { session });
+
+          await ledgerService.record('assessed', {
+            user: borrow.user._id,
+            fine: damageFine._id,
+            amount,
+            recordedBy: issuedBy,
+            description: `Damage assessed: ${condition}`
+          }, session);
+        }
+
+        if (borrow.copy) {
+          const copy = await BookCopy.findById(borrow.copy).session(session);
+          if (copy) {
+            copy.condition = condition;
+            // Badly damaged copies on the shelf go for repair; one still on
+            // loan is sent for repair when it is checked in
+            if (condition === 'damaged' && copy.status === 'available') {
+              copy.status = 'in_repair';
+            }
+            await copy.save({ session });
+            await Book.syncCopyCounts(borrow.book._id, session);
+          }
+        }
+
+        return damageFine;
+      });
+
+      if (fine) {
+        await notificationService.sendFineNotice(fine);
+      }
+
+      return fine;
+    } catch (error) {
+      console.error('Error creating damage fine:', error);
+      throw error;
+    }
+  }
+
+  // Create fine for a reservation that was never collected.
+  // Only charged when reservation_expiry_fine is configured above zero.
+  async createReservationExpiredFine(borrowId, issuedBy) {
+    try {
+      const amount = Number(await SystemConfig.getValue('reservation_expiry_fine', 0));
+      if (!amount || amount <= 0) {
+        return null;
+      }
+
+      const borrow = await Borrow.findById(borrowId);
+      if (!borrow) {
+        throw new Error('Borrow record not found');
+      }
+
+      const existingFine = await Fine.findOne({ borrow: borrowId, type: 'reservation_expired' });
+      if (existingFine) {
+        return existingFine;
+      }
+
+      return await withTransaction(async (session) => {
+        const [fine] = await Fine.create([{
+          user: borrow.user,
+          borrow: borrowId,
+          amount,
+          type: 'reservation_expired',
+          dueDate: moment().add(7, 'days').toDate(),
+          baseAmount: amount,
+          rateType: 'fixed',
+          rate: 0,
+          isFinal: true,
+          finalizedAt: new Date()
+        }], { session });
+
+        // Update user's fine balance
+        await User.findByIdAndUpdate(borrow.user, {
+          $inc: { fineBalance: amount }
+        }, { session });
+
+        await ledgerService.record('assessed', {
+          user: borrow.user,
+          fine: fine._id,
+          amount,
+          description: 'Reservation not collected'
+        }, session);
+
+        return fine;
+      });
+    } catch (error) {
+      console.error('Error creating reservation expired fine:', error);
+      throw error;
+    }
+  }
+
+  // Pay a fine in full, or part of it when an amount is given
+  // Returns the fine and the receipt issued for the payment
+  async payFine(fineId, paidBy, paymentMethod = 'cash', reference = null, amount = null, cashierSession = null) {
+    try {
+      const fine = await Fine.findById(fineId);
 
       if (!fine) {
         throw new Error('Fine not found');
@@ -193,33 +589,157 @@ class FineService {
         throw new Error('Fine is already paid');
       }
 
-      // Mark fine as paid
-      await fine.markAsPaid(paidBy);
+      if (fine.status !== 'pending') {
+        throw new Error(`Cannot pay a ${fine.status} fine`);
+      }
 
-      // Update user's fine balance
-      await User.findByIdAndUpdate(fine.user._id, {
-        $inc: { fineBalance: -fine.amount }
+      const result = await this.allocatePayment(fine.user, amount || fine.outstandingAmount, {
+        fineIds: [fine._id],
+        method: paymentMethod,
+        reference,
+        receivedBy: paidBy,
+        cashierSession
       });
 
-      // Send payment confirmation
-      await notificationService.sendNotification({
-        user: fine.user,
-        type: 'fine_paid',
-        title: 'Fine Payment Confirmed',
-        message: `Your fine of KES ${fine.amount} has been paid successfully. Thank you for settling your account.`,
-        channels: ['email'],
-        priority: 'medium'
+      return { fine: result.allocations[0].fine, receipt: result.receipt };
+    } catch (error) {
+      console.error('Error paying fine:', error);
+      throw error;
+    }
+  }
+
+  // Allocate a payment across the user's pending fines, oldest first.
+  // Pass fineIds to limit it to those fines. Anything left over is
+  // rejected unless allowCredit is set, in which case it stays on the
+  // account as credit (a negative fine balance). Counter payments carry
+  // the cashier session they were taken in. Every payment gets a receipt.
+  async allocatePayment(userId, amount, {
+    fineIds = null, method = 'cash', reference = null, receivedBy = null, payment = null,
+    cashierSession = null, allowCredit = false
+  } = {}) {
+    try {
+      const paidAmount = Math.round(Number(amount) * 100) / 100;
+      if (!(paidAmount > 0)) {
+        throw new Error('Payment amount must be greater than zero');
+      }
+
+      const result = await withTransaction(async (session) => {
+        const query = { user: userId, status: 'pending' };
+        if (fineIds) query._id = { $in: fineIds };
+
+        const fines = await Fine.find(query).sort({ createdAt: 1 }).session(session);
+        const outstanding = Math.round(fines.reduce((sum, fine) => sum + fine.outstandingAmount, 0) * 100) / 100;
+
+        if (!allowCredit) {
+          if (outstanding <= 0) {
+            throw new Error('No outstanding fines to pay');
+          }
+          if (paidAmount > outstanding) {
+            throw new Error(`Amount exceeds the outstanding balance of KES ${outstanding}`);
+          }
+        }
+
+        const receiptNumber = await Receipt.generateReceiptNumber(session);
+        let remaining = paidAmount;
+        const allocations = [];
+
+        for (const fine of fines) {
+          if (remaining <= 0) break;
+
+          const applied = Math.min(remaining, fine.outstandingAmount);
+          if (applied <= 0) continue;
+
+          fine.applyPayment({ amount: applied, method, reference, receivedBy, payment, receiptNumber });
+          await fine.save({ session });
+
+          await ledgerService.record('paid', {
+            user: userId,
+            fine: fine._id,
+            amount: applied,
+            payment,
+            method,
+            reference,
+            cashierSession,
+            recordedBy: receivedBy
+          }, session);
+
+          allocations.push({ fine, amount: applied });
+          remaining = Math.round((remaining - applied) * 100) / 100;
+        }
+
+        // Money received beyond the fines is still taken in, as account credit
+        await ledgerService.record('paid', {
+          user: userId,
+          amount: remaining,
+          payment,
+          method,
+          reference,
+          cashierSession,
+          recordedBy: receivedBy,
+          description: 'Unallocated payment held as account credit'
+        }, session);
+
+        // Update user's fine balance, including any credit left over
+        const updatedUser = await User.findByIdAndUpdate(userId, {
+          $inc: { fineBalance: -paidAmount }
+        }, { new: true, session });
+
+        const receipt = await receiptService.issue({
+          receiptNumber,
+          user: userId,
+          amount: paidAmount,
+          method,
+          reference,
+          allocations: allocations.map(({ fine, amount: allocated }) => ({ fine: fine._id, amount: allocated })),
+          unallocatedAmount: remaining,
+          balanceAfter: Math.round(updatedUser.fineBalance * 100) / 100,
+          payment,
+          cashierSession,
+          issuedBy: receivedBy
+        }, session);
+
+        return { allocations, unallocated: remaining, receipt };
       });
 
-      return fine;
+      try {
+        await instalmentService.applyPayment(userId, result.allocations);
+      } catch (error) {
+        console.error('Failed to credit payment to instalment plan:', error);
+      }
+
+      // Send payment confirmation
+      try {
+        const user = await User.findById(userId);
+        await notificationService.sendNotification({
+          user,
+          type: 'fine_paid',
+          variables: {
+            amount: paidAmount,
+            receiptNumber: result.receipt.receiptNumber,
+            finesCleared: result.allocations.filter(({ fine }) => fine.status === 'paid').length,
+            hasBalance: user.fineBalance > 0,
+            balance: Math.round(user.fineBalance * 100) / 100
+          },
+          channels: ['email'],
+          priority: 'medium',
+          receipts: [result.receipt._id],
+          ...(result.allocations.length === 1 && { relatedFine: result.allocations[0].fine._id })
+        });
+      } catch (error) {
+        console.error('Failed to send payment confirmation:', error);
+      }
+
+      return { ...result, amount: paidAmount };
     } catch (error) {
-      console.error('Error paying fine:', error);
+      console.error('Error allocating payment:', error);
       throw error;
     }
   }
 
-  // Waive fine
-  async waiveFine(fineId, waivedBy, reason) {
+  // Waive fine; returns the fine and the waiver receipt. Pass an amount
+  // to waive part of it, and notify: false when the caller tells the
+  // member itself (e.g. one notice per member for an amnesty).
+  async waiveFine(fineId, waivedBy, reason, { amount = null, notify = true } = {}) {
     try {
       const fine = await Fine.findById(fineId)
         .populate('user');
@@ -232,25 +752,60 @@ class FineService {
         throw new Error('Cannot waive already paid fine');
       }
 
-      // Mark fine as waived
-      await fine.waiveFine(waivedBy, reason);
+      if (fine.status !== 'pending') {
+        throw new Error(`Cannot waive a ${fine.status} fine`);
+      }
 
-      // Update user's fine balance
-      await User.findByIdAndUpdate(fine.user._id, {
-        $inc: { fineBalance: -fine.amount }
+      // Only the unpaid part is waived
+      const waivedAmount = amount === null
+        ? fine.outstandingAmount
+        : Math.min(Math.round(amount * 100) / 100, fine.outstandingAmount);
+      if (!(waivedAmount > 0)) {
+        throw new Error('Nothing left to waive on this fine');
+      }
+
+      const receipt = await withTransaction(async (session) => {
+        // Mark fine as waived
+        await fine.waiveFine(waivedBy, reason, session, waivedAmount);
+
+        // Update user's fine balance
+        const updatedUser = await User.findByIdAndUpdate(fine.user._id, {
+          $inc: { fineBalance: -waivedAmount }
+        }, { new: true, session });
+
+        await ledgerService.record('waived', {
+          user: fine.user._id,
+          fine: fine._id,
+          amount: waivedAmount,
+          recordedBy: waivedBy,
+          description: reason
+        }, session);
+
+        return receiptService.issue({
+          type: 'waiver',
+          user: fine.user._id,
+          amount: waivedAmount,
+          allocations: [{ fine: fine._id, amount: waivedAmount }],
+          balanceAfter: Math.round(updatedUser.fineBalance * 100) / 100,
+          reason,
+          issuedBy: waivedBy
+        }, session);
       });
 
       // Send waiver notification
-      await notificationService.sendNotification({
-        user: fine.user,
-        type: 'fine_waived',
-        title: 'Fine Waived',
-        message: `Your fine of KES ${fine.amount} has been waived. Reason: ${reason}`,
-        channels: ['email'],
-        priority: 'medium'
-      });
+      if (notify) {
+        await notificationService.sendNotification({
+          user: fine.user,
+          type: 'fine_waived',
+          variables: { amount: waivedAmount, receiptNumber: receipt.receiptNumber, reason },
+          channels: ['email'],
+          priority: 'medium',
+          relatedFine: fine._id,
+          receipts: [receipt._id]
+        });
+      }
 
-      return fine;
+      return { fine, receipt, waivedAmount };
     } catch (error) {
       console.error('Error waiving fine:', error);
       throw error;
@@ -353,11 +908,14 @@ class FineService {
 
       for (const borrow of overdueBorrows) {
         try {
-          // Check if fine already exists
+          // Create the fine, or keep an accruing one up to date
           const existingFine = await Fine.findOne({ borrow: borrow._id, type: 'overdue' });
           if (!existingFine) {
             await this.createOverdueFine(borrow._id, borrow.issuedBy);
             processedCount++;
+          } else if (existingFine.status === 'pending' && !existingFine.isFinal) {
+            const fineCalculation = await this.calculateOverdueFine(borrow._id);
+            await this.refreshOverdueFine(existingFine, fineCalculation);
           }
         } catch (error) {
           console.error(`Error processing overdue fine for borrow ${borrow._id}:`, error);
@@ -0,0 +1,307 @@
+import Hold from '../models/Hold.js';
+import Borrow from '../models/Borrow.js';
+import Book from '../models/Book.js';
+import BookCopy from '../models/BookCopy.js';
+import SystemConfig from '../models/SystemConfig.js';
+import notificationService from './notificationService.js';
+import fineService from './fineService.js';
+import { withTransaction } from '../config/db.js';
+import moment from 'moment';
+
+class HoldService {
+  constructor() {
+    this.defaultConfig = {
+      reservationHoldHours: 24 // Hours a promoted hold is kept for collection
+    };
+  }
+
+  // Get how long a reservation is kept before it expires
+  async getReservationHoldHours() {
+    const hours = Number(await SystemConfig.getValue('reservation_hold_hours', this.defaultConfig.reservationHoldHours));
+    return hours > 0 ? hours : this.defaultConfig.reservationHoldHours;
+  }
+
+  // Place a hold on a book that has no copies available
+  async placeHold(userId, bookId, placedBy, notes) {
+    try {
+      const existingHold = await Hold.findOne({
+        user: userId,
+        book: bookId,
+        status: { $in: ['waiting', 'ready'] }
+      });
+
+      if (existingHold) {
+        throw new Error('User already has a hold on this book');
+      }
+
+      const hold = await Hold.create({
+        user: userId,
+        book: bookId,
+        placedBy,
+        notes
+      });
+
+      const position = await hold.getQueuePosition();
+      const estimatedAvailableAt = await this.estimateAvailability(bookId, position);
+
+      return { hold, position, estimatedAvailableAt };
+    } catch (error) {
+      console.error('Error placing hold:', error);
+      throw error;
+    }
+  }
+
+  // Estimate when the hold at the given queue position will get a copy.
+  // Uses due dates of current loans first, then whole loan periods per copy.
+  async estimateAvailability(bookId, position) {
+    try {
+      const book = await Book.findById(bookId);
+      if (!book || position < 1) return null;
+
+      const activeLoans = await Borrow.find({
+        book: bookId,
+        type: { $in: ['borrowed', 'overdue'] },
+        status: { $in: ['active', 'overdue'] }
+      })
+        .select('dueDate')
+        .sort({ dueDate: 1 });
+
+      const now = moment();
+      const dueDates = activeLoans
+        .filter(loan => loan.dueDate)
+        .map(loan => moment.max(now, moment(loan.dueDate)));
+
+      if (position <= dueDates.length) {
+        return dueDates[position - 1].toDate();
+      }
+
+      const loanDays = book.maxBorrowDays || 14;
+      const copies = Math.max(1, book.totalCopies);
+      const cycles = Math.ceil((position - dueDates.length) / copies);
+      const lastKnown = dueDates.length > 0 ? dueDates[dueDates.length - 1] : now;
+
+      return lastKnown.clone().add(cycles * loanDays, 'days').toDate();
+    } catch (error) {
+      console.error('Error estimating hold availability:', error);
+      return null;
+    }
+  }
+
+  // Hand a checked-in copy to the oldest waiting hold.
+  // The copy is set aside for the new reservation. Pass the caller's session
+  // to make this part of its transaction, then call notifyPromotion after commit.
+  // Returns the promoted hold and its reservation, or null when nobody is waiting.
+  async promoteNextHold(bookId, actedBy, copyId = null, session = null) {
+    try {
+      const queue = await Hold.getQueue(bookId).populate('user').session(session);
+      const holdHours = await this.getReservationHoldHours();
+
+      for (const hold of queue) {
+        // Skip patrons who can no longer collect
+        if (!hold.user || hold.user.status !== 'active') {
+          hold.status = 'cancelled';
+          hold.cancelledAt = new Date();
+          hold.notes = [hold.notes, 'Cancelled on promotion: user not active'].filter(Boolean).join('\n');
+          await hold.save({ session });
+          continue;
+        }
+
+        const [reservation] = await Borrow.create([{
+          user: hold.user._id,
+          book: bookId,
+          copy: copyId,
+          type: 'reservation',
+          reservedAt: new Date(),
+          reservedUntil: moment().add(holdHours, 'hours').toDate(),
+          issuedBy: actedBy,
+          notes: `Promoted from hold ${hold._id}`
+        }], { session });
+
+        if (copyId) {
+          await BookCopy.findByIdAndUpdate(
+            copyId,
+            { status: 'reserved', currentBorrow: reservation._id },
+            { session }
+          );
+        }
+
+        hold.status = 'ready';
+        hold.promotedAt = new Date();
+        hold.reservation = reservation._id;
+        await hold.save({ session });
+
+        return { hold, reservation };
+      }
+
+      return null;
+    } catch (error) {
+      console.error('Error promoting hold:', error);
+      throw error;
+    }
+  }
+
+  // Tell the patron their hold is ready for collection
+  async notifyPromotion(promoted) {
+    if (!promoted) return;
+
+    try {
+      await notificationService.sendReservationReadyNotice(promoted.reservation);
+    } catch (error) {
+      console.error('Failed to send reservation ready notice:', error);
+    }
+  }
+
+  // Offer copies that have just reached the shelf (added, repaired or put
+  // back into stock) to the hold queue, one waiting patron per copy.
+  // Returns the holds that were promoted.
+  async promoteToCopies(bookId, actedBy, copyIds) {
+    const promotions = [];
+
+    try {
+      for (const copyId of copyIds) {
+        const promoted = await withTransaction(async (session) => {
+          const promotedHold = await this.promoteNextHold(bookId, actedBy, copyId, session);
+          if (promotedHold) await Book.syncCopyCounts(bookId, session);
+          return promotedHold;
+        });
+        if (!promoted) break;
+
+        promotions.push(promoted);
+      }
+    } catch (error) {
+      console.error('Error promoting holds to new copies:', error);
+    }
+
+    for (const promoted of promotions) {
+      await this.notifyPromotion(promoted);
+    }
+
+    return promotions.map(promoted => promoted.hold);
+  }
+
+  // Release reservations that were not collected in time (cron job).
+  // Each reservation is claimed with a conditional update inside a
+  // transaction, so a concurrent issue of the same reservation wins or
+  // loses cleanly.
+  async processExpiredReservations() {
+    try {
+      const expired = await Borrow.find({
+        type: 'reservation',
+        status: 'active',
+        reservedUntil: { $lt: new Date() }
+      }).select('_id');
+
+      let expiredCount = 0;
+      let promotedCount = 0;
+
+      for (const { _id } of expired) {
+        try {
+          const result = await withTransaction(async (session) => {
+            const reservation = await Borrow.findOneAndUpdate(
+              { _id, type: 'reservation', status: 'active', reservedUntil: { $lt: new Date() } },
+              { status: 'cancelled' },
+              { new: true, session }
+            );
+
+            // Issued or already released in the meantime
+            if (!reservation) return null;
+
+            await Hold.findOneAndUpdate(
+              { reservation: reservation._id, status: 'ready' },
+              { status: 'expired' },
+              { session }
+            );
+
+            // Pass the copy on to the next hold, or back to the shelf.
+            // Only a copy still held for this reservation is touched.
+            const heldCopy = reservation.copy && await BookCopy.exists({
+              _id: reservation.copy,
+              status: 'reserved',
+              currentBorrow: reservation._id
+            }).session(session);
+
+            let promoted = null;
+            if (heldCopy) {
+              promoted = await this.promoteNextHold(reservation.book, reservation.issuedBy, reservation.copy, session);
+              if (!promoted) {
+                await BookCopy.findOneAndUpdate(
+                  { _id: reservation.copy, status: 'reserved', currentBorrow: reservation._id },
+                  { status: 'available', currentBorrow: null },
+                  { session }
+                );
+              }
+            }
+            await Book.syncCopyCounts(reservation.book, session);
+
+            return { reservation, promoted };
+          });
+
+          if (!result) continue;
+          const { reservation, promoted } = result;
+
+          expiredCount++;
+          if (promoted) {
+            promotedCount++;
+            await this.notifyPromotion(promoted);
+          }
+
+          let fine = null;
+          try {
+            fine = await fineService.createReservationExpiredFine(reservation._id, reservation.issuedBy);
+          } catch (error) {
+            console.error(`Failed to create reservation expiry fine for ${reservation._id}:`, error);
+          }
+
+          try {
+            await notificationService.sendReservationExpiredNotice(reservation, fine);
+          } catch (error) {
+            console.error('Failed to send reservation expired notice:', error);
+          }
+        } catch (error) {
+          console.error(`Error expiring reservation ${_id}:`, error);
+        }
+      }
+
+      return { expiredCount, promotedCount };
+    } catch (error) {
+      console.error('Error processing expired reservations:', error);
+      throw error;
+    }
+  }
+
+  // Mark the hold behind a reservation as fulfilled once the book is issued
+  async fulfilHoldForReservation(reservationId, session = null) {
+    return Hold.findOneAndUpdate(
+      { reservation: reservationId, status: 'ready' },
+      { status: 'fulfilled' },
+      { new: true, session }
+    );
+  }
+
+  // Cancel a hold that is still waiting in the queue
+  async cancelHold(holdId, cancelledBy) {
+    try {
+      const hold = await Hold.findById(holdId);
+
+      if (!hold) {
+        throw new Error('Hold not found');
+      }
+
+      if (hold.status !== 'waiting') {
+        throw new Error('Only waiting holds can be cancelled');
+      }
+
+      hold.status = 'cancelled';
+      hold.cancelledAt = new Date();
+      hold.cancelledBy = cancelledBy;
+      await hold.save();
+
+      return hold;
+    } catch (error) {
+      console.error('Error cancelling hold:', error);
+      throw error;
+    }
+  }
+}
+
+export default new HoldService();
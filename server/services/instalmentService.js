@@ -0,0 +1,209 @@
+import InstalmentPlan from '../models/InstalmentPlan.js';
+import Fine from '../models/Fine.js';
+import User from '../models/User.js';
+import SystemConfig from '../models/SystemConfig.js';
+import notificationService from './notificationService.js';
+import moment from 'moment';
+
+const FREQUENCY_STEPS = {
+  weekly: [1, 'weeks'],
+  fortnightly: [2, 'weeks'],
+  monthly: [1, 'months']
+};
+
+class InstalmentService {
+  constructor() {
+    this.defaultConfig = {
+      reminderDays: 2, // Days before an instalment is due
+      maxInstalments: 12
+    };
+  }
+
+  // Split the user's outstanding fines into scheduled instalments
+  async createPlan(userId, { numberOfInstalments, frequency = 'monthly', startDate = null, fineIds = null, notes }, createdBy) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const existingPlan = await InstalmentPlan.findOne({ user: userId, status: 'active' });
+      if (existingPlan) {
+        throw new Error('User already has an active instalment plan');
+      }
+
+      const maxInstalments = Number(await SystemConfig.getValue('max_instalments', this.defaultConfig.maxInstalments));
+      if (numberOfInstalments < 2 || numberOfInstalments > maxInstalments) {
+        throw new Error(`Number of instalments must be between 2 and ${maxInstalments}`);
+      }
+
+      const query = { user: userId, status: 'pending' };
+      if (fineIds && fineIds.length > 0) query._id = { $in: fineIds };
+      const fines = await Fine.find(query).sort({ createdAt: 1 });
+
+      const totalAmount = Math.round(fines.reduce((sum, fine) => sum + fine.outstandingAmount, 0) * 100) / 100;
+      if (totalAmount <= 0) {
+        throw new Error('User has no outstanding fines to spread over instalments');
+      }
+
+      // Equal whole-shilling instalments, with the remainder on the last one
+      const [step, unit] = FREQUENCY_STEPS[frequency];
+      const firstDueDate = startDate ? moment(startDate) : moment().add(step, unit);
+      const regularAmount = Math.floor(totalAmount / numberOfInstalments);
+      const instalments = [];
+
+      for (let i = 0; i < numberOfInstalments; i++) {
+        const isLast = i === numberOfInstalments - 1;
+        instalments.push({
+          dueDate: firstDueDate.clone().add(i * step, unit).endOf('day').toDate(),
+          amount: isLast
+            ? Math.round((totalAmount - regularAmount * (numberOfInstalments - 1)) * 100) / 100
+            : regularAmount
+        });
+      }
+
+      const plan = await InstalmentPlan.create({
+        user: userId,
+        fines: fines.map(fine => fine._id),
+        totalAmount,
+        frequency,
+        instalments,
+        createdBy,
+        notes
+      });
+
+      try {
+        await notificationService.sendNotification({
+          user,
+          type: 'instalment_plan_created',
+          variables: {
+            name: user.name,
+            totalAmount,
+            count: numberOfInstalments,
+            [frequency]: true,
+            firstAmount: instalments[0].amount,
+            firstDueDate: moment(instalments[0].dueDate).format('DD/MM/YYYY')
+          },
+          channels: ['sms', 'email'],
+          priority: 'medium'
+        });
+      } catch (error) {
+        console.error('Failed to send instalment plan notice:', error);
+      }
+
+      return plan;
+    } catch (error) {
+      console.error('Error creating instalment plan:', error);
+      throw error;
+    }
+  }
+
+  // Credit a payment to the user's active plan, if they have one. Only the
+  // amounts allocated to fines the plan covers count towards its instalments.
+  async applyPayment(userId, allocations) {
+    try {
+      const plan = await InstalmentPlan.findOne({ user: userId, status: 'active' });
+      if (!plan) return null;
+
+      const planFines = new Set(plan.fines.map(String));
+      const amount = Math.round(allocations
+        .filter(({ fine }) => planFines.has(String(fine._id || fine)))
+        .reduce((sum, { amount: allocated }) => sum + allocated, 0) * 100) / 100;
+      if (amount <= 0) return null;
+
+      plan.applyPayment(amount);
+      return await plan.save();
+    } catch (error) {
+      console.error('Error applying payment to instalment plan:', error);
+      throw error;
+    }
+  }
+
+  // Cancel an active plan; the fines stay outstanding
+  async cancelPlan(planId, cancelledBy) {
+    try {
+      const plan = await InstalmentPlan.findById(planId);
+      if (!plan) {
+        throw new Error('Instalment plan not found');
+      }
+
+      if (plan.status !== 'active') {
+        throw new Error('Only active instalment plans can be cancelled');
+      }
+
+      plan.status = 'cancelled';
+      plan.cancelledBy = cancelledBy;
+      plan.cancelledAt = new Date();
+      return await plan.save();
+    } catch (error) {
+      console.error('Error cancelling instalment plan:', error);
+      throw error;
+    }
+  }
+
+  // Remind members of upcoming instalments and flag missed ones (cron job)
+  async processInstalmentReminders() {
+    try {
+      const reminderDays = Number(await SystemConfig.getValue('instalment_reminder_days', this.defaultConfig.reminderDays));
+      const now = moment();
+      const remindBefore = now.clone().add(reminderDays, 'days').toDate();
+
+      const plans = await InstalmentPlan.find({
+        status: 'active',
+        'instalments.dueDate': { $lte: remindBefore }
+      }).populate('user');
+
+      let remindersSent = 0;
+      let missedCount = 0;
+
+      for (const plan of plans) {
+        try {
+          for (const instalment of plan.instalments) {
+            if (instalment.status === 'paid') continue;
+
+            const outstanding = Math.round((instalment.amount - instalment.amountPaid) * 100) / 100;
+            const dueDate = moment(instalment.dueDate).format('DD/MM/YYYY');
+
+            if (moment(instalment.dueDate).isBefore(now)) {
+              if (instalment.missedNoticeSentAt) continue;
+
+              instalment.status = 'missed';
+              instalment.missedNoticeSentAt = new Date();
+              await plan.save();
+              missedCount++;
+
+              await notificationService.sendNotification({
+                user: plan.user,
+                type: 'instalment_missed',
+                variables: { name: plan.user.name, amount: outstanding, dueDate },
+                channels: ['sms', 'email'],
+                priority: 'high'
+              });
+            } else if (!instalment.reminderSentAt && moment(instalment.dueDate).isSameOrBefore(remindBefore)) {
+              instalment.reminderSentAt = new Date();
+              await plan.save();
+              remindersSent++;
+
+              await notificationService.sendNotification({
+                user: plan.user,
+                type: 'instalment_reminder',
+                variables: { name: plan.user.name, amount: outstanding, dueDate },
+                channels: ['sms', 'email'],
+                priority: 'medium'
+              });
+            }
+          }
+        } catch (error) {
+          console.error(`Error processing instalment reminders for plan ${plan._id}:`, error);
+        }
+      }
+
+      return { remindersSent, missedCount };
+    } catch (error) {
+      console.error('Error processing instalment reminders:', error);
+      throw error;
+    }
+  }
+}
+
+export default new InstalmentService();
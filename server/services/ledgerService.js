@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+import LedgerEntry from '../models/LedgerEntry.js';
+
+// Where money for each payment method is held
+const METHOD_ACCOUNTS = {
+  cash: 'cash_drawer',
+  mpesa: 'mpesa_clearing',
+  bank: 'bank'
+};
+
+class LedgerService {
+  // Debit and credit accounts for an entry. Adjustments with a negative
+  // amount reverse the direction of a positive one.
+  getAccounts(entryType, method, amount) {
+    const methodAccount = METHOD_ACCOUNTS[method] || METHOD_ACCOUNTS.cash;
+
+    switch (entryType) {
+      case 'assessed':
+        return ['member_receivable', 'fine_income'];
+      case 'paid':
+        return [methodAccount, 'member_receivable'];
+      case 'waived':
+        return ['fine_waivers', 'member_receivable'];
+      case 'refunded':
+        return ['member_receivable', methodAccount];
+      case 'adjusted':
+        return amount >= 0
+          ? ['member_receivable', 'fine_income']
+          : ['fine_income', 'member_receivable'];
+      default:
+        throw new Error(`Unknown ledger entry type: ${entryType}`);
+    }
+  }
+
+  // Record a ledger entry. Pass the caller's session to make it part of its
+  // transaction. Zero amounts are not recorded.
+  async record(entryType, {
+    user, amount, fine = null, payment = null, method = null, reference = null,
+    cashierSession = null, recordedBy = null, description
+  }, session = null) {
+    const rounded = Math.round(Number(amount) * 100) / 100;
+    if (!rounded) return null;
+
+    const [debitAccount, creditAccount] = this.getAccounts(entryType, method, rounded);
+
+    const [entry] = await LedgerEntry.create([{
+      entryType,
+      debitAccount,
+      creditAccount,
+      amount: Math.abs(rounded),
+      user,
+      fine,
+      payment,
+      method,
+      reference,
+      cashierSession,
+      recordedBy,
+      description
+    }], { session });
+
+    return entry;
+  }
+
+  // Net balance of each account (debits minus credits) for entries matching the filter
+  async getAccountBalances(match = {}) {
+    const [debits, credits] = await Promise.all([
+      LedgerEntry.aggregate([
+        { $match: match },
+        { $group: { _id: '$debitAccount', total: { $sum: '$amount' } } }
+      ]),
+      LedgerEntry.aggregate([
+        { $match: match },
+        { $group: { _id: '$creditAccount', total: { $sum: '$amount' } } }
+      ])
+    ]);
+
+    const balances = Object.fromEntries(LedgerEntry.ACCOUNTS.map(account => [account, 0]));
+    debits.forEach(({ _id, total }) => { balances[_id] += total; });
+    credits.forEach(({ _id, total }) => { balances[_id] -= total; });
+
+    Object.keys(balances).forEach(account => {
+      balances[account] = Math.round(balances[account] * 100) / 100;
+    });
+
+    return balances;
+  }
+
+  // What a member owes according to the ledger (negative is credit)
+  async getMemberBalance(userId) {
+    const balances = await this.getAccountBalances({ user: new mongoose.Types.ObjectId(userId) });
+    return balances.member_receivable;
+  }
+
+  // Totals by entry type and payment method for entries matching the filter
+  async summarize(match = {}) {
+    const rows = await LedgerEntry.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { entryType: '$entryType', method: '$method' },
+          count: { $sum: 1 },
+          total: { $sum: '$amount' }
+        }
+      },
+      { $sort: { '_id.entryType': 1, '_id.method': 1 } }
+    ]);
+
+    return rows.map(({ _id, count, total }) => ({
+      entryType: _id.entryType,
+      method: _id.method,
+      count,
+      total: Math.round(total * 100) / 100
+    }));
+  }
+}
+
+export default new LedgerService();
@@ -0,0 +1,470 @@
+import crypto from 'crypto';
+import moment from 'moment';
+import Payment from '../models/Payment.js';
+import Fine from '../models/Fine.js';
+import Receipt from '../models/Receipt.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import fineService from './fineService.js';
+
+// Daraja result codes for STK Push
+const RESULT_SUCCESS = 0;
+const RESULT_CANCELLED = 1032;
+
+class MpesaService {
+  constructor() {
+    this.pendingQueryAfterSeconds = 30; // Ask Daraja when no callback arrived by then
+    this.accessToken = null;
+    this.accessTokenExpiresAt = 0;
+  }
+
+  // Read on use, since the environment is loaded after services are imported.
+  // Point MPESA_BASE_URL at a local mock (npm run mock:daraja) to test offline.
+  get config() {
+    return {
+      baseUrl: (process.env.MPESA_BASE_URL || 'https://sandbox.safaricom.co.ke').replace(/\/+$/, ''),
+      consumerKey: process.env.MPESA_CONSUMER_KEY,
+      consumerSecret: process.env.MPESA_CONSUMER_SECRET,
+      shortCode: process.env.MPESA_SHORTCODE,
+      passkey: process.env.MPESA_PASSKEY,
+      callbackUrl: process.env.MPESA_CALLBACK_URL,
+      callbackToken: process.env.MPESA_CALLBACK_TOKEN
+    };
+  }
+
+  // Normalise a Kenyan mobile number to the 2547XXXXXXXX format Daraja expects
+  formatPhoneNumber(phone) {
+    let formatted = String(phone || '').replace(/[\s-]+/g, '');
+
+    if (formatted.startsWith('+')) {
+      formatted = formatted.substring(1);
+    }
+
+    if (formatted.startsWith('0')) {
+      formatted = '254' + formatted.substring(1);
+    }
+
+    if (!/^254[17]\d{8}$/.test(formatted)) {
+      throw new Error('Phone number must be a valid Safaricom number, e.g. 2547XXXXXXXX');
+    }
+
+    return formatted;
+  }
+
+  // Get an OAuth token, reusing it until shortly before it expires
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.accessTokenExpiresAt) {
+      return this.accessToken;
+    }
+
+    const { consumerKey, consumerSecret, baseUrl } = this.config;
+    if (!consumerKey || !consumerSecret) {
+      throw new Error('M-Pesa configuration not available');
+    }
+
+    const credentials = Buffer.from(`${consumerKey}:${consumerSecret}`).toString('base64');
+    const response = await fetch(`${baseUrl}/oauth/v1/generate?grant_type=client_credentials`, {
+      headers: { Authorization: `Basic ${credentials}` }
+    });
+
+    if (!response.ok) {
+      throw new Error(`M-Pesa authentication failed (${response.status})`);
+    }
+
+    const data = await response.json();
+    this.accessToken = data.access_token;
+    this.accessTokenExpiresAt = Date.now() + (Number(data.expires_in || 3599) - 60) * 1000;
+
+    return this.accessToken;
+  }
+
+  // Call a Daraja endpoint. Error responses are returned, not thrown,
+  // so callers can read errorCode/errorMessage.
+  async callDarajaAPI(path, payload) {
+    const token = await this.getAccessToken();
+
+    const response = await fetch(`${this.config.baseUrl}${path}`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(payload)
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (response.status === 401) {
+      this.accessToken = null;
+    }
+
+    return { ok: response.ok, status: response.status, data };
+  }
+
+  // Timestamp and password for STK Push requests
+  getCredentials() {
+    const { shortCode, passkey } = this.config;
+    if (!shortCode || !passkey) {
+      throw new Error('M-Pesa configuration not available');
+    }
+
+    const timestamp = moment().format('YYYYMMDDHHmmss');
+    const password = Buffer.from(`${shortCode}${passkey}${timestamp}`).toString('base64');
+
+    return { timestamp, password };
+  }
+
+  // Callback URL with the shared token Daraja echoes back. Payments are
+  // not started without a token, since callbacks could not be trusted.
+  getCallbackUrl() {
+    const { callbackUrl, callbackToken } = this.config;
+    if (!callbackUrl) {
+      throw new Error('M-Pesa callback URL not configured');
+    }
+    if (!callbackToken) {
+      throw new Error('M-Pesa callback token not configured');
+    }
+
+    const url = new URL(callbackUrl);
+    url.searchParams.set('token', callbackToken);
+
+    return url.toString();
+  }
+
+  // Pick the pending fines a payment goes towards: the given fine, or all
+  // the user's pending fines, which are then paid oldest first
+  async selectFines(userId, fineId = null) {
+    const query = { user: userId, status: 'pending' };
+    if (fineId) query._id = fineId;
+
+    const fines = await Fine.find(query).sort({ createdAt: 1 });
+    const outstanding = Math.round(fines.reduce((sum, fine) => sum + fine.outstandingAmount, 0) * 100) / 100;
+
+    if (outstanding <= 0) {
+      throw new Error(fineId ? 'Fine is not pending payment' : 'No pending fines to pay');
+    }
+
+    return { fines, outstanding };
+  }
+
+  // Send an STK Push prompt to the customer's phone for the user's fines
+  async initiateStkPush({ userId, fineId = null, phone, amount = null, initiatedBy }) {
+    try {
+      const phoneNumber = this.formatPhoneNumber(phone);
+      const { fines, outstanding } = await this.selectFines(userId, fineId);
+
+      // M-Pesa only accepts whole shillings; part payments are allowed
+      const total = Math.ceil(amount ? Number(amount) : outstanding);
+      if (total > Math.ceil(outstanding)) {
+        throw new Error(`Amount exceeds the outstanding balance of KES ${outstanding}`);
+      }
+
+      const activePayment = await Payment.findOne({
+        fines: { $in: fines.map(fine => fine._id) },
+        status: 'pending'
+      });
+      if (activePayment) {
+        throw new Error('A payment for these fines is already in progress');
+      }
+
+      const { timestamp, password } = this.getCredentials();
+      const callbackUrl = this.getCallbackUrl();
+
+      const payment = await Payment.create({
+        user: userId,
+        fines: fines.map(fine => fine._id),
+        amount: total,
+        phone: phoneNumber,
+        initiatedBy
+      });
+
+      let result;
+      try {
+        result = await this.callDarajaAPI('/mpesa/stkpush/v1/processrequest', {
+          BusinessShortCode: this.config.shortCode,
+          Password: password,
+          Timestamp: timestamp,
+          TransactionType: 'CustomerPayBillOnline',
+          Amount: total,
+          PartyA: phoneNumber,
+          PartyB: this.config.shortCode,
+          PhoneNumber: phoneNumber,
+          CallBackURL: callbackUrl,
+          AccountReference: `FINE-${payment._id.toString().slice(-8).toUpperCase()}`,
+          TransactionDesc: 'Library fine payment'
+        });
+      } catch (error) {
+        result = { ok: false, data: { errorMessage: error.message } };
+      }
+
+      if (!result.ok || String(result.data.ResponseCode) !== '0') {
+        payment.status = 'failed';
+        payment.resultDesc = result.data.errorMessage || result.data.ResponseDescription || 'STK Push request failed';
+        await payment.save();
+        throw new Error(`M-Pesa request failed: ${payment.resultDesc}`);
+      }
+
+      payment.merchantRequestId = result.data.MerchantRequestID;
+      payment.checkoutRequestId = result.data.CheckoutRequestID;
+      await payment.save();
+
+      return payment;
+    } catch (error) {
+      console.error('Error initiating M-Pesa payment:', error);
+      throw error;
+    }
+  }
+
+  // Check the token Daraja echoes back on the callback URL. Without a
+  // configured token every callback is rejected.
+  verifyCallbackToken(token) {
+    const expected = this.config.callbackToken;
+    if (!expected || !token) return false;
+
+    const given = Buffer.from(String(token));
+    const wanted = Buffer.from(expected);
+    return given.length === wanted.length && crypto.timingSafeEqual(given, wanted);
+  }
+
+  // Record the result Daraja posts to the callback URL
+  async handleCallback(body) {
+    try {
+      const callback = body && body.Body && body.Body.stkCallback;
+      if (!callback || !callback.CheckoutRequestID) {
+        throw new Error('Invalid M-Pesa callback payload');
+      }
+
+      const payment = await Payment.findOne({ checkoutRequestId: callback.CheckoutRequestID });
+      if (!payment) {
+        console.error(`M-Pesa callback for unknown request ${callback.CheckoutRequestID}`);
+        return null;
+      }
+
+      const items = (callback.CallbackMetadata && callback.CallbackMetadata.Item) || [];
+      const metadata = Object.fromEntries(items.map(item => [item.Name, item.Value]));
+      const resultCode = Number(callback.ResultCode);
+
+      if (resultCode !== RESULT_SUCCESS) {
+        return await this.failPayment(payment, resultCode, callback.ResultDesc, body);
+      }
+
+      // The amount paid must match what was requested
+      if (Number(metadata.Amount) !== payment.amount) {
+        console.error(`M-Pesa callback amount ${metadata.Amount} does not match payment ${payment._id} of ${payment.amount}`);
+        return await this.failPayment(payment, resultCode, `Amount mismatch: paid ${metadata.Amount}`, body);
+      }
+
+      // Confirm the result with Daraja rather than trusting the callback
+      // alone. If Daraja cannot say yet, the status query job settles it.
+      const confirmed = await this.fetchResult(payment);
+      if (!confirmed) {
+        return payment;
+      }
+      if (confirmed.resultCode !== RESULT_SUCCESS) {
+        return await this.failPayment(payment, confirmed.resultCode, confirmed.resultDesc, body);
+      }
+
+      return await this.completePayment(payment, {
+        resultCode,
+        resultDesc: callback.ResultDesc,
+        mpesaReceiptNumber: metadata.MpesaReceiptNumber ? String(metadata.MpesaReceiptNumber) : null,
+        transactionDate: metadata.TransactionDate
+          ? moment(String(metadata.TransactionDate), 'YYYYMMDDHHmmss').toDate()
+          : new Date(),
+        callbackPayload: body
+      });
+    } catch (error) {
+      console.error('Error handling M-Pesa callback:', error);
+      throw error;
+    }
+  }
+
+  // Mark the payment completed once and allocate it to its fines
+  async completePayment(payment, details) {
+    const completed = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: 'pending' },
+      { status: 'completed', completedAt: new Date(), ...details },
+      { new: true }
+    );
+
+    // Already settled: a late callback may still bring the receipt number
+    if (!completed) {
+      if (details.mpesaReceiptNumber && !payment.mpesaReceiptNumber) {
+        payment.mpesaReceiptNumber = details.mpesaReceiptNumber;
+        payment.callbackPayload = details.callbackPayload;
+        await payment.save();
+
+        // Settled through a status query: put it on the receipt and ledger too
+        await Receipt.updateMany(
+          { payment: payment._id, reference: null },
+          { reference: payment.mpesaReceiptNumber }
+        );
+        await LedgerEntry.fillPaymentReference(payment._id, payment.mpesaReceiptNumber);
+      }
+      return payment;
+    }
+
+    return await this.allocate(completed);
+  }
+
+  // Allocate a completed payment to its fines and issue its receipt. On
+  // failure the error is kept on the payment and the reconcile job tries again.
+  async allocate(payment) {
+    try {
+      // An earlier run may have allocated it and stopped before saving
+      const receipt = await Receipt.findOne({ payment: payment._id, type: 'payment' });
+      let allocation;
+
+      if (receipt) {
+        allocation = {
+          allocations: receipt.allocations.map(({ fine, amount }) => ({ fine, amount })),
+          unallocated: receipt.unallocatedAmount,
+          receiptNumber: receipt.receiptNumber
+        };
+      } else {
+        // The money has been taken, so anything the fines no longer need
+        // (paid at the counter meanwhile, or rounding) is kept as credit
+        const result = await fineService.allocatePayment(payment.user, payment.amount, {
+          fineIds: payment.fines,
+          method: 'mpesa',
+          reference: payment.mpesaReceiptNumber,
+          receivedBy: payment.initiatedBy,
+          payment: payment._id,
+          allowCredit: true
+        });
+        allocation = {
+          allocations: result.allocations.map(({ fine, amount }) => ({ fine: fine._id, amount })),
+          unallocated: result.unallocated,
+          receiptNumber: result.receipt.receiptNumber
+        };
+      }
+
+      payment.allocations = allocation.allocations;
+      payment.unallocatedAmount = allocation.unallocated;
+      payment.receiptNumber = allocation.receiptNumber;
+      payment.allocationError = null;
+      await payment.save();
+    } catch (error) {
+      console.error(`Failed to allocate payment ${payment._id} to fines:`, error);
+      payment.allocationError = error.message;
+      await payment.save();
+    }
+
+    return payment;
+  }
+
+  // Record a cancelled or failed payment
+  async failPayment(payment, resultCode, resultDesc, callbackPayload = null) {
+    const failed = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: 'pending' },
+      {
+        status: resultCode === RESULT_CANCELLED ? 'cancelled' : 'failed',
+        resultCode,
+        resultDesc,
+        ...(callbackPayload && { callbackPayload })
+      },
+      { new: true }
+    );
+
+    return failed || payment;
+  }
+
+  // Daraja's result for an STK Push, or null while it is still being
+  // processed on the customer's phone (or Daraja cannot be reached)
+  async fetchResult(payment) {
+    const { timestamp, password } = this.getCredentials();
+    const result = await this.callDarajaAPI('/mpesa/stkpushquery/v1/query', {
+      BusinessShortCode: this.config.shortCode,
+      Password: password,
+      Timestamp: timestamp,
+      CheckoutRequestID: payment.checkoutRequestId
+    });
+
+    payment.lastQueriedAt = new Date();
+    await payment.save();
+
+    if (!result.ok || result.data.ResultCode === undefined) {
+      return null;
+    }
+
+    return { resultCode: Number(result.data.ResultCode), resultDesc: result.data.ResultDesc };
+  }
+
+  // Ask Daraja for the result of a payment whose callback has not arrived
+  async queryStatus(payment) {
+    try {
+      if (!payment.isPending() || !payment.checkoutRequestId) {
+        return payment;
+      }
+
+      const result = await this.fetchResult(payment);
+      if (!result) {
+        return payment;
+      }
+
+      if (result.resultCode === RESULT_SUCCESS) {
+        // The receipt number only comes with the callback
+        return await this.completePayment(payment, {
+          resultCode: result.resultCode,
+          resultDesc: result.resultDesc,
+          transactionDate: new Date()
+        });
+      }
+
+      return await this.failPayment(payment, result.resultCode, result.resultDesc);
+    } catch (error) {
+      console.error('Error querying M-Pesa payment status:', error);
+      return payment;
+    }
+  }
+
+  // Whether a pending payment has waited long enough to query Daraja
+  shouldQuery(payment) {
+    if (!payment.isPending()) return false;
+
+    const since = moment().subtract(this.pendingQueryAfterSeconds, 'seconds');
+    return moment(payment.createdAt).isBefore(since) &&
+      (!payment.lastQueriedAt || moment(payment.lastQueriedAt).isBefore(since));
+  }
+
+  // Resolve payments whose callback never arrived, and allocate completed
+  // payments whose allocation failed (cron job)
+  async reconcilePendingPayments() {
+    try {
+      const cutoff = moment().subtract(this.pendingQueryAfterSeconds, 'seconds').toDate();
+      const pending = await Payment.find({
+        status: 'pending',
+        checkoutRequestId: { $ne: null },
+        createdAt: { $lt: cutoff }
+      });
+
+      let resolvedCount = 0;
+      for (const payment of pending) {
+        const result = await this.queryStatus(payment);
+        if (!result.isPending()) {
+          resolvedCount++;
+        }
+      }
+
+      const unallocated = await Payment.find({
+        status: 'completed',
+        receiptNumber: null,
+        completedAt: { $lt: cutoff }
+      });
+
+      let allocatedCount = 0;
+      for (const payment of unallocated) {
+        const result = await this.allocate(payment);
+        if (result.receiptNumber) {
+          allocatedCount++;
+        }
+      }
+
+      return { resolvedCount, totalPending: pending.length, allocatedCount };
+    } catch (error) {
+      console.error('Error reconciling pending payments:', error);
+      throw error;
+    }
+  }
+}
+
+export default new MpesaService();
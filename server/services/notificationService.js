@@ -1,11 +1,31 @@
 import nodemailer from 'nodemailer';
+import moment from 'moment';
 import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import NotificationPreference from '../models/NotificationPreference.js';
 import SystemConfig from '../models/SystemConfig.js';
+import receiptService from './receiptService.js';
+import templateService from './templateService.js';
+import notificationStream from './notificationStream.js';
+import { getSmsProvider, splitIntoSegments } from './smsProviders.js';
+
+const round = (value) => Math.round(value * 100) / 100;
 
 class NotificationService {
   constructor() {
     this.emailTransporter = null;
-    this.smsConfig = null;
+    this.processing = false;
+    this.defaultConfig = {
+      retryBaseMinutes: 2, // First retry delay, doubled on each further attempt
+      batchSize: 50, // Notifications sent per queue run
+      lockMinutes: 5, // How long a claimed notification is held by one worker
+      smsProvider: 'simulator', // safaricom, africastalking or simulator
+      smsDailySpendLimit: 1000, // KES per day (0 disables)
+      smsCostPerSegment: 0.8, // KES, used when the gateway reports no cost
+      smsMaxSegments: 3, // Longer messages are cut short
+      guardianNotificationMode: 'copy', // copy, guardian_only or off
+      guardianNotificationTypes: ['overdue_notice', 'fine_notice'] // Junior member notices guardians receive
+    };
     this.init();
   }
 
@@ -24,46 +44,87 @@ class NotificationService {
 
       this.emailTransporter = nodemailer.createTransport(emailConfig);
 
-      // Initialize SMS config
-      this.smsConfig = {
-        apiKey: process.env.SAFARICOM_API_KEY,
-        apiSecret: process.env.SAFARICOM_API_SECRET,
-        shortCode: process.env.SAFARICOM_SHORT_CODE,
-        baseUrl: process.env.SAFARICOM_BASE_URL || 'https://api.safaricom.co.ke'
-      };
-
       console.log('Notification service initialized');
     } catch (error) {
       console.error('Error initializing notification service:', error);
     }
   }
 
-  // Send SMS via Safaricom API
-  async sendSMS(phoneNumber, message, priority = 'normal') {
+  async getSmsConfig() {
+    const [provider, dailySpendLimit, costPerSegment, maxSegments] = await Promise.all([
+      SystemConfig.getValue('sms_provider', this.defaultConfig.smsProvider),
+      SystemConfig.getValue('sms_daily_spend_limit', this.defaultConfig.smsDailySpendLimit),
+      SystemConfig.getValue('sms_cost_per_segment', this.defaultConfig.smsCostPerSegment),
+      SystemConfig.getValue('sms_max_segments', this.defaultConfig.smsMaxSegments)
+    ]);
+
+    return {
+      provider,
+      dailySpendLimit: Number(dailySpendLimit),
+      costPerSegment: Number(costPerSegment),
+      maxSegments: Math.max(1, Number(maxSegments))
+    };
+  }
+
+  // KES spent on SMS since midnight
+  async getSmsSpendToday() {
+    const startOfDay = new Date();
+    startOfDay.setHours(0, 0, 0, 0);
+
+    const [result] = await Notification.aggregate([
+      { $match: { smsSentAt: { $gte: startOfDay } } },
+      { $group: { _id: null, total: { $sum: '$smsCost' } } }
+    ]);
+
+    return round(result?.total || 0);
+  }
+
+  // Send SMS through the configured gateway. Long messages go out as
+  // numbered segments. Once the day's spend limit would be passed the
+  // message is deferred to the next day rather than sent (retryAt).
+  // Segments whose IDs are in progress.sentIds are not sent again, and
+  // progress.onSegmentSent(messageId, cost) is awaited after each one goes out.
+  async sendSMS(phoneNumber, message, priority = 'normal', progress = {}) {
     try {
-      if (!this.smsConfig.apiKey || !this.smsConfig.apiSecret) {
-        throw new Error('SMS configuration not available');
-      }
+      const { sentIds = [], onSegmentSent = null } = progress;
+      const config = await this.getSmsConfig();
+      const provider = getSmsProvider(config.provider);
 
-      // Format phone number (remove + and add country code if needed)
       const formattedPhone = this.formatPhoneNumber(phoneNumber);
+      const { segments, truncated } = splitIntoSegments(message, config.maxSegments);
+      const unsent = segments.slice(sentIds.length);
+      const estimatedCost = round(unsent.length * config.costPerSegment);
+
+      if (config.dailySpendLimit > 0) {
+        const spentToday = await this.getSmsSpendToday();
+        if (spentToday + estimatedCost > config.dailySpendLimit) {
+          return {
+            success: false,
+            status: 'deferred',
+            retryAt: moment().add(1, 'day').startOf('day').toDate(),
+            reason: `Daily SMS spend limit of KES ${config.dailySpendLimit} reached (KES ${spentToday} spent today)`
+          };
+        }
+      }
 
-      // Safaricom SMS API call
-      const smsData = {
-        phoneNumber: formattedPhone,
-        message: message,
-        shortCode: this.smsConfig.shortCode,
-        timestamp: new Date().toISOString()
-      };
+      const messageIds = [...sentIds];
+      let cost = 0;
 
-      // In production, this would make an actual API call to Safaricom
-      // For now, we'll simulate the response
-      const response = await this.callSafaricomAPI(smsData);
+      for (const segment of unsent) {
+        const response = await provider.send({ to: formattedPhone, message: segment });
+        const segmentCost = response.cost ?? config.costPerSegment;
+        messageIds.push(response.messageId);
+        cost += segmentCost;
+        if (onSegmentSent) await onSegmentSent(response.messageId, segmentCost);
+      }
 
       return {
         success: true,
-        messageId: response.messageId,
-        cost: response.cost,
+        provider: provider.name,
+        messageId: messageIds.join(','),
+        cost: round(cost),
+        segments: segments.length,
+        truncated,
         status: 'sent'
       };
     } catch (error) {
@@ -73,7 +134,7 @@ class NotificationService {
   }
 
   // Send email
-  async sendEmail(to, subject, htmlContent, textContent = null) {
+  async sendEmail(to, subject, htmlContent, textContent = null, attachments = []) {
     try {
       if (!this.emailTransporter) {
         throw new Error('Email service not initialized');
@@ -84,7 +145,8 @@ class NotificationService {
         to: to,
         subject: subject,
         html: htmlContent,
-        text: textContent || this.stripHtml(htmlContent)
+        text: textContent || this.stripHtml(htmlContent),
+        attachments
       };
 
       const result = await this.emailTransporter.sendMail(mailOptions);
@@ -100,53 +162,418 @@ class NotificationService {
     }
   }
 
-  // Send notification through multiple channels
+  // Member's preferred language, looking it up when the user was loaded
+  // without it
+  async getLocale(user) {
+    if (user.preferredLanguage) return user.preferredLanguage;
+
+    const stored = await User.findById(user._id).select('preferredLanguage');
+    return stored?.preferredLanguage || 'en';
+  }
+
+  async getGuardianConfig() {
+    const [mode, types] = await Promise.all([
+      SystemConfig.getValue('guardian_notification_mode', this.defaultConfig.guardianNotificationMode),
+      SystemConfig.getValue('guardian_notification_types', this.defaultConfig.guardianNotificationTypes)
+    ]);
+
+    return {
+      mode,
+      types: Array.isArray(types) ? types : String(types).split(',').map(type => type.trim()).filter(Boolean)
+    };
+  }
+
+  // For a junior member and a notice type their guardian receives, the
+  // routing mode and the member with their guardian's details; otherwise
+  // null
+  async getGuardianRouting(user, type) {
+    if (user.role && user.role !== 'junior_member') return null;
+
+    const config = await this.getGuardianConfig();
+    if (config.mode === 'off' || !config.types.includes(type)) return null;
+
+    const member = await User.findById(user._id)
+      .select('name role preferredLanguage guardianName guardianPhone guardianEmail');
+    if (!member || member.role !== 'junior_member' || (!member.guardianPhone && !member.guardianEmail)) {
+      return null;
+    }
+
+    return { mode: config.mode, member };
+  }
+
+  // Queue a notification for the worker to send through its channels. The
+  // text comes from the message template for the type, in the member's
+  // language, unless a title and message are given. Junior members'
+  // guardians get their own copy of the types configured for them, and in
+  // guardian_only mode the member keeps only the in-app notice.
   async sendNotification(notificationData) {
     try {
-      const { user, type, title, message, channels, priority = 'medium' } = notificationData;
+      const {
+        user, type, variables = {}, title, message, channels, priority = 'medium',
+        relatedBook = null, relatedBorrow = null, relatedFine = null,
+        campaign = null, receipts = [], scheduledFor = new Date()
+      } = notificationData;
+
+      const locale = await this.getLocale(user);
+      const guardian = await this.getGuardianRouting(user, type);
+      const memberChannels = guardian?.mode === 'guardian_only'
+        ? channels.filter(channel => channel === 'in_app')
+        : channels;
+
+      const content = title && message
+        ? { title, message }
+        : await templateService.renderNotification(type, memberChannels, locale, variables);
+
+      const related = { relatedBook, relatedBorrow, relatedFine, campaign, receipts, scheduledFor };
 
-      // Create notification record
       const notification = await Notification.create({
         user: user._id,
         type,
-        title,
-        message,
-        channels,
+        ...content,
+        channels: memberChannels,
         priority,
-        scheduledFor: new Date()
+        ...related
       });
 
-      const results = {};
+      await notificationStream.publishNotification(notification);
+
+      // Guardians have no in-app inbox, so their copy goes by SMS and email
+      const guardianChannels = channels.filter(channel => channel !== 'in_app');
+      if (guardian && guardianChannels.length > 0) {
+        const guardianContent = title && message
+          ? { title, message }
+          : await templateService.renderNotification(type, guardianChannels, locale, {
+            ...variables,
+            name: guardian.member.name,
+            guardianName: guardian.member.guardianName
+          }, 'guardian');
+
+        await Notification.create({
+          user: user._id,
+          recipient: 'guardian',
+          copyOf: notification._id,
+          type,
+          ...guardianContent,
+          channels: guardianChannels,
+          priority,
+          ...related
+        });
+      }
 
-      // Send through each channel
-      for (const channel of channels) {
-        try {
-          if (channel === 'sms' && user.phone) {
-            results.sms = await this.sendSMS(user.phone, message, priority);
-            await notification.markAsSent('sms');
+      // Send straight away without holding up the caller; the scheduled
+      // run picks it up if this one is busy or the attempt fails
+      if (scheduledFor <= new Date()) {
+        setImmediate(() => {
+          this.processQueue().catch(error => console.error('Notification queue run failed:', error));
+        });
+      }
+
+      return {
+        notificationId: notification._id,
+        status: notification.status
+      };
+    } catch (error) {
+      console.error('Notification queueing failed:', error);
+      throw error;
+    }
+  }
+
+  async getQueueConfig() {
+    const [retryBaseMinutes, batchSize] = await Promise.all([
+      SystemConfig.getValue('notification_retry_base_minutes', this.defaultConfig.retryBaseMinutes),
+      SystemConfig.getValue('notification_batch_size', this.defaultConfig.batchSize)
+    ]);
+
+    return {
+      retryBaseMinutes: Number(retryBaseMinutes),
+      batchSize: Number(batchSize)
+    };
+  }
+
+  // Atomically take the next due notification so that only one worker
+  // sends it
+  async claimNext() {
+    const now = new Date();
+
+    return Notification.findOneAndUpdate(
+      {
+        status: 'pending',
+        digest: { $ne: true },
+        scheduledFor: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+      },
+      { lockedUntil: new Date(now.getTime() + this.defaultConfig.lockMinutes * 60 * 1000) },
+      { new: true, sort: { scheduledFor: 1 } }
+    );
+  }
+
+  // Apply the member's preferences to a claimed notification before any
+  // credit is spent: drop channels they turned off, hold it for their
+  // digest, or wait out their quiet hours. Returns true when it was put
+  // back for later. Guardian copies are not governed by the member's
+  // preferences.
+  async applyPreferences(notification) {
+    if (notification.recipient === 'guardian') return false;
+
+    const preference = await NotificationPreference.getFor(notification.user);
+    const mandatory = NotificationPreference.MANDATORY_TYPES.includes(notification.type);
+
+    if (!mandatory && notification.type !== 'daily_digest') {
+      if (preference.digest.enabled && NotificationPreference.canDigest(notification.type)) {
+        notification.digest = true;
+        notification.lockedUntil = null;
+        await notification.save();
+        return true;
+      }
+
+      const allowed = preference.allowedChannels(notification.type, notification.channels);
+      if (!allowed.includes('sms') && notification.smsStatus === 'pending') notification.smsStatus = 'skipped';
+      if (!allowed.includes('email') && notification.emailStatus === 'pending') notification.emailStatus = 'skipped';
+    }
+
+    const quietUntil = notification.priority !== 'urgent' && notification.getPendingChannels().length > 0
+      ? preference.quietHoursEnd()
+      : null;
+    if (quietUntil) {
+      notification.scheduledFor = quietUntil;
+      notification.lockedUntil = null;
+      await notification.save();
+      return true;
+    }
+
+    return false;
+  }
+
+  // Send the channels of a claimed notification that have not gone out
+  // yet. Failed channels are retried with backoff until maxRetries.
+  // Returns 'sent', 'failed' or 'deferred'.
+  async deliver(notification, config) {
+    const user = await User.findById(notification.user)
+      .select('name email phone preferredLanguage guardianName guardianPhone guardianEmail');
+    if (!user) {
+      notification.failureReason = 'Recipient no longer exists';
+      notification.failedAt = new Date();
+      notification.status = 'failed';
+      notification.lockedUntil = null;
+      await notification.save();
+      return 'failed';
+    }
+
+    if (await this.applyPreferences(notification)) {
+      return 'deferred';
+    }
+
+    const contact = notification.recipient === 'guardian'
+      ? { name: user.guardianName, phone: user.guardianPhone, email: user.guardianEmail }
+      : { name: user.name, phone: user.phone, email: user.email };
+    let failed = false;
+    let deferredUntil = null;
+
+    for (const channel of notification.getPendingChannels()) {
+      try {
+        if (channel === 'sms') {
+          if (!contact.phone) {
+            notification.smsStatus = 'skipped';
+            continue;
           }
+          // Each segment is recorded as it goes out, so one that fails part
+          // way still counts towards the day's spend and is not resent
+          const result = await this.sendSMS(contact.phone, notification.smsMessage || notification.message, notification.priority, {
+            sentIds: notification.smsSegmentIds,
+            onSegmentSent: async (messageId, cost) => {
+              notification.smsSegmentIds.push(messageId);
+              notification.smsCost = round(notification.smsCost + cost);
+              notification.smsSentAt = new Date();
+              await notification.save();
+            }
+          });
+          // Over the day's spend limit: the SMS waits for tomorrow's budget
+          if (result.status === 'deferred') {
+            deferredUntil = result.retryAt;
+            notification.failureReason = result.reason;
+            continue;
+          }
+          notification.smsProvider = result.provider;
+          notification.smsSegments = result.segments;
+          await notification.markAsSent('sms', result.messageId);
+        }
 
-          if (channel === 'email' && user.email) {
-            results.email = await this.sendEmail(user.email, title, this.formatEmailContent(message, user));
-            await notification.markAsSent('email');
+        if (channel === 'email') {
+          if (!contact.email) {
+            notification.emailStatus = 'skipped';
+            continue;
           }
+          const attachments = [];
+          for (const receiptId of notification.receipts) {
+            attachments.push(...await receiptService.getAttachments(receiptId));
+          }
+          const result = await this.sendEmail(
+            contact.email,
+            notification.emailSubject || notification.title,
+            this.formatEmailContent(notification.emailMessage || notification.message, contact),
+            null,
+            attachments
+          );
+          await notification.markAsSent('email', result.messageId);
+        }
+      } catch (error) {
+        console.error(`Failed to send ${channel} notification ${notification._id}:`, error);
+        await notification.markAsFailed(channel, error.message);
+        failed = true;
+      }
+    }
 
-          if (channel === 'in_app') {
-            results.in_app = { success: true, status: 'queued' };
+    if (failed) {
+      await notification.scheduleRetry(config.retryBaseMinutes);
+      await this.settleDigest(notification);
+      return 'failed';
+    }
+
+    if (deferredUntil) {
+      notification.scheduledFor = deferredUntil;
+      notification.lockedUntil = null;
+      await notification.save();
+      return 'deferred';
+    }
+
+    // In-app only, or every remaining channel was skipped
+    if (notification.status === 'pending') {
+      notification.status = 'sent';
+      notification.sentAt = new Date();
+      notification.lockedUntil = null;
+      await notification.save();
+    }
+
+    await this.settleDigest(notification);
+    return 'sent';
+  }
+
+  // Send due notifications from the queue
+  async processQueue() {
+    if (this.processing) {
+      return { sentCount: 0, failedCount: 0, deferredCount: 0 };
+    }
+
+    this.processing = true;
+    const counts = { sent: 0, failed: 0, deferred: 0 };
+
+    try {
+      const config = await this.getQueueConfig();
+
+      for (let i = 0; i < config.batchSize; i++) {
+        const notification = await this.claimNext();
+        if (!notification) break;
+
+        counts[await this.deliver(notification, config)]++;
+      }
+
+      return { sentCount: counts.sent, failedCount: counts.failed, deferredCount: counts.deferred };
+    } catch (error) {
+      console.error('Error processing notification queue:', error);
+      throw error;
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  // Put dead-lettered notifications back on the queue
+  async retryDeadLetters(ids) {
+    try {
+      const notifications = await Notification.find({ _id: { $in: ids }, status: 'failed' });
+
+      for (const notification of notifications) {
+        await notification.requeue();
+      }
+
+      if (notifications.length > 0) {
+        setImmediate(() => {
+          this.processQueue().catch(error => console.error('Notification queue run failed:', error));
+        });
+      }
+
+      return notifications;
+    } catch (error) {
+      console.error('Error retrying notifications:', error);
+      throw error;
+    }
+  }
+
+  // Carry a digest's delivery over to the notices it holds: sent with it,
+  // or handed back for the next digest once it is dead-lettered
+  async settleDigest(digest) {
+    if (digest.type !== 'daily_digest') return;
+
+    if (['sent', 'delivered'].includes(digest.status)) {
+      await Notification.updateMany(
+        { digestedIn: digest._id, status: 'pending' },
+        { status: 'sent', sentAt: digest.sentAt || new Date() }
+      );
+    } else if (digest.status === 'failed') {
+      await Notification.updateMany(
+        { digestedIn: digest._id, status: 'pending' },
+        { digestedIn: null }
+      );
+    }
+  }
+
+  // Send each member who asked for a daily digest one email with the
+  // notices held for it, once their digest hour has passed
+  async processDigests() {
+    try {
+      const now = moment();
+      const preferences = await NotificationPreference.find({
+        'digest.enabled': true,
+        'digest.hour': { $lte: now.hour() },
+        $or: [
+          { 'digest.lastSentAt': null },
+          { 'digest.lastSentAt': { $lt: now.clone().startOf('day').toDate() } }
+        ]
+      });
+
+      let digestsSent = 0;
+
+      for (const preference of preferences) {
+        try {
+          // Notices already in a digest that is still being delivered are left out
+          const held = await Notification.find({ user: preference.user, status: 'pending', digest: true, digestedIn: null })
+            .sort({ createdAt: 1 });
+          const user = held.length > 0 ? await User.findById(preference.user) : null;
+
+          if (!user) {
+            preference.digest.lastSentAt = new Date();
+            await preference.save();
+            continue;
           }
+
+          const result = await this.sendNotification({
+            user,
+            type: 'daily_digest',
+            variables: {
+              name: user.name,
+              count: held.length,
+              items: held.map(notification => `- ${notification.title}: ${notification.message}`).join('\n')
+            },
+            channels: ['email'],
+            priority: 'medium'
+          });
+
+          // The held notices follow the digest's own delivery (settleDigest)
+          await Notification.updateMany(
+            { _id: { $in: held.map(notification => notification._id) } },
+            { digestedIn: result.notificationId }
+          );
+
+          preference.digest.lastSentAt = new Date();
+          await preference.save();
+          digestsSent++;
         } catch (error) {
-          console.error(`Failed to send ${channel} notification:`, error);
-          await notification.markAsFailed(channel, error.message);
-          results[channel] = { success: false, error: error.message };
+          console.error(`Failed to send digest to user ${preference.user}:`, error);
         }
       }
 
-      return {
-        notificationId: notification._id,
-        results
-      };
+      return { digestsSent };
     } catch (error) {
-      console.error('Notification sending failed:', error);
+      console.error('Error processing notification digests:', error);
       throw error;
     }
   }
@@ -154,18 +581,21 @@ class NotificationService {
   // Send due date reminder
   async sendDueDateReminder(borrow) {
     try {
-      const user = await borrow.populate('user');
-      const book = await borrow.populate('book');
-
-      const message = `Dear ${user.name}, your book "${book.title}" is due on ${new Date(borrow.dueDate).toLocaleDateString()}. Please return it on time to avoid fines.`;
+      await borrow.populate(['user', 'book']);
+      const { user, book } = borrow;
 
       return await this.sendNotification({
         user,
         type: 'due_date_reminder',
-        title: 'Book Due Date Reminder',
-        message,
+        variables: {
+          name: user.name,
+          bookTitle: book.title,
+          dueDate: moment(borrow.dueDate).format('DD/MM/YYYY')
+        },
         channels: ['sms', 'email'],
-        priority: 'medium'
+        priority: 'medium',
+        relatedBook: book._id,
+        relatedBorrow: borrow._id
       });
     } catch (error) {
       console.error('Due date reminder failed:', error);
@@ -176,19 +606,21 @@ class NotificationService {
   // Send overdue notice
   async sendOverdueNotice(borrow) {
     try {
-      const user = await borrow.populate('user');
-      const book = await borrow.populate('book');
-
-      const overdueDays = borrow.overdueDays;
-      const message = `Dear ${user.name}, your book "${book.title}" is overdue by ${overdueDays} day(s). Please return it immediately to avoid accumulating fines.`;
+      await borrow.populate(['user', 'book']);
+      const { user, book } = borrow;
 
       return await this.sendNotification({
         user,
         type: 'overdue_notice',
-        title: 'Book Overdue Notice',
-        message,
+        variables: {
+          name: user.name,
+          bookTitle: book.title,
+          overdueDays: borrow.overdueDays
+        },
         channels: ['sms', 'email'],
-        priority: 'high'
+        priority: 'high',
+        relatedBook: book._id,
+        relatedBorrow: borrow._id
       });
     } catch (error) {
       console.error('Overdue notice failed:', error);
@@ -199,19 +631,26 @@ class NotificationService {
   // Send fine notice
   async sendFineNotice(fine) {
     try {
-      const user = await fine.populate('user');
-      const borrow = await fine.populate('borrow');
-      const book = await borrow.populate('book');
-
-      const message = `Dear ${user.name}, you have a fine of KES ${fine.totalAmount} for the book "${book.title}". Please settle this fine to continue using library services.`;
+      await fine.populate(['user', { path: 'borrow', populate: { path: 'book' } }]);
+      const { user, borrow } = fine;
+      const { book } = borrow;
 
       return await this.sendNotification({
         user,
         type: 'fine_notice',
-        title: 'Fine Notice',
-        message,
+        variables: {
+          name: user.name,
+          amount: fine.totalAmount,
+          bookTitle: book.title,
+          lost: fine.type === 'lost',
+          damaged: fine.type === 'damaged',
+          other: !['lost', 'damaged'].includes(fine.type)
+        },
         channels: ['sms', 'email'],
-        priority: 'high'
+        priority: 'high',
+        relatedBook: book._id,
+        relatedBorrow: borrow._id,
+        relatedFine: fine._id
       });
     } catch (error) {
       console.error('Fine notice failed:', error);
@@ -223,13 +662,14 @@ class NotificationService {
   async sendAccountApprovalNotice(user, approvedBy) {
     try {
       const approver = await User.findById(approvedBy);
-      const message = `Dear ${user.name}, your account has been approved by ${approver.name}. You can now log in and start using the library services.`;
 
       return await this.sendNotification({
         user,
         type: 'account_approved',
-        title: 'Account Approved',
-        message,
+        variables: {
+          name: user.name,
+          approverName: approver.name
+        },
         channels: ['sms', 'email'],
         priority: 'medium'
       });
@@ -242,16 +682,17 @@ class NotificationService {
   // Send reservation ready notice
   async sendReservationReadyNotice(borrow) {
     try {
-      const user = await borrow.populate('user');
-      const book = await borrow.populate('book');
-
-      const message = `Dear ${user.name}, your reserved book "${book.title}" is now available. Please collect it within 24 hours or the reservation will expire.`;
+      await borrow.populate(['user', 'book']);
+      const { user, book } = borrow;
 
       return await this.sendNotification({
         user,
         type: 'reservation_ready',
-        title: 'Reservation Ready',
-        message,
+        variables: {
+          name: user.name,
+          bookTitle: book.title,
+          collectBy: moment(borrow.reservedUntil).format('DD/MM/YYYY HH:mm')
+        },
         channels: ['sms', 'email'],
         priority: 'medium'
       });
@@ -261,6 +702,61 @@ class NotificationService {
     }
   }
 
+  // Send reservation expired notice
+  async sendReservationExpiredNotice(borrow, fine = null) {
+    try {
+      await borrow.populate(['user', 'book']);
+      const { user, book } = borrow;
+
+      return await this.sendNotification({
+        user,
+        type: 'reservation_expired',
+        variables: {
+          name: user.name,
+          bookTitle: book.title,
+          fine: Boolean(fine),
+          fineAmount: fine ? fine.amount : 0
+        },
+        channels: ['sms', 'email'],
+        priority: 'medium'
+      });
+    } catch (error) {
+      console.error('Reservation expired notice failed:', error);
+      throw error;
+    }
+  }
+
+  // Send notice that a book declared lost has been found
+  async sendLostBookFoundNotice(borrow, fine = null) {
+    try {
+      await borrow.populate(['user', 'book']);
+      const { user, book } = borrow;
+
+      const cancelled = Boolean(fine && fine.status === 'cancelled');
+
+      return await this.sendNotification({
+        user,
+        type: 'lost_book_found',
+        variables: {
+          name: user.name,
+          bookTitle: book.title,
+          cancelled,
+          fineAmount: fine ? fine.amount : 0,
+          credited: Boolean(!cancelled && fine && fine.creditedAmount > 0),
+          creditedAmount: fine ? fine.creditedAmount : 0
+        },
+        channels: ['sms', 'email'],
+        priority: 'medium',
+        relatedBook: book._id,
+        relatedBorrow: borrow._id,
+        ...(fine && { relatedFine: fine._id })
+      });
+    } catch (error) {
+      console.error('Lost book found notice failed:', error);
+      throw error;
+    }
+  }
+
   // Helper methods
   formatPhoneNumber(phone) {
     let formatted = phone.replace(/\s+/g, '');
@@ -279,6 +775,13 @@ class NotificationService {
   }
 
   formatEmailContent(message, user) {
+    // One paragraph per line, with links made clickable. Names, titles and
+    // staff-written text are escaped so they cannot add markup.
+    const paragraphs = String(message)
+      .split(/\n+/)
+      .map(line => `<p>${this.escapeHtml(line).replace(/(https?:\/\/[^\s<]+)/g, '<a href="$1">$1</a>')}</p>`)
+      .join('\n            ');
+
     return `
       <!DOCTYPE html>
       <html>
@@ -299,7 +802,7 @@ class NotificationService {
             <h1>Gatimbi Library Portal</h1>
           </div>
           <div class="content">
-            <p>${message}</p>
+            ${paragraphs}
             <p>Best regards,<br>Gatimbi Library Team</p>
           </div>
           <div class="footer">
@@ -311,22 +814,23 @@ class NotificationService {
     `;
   }
 
-  stripHtml(html) {
-    return html.replace(/<[^>]*>/g, '');
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
   }
 
-  async callSafaricomAPI(smsData) {
-    // Simulate Safaricom API call
-    // In production, implement actual API integration
-    return new Promise((resolve) => {
-      setTimeout(() => {
-        resolve({
-          messageId: `sms_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-          cost: 1.5,
-          status: 'sent'
-        });
-      }, 100);
-    });
+  stripHtml(html) {
+    return html
+      .replace(/<[^>]*>/g, '')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&amp;/g, '&');
   }
 
   // Get notification statistics
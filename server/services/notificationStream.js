@@ -0,0 +1,78 @@
+import Notification from '../models/Notification.js';
+
+// Open Server-Sent Events connections per user, so new in-app
+// notifications and unread counts reach the browser as they happen.
+// Connections live in this process only.
+class NotificationStream {
+  constructor() {
+    this.clients = new Map();
+    this.heartbeat = null;
+    this.defaultConfig = {
+      heartbeatSeconds: 25, // Keeps proxies from closing idle connections
+      retryMilliseconds: 5000 // How long browsers wait before reconnecting
+    };
+  }
+
+  subscribe(userId, res) {
+    const key = String(userId);
+    if (!this.clients.has(key)) this.clients.set(key, new Set());
+    this.clients.get(key).add(res);
+
+    res.write(`retry: ${this.defaultConfig.retryMilliseconds}\n\n`);
+
+    if (!this.heartbeat) {
+      this.heartbeat = setInterval(() => {
+        for (const connections of this.clients.values()) {
+          for (const connection of connections) connection.write(': heartbeat\n\n');
+        }
+      }, this.defaultConfig.heartbeatSeconds * 1000);
+      this.heartbeat.unref();
+    }
+  }
+
+  unsubscribe(userId, res) {
+    const key = String(userId);
+    const connections = this.clients.get(key);
+    if (!connections) return;
+
+    connections.delete(res);
+    if (connections.size === 0) this.clients.delete(key);
+
+    if (this.clients.size === 0 && this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  isConnected(userId) {
+    return this.clients.has(String(userId));
+  }
+
+  send(userId, event, data) {
+    const connections = this.clients.get(String(userId));
+    if (!connections) return;
+
+    const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const connection of connections) connection.write(payload);
+  }
+
+  async publishUnreadCount(userId) {
+    if (!this.isConnected(userId)) return;
+
+    try {
+      this.send(userId, 'unread', { unreadCount: await Notification.countUnread(userId) });
+    } catch (error) {
+      console.error('Error publishing unread notification count:', error);
+    }
+  }
+
+  // Push a newly created notification to its member's open connections
+  async publishNotification(notification) {
+    if (notification.recipient === 'guardian' || !this.isConnected(notification.user)) return;
+
+    this.send(notification.user, 'notification', notification);
+    await this.publishUnreadCount(notification.user);
+  }
+}
+
+export default new NotificationStream();
@@ -0,0 +1,154 @@
+import PDFDocument from 'pdfkit';
+import moment from 'moment';
+import Receipt from '../models/Receipt.js';
+
+const METHOD_LABELS = {
+  cash: 'Cash',
+  mpesa: 'M-Pesa',
+  bank: 'Bank'
+};
+
+const FINE_TYPE_LABELS = {
+  overdue: 'Overdue',
+  lost: 'Lost book',
+  damaged: 'Damaged book',
+  reservation_expired: 'Reservation not collected'
+};
+
+// Heading, total label and signatory label for each kind of receipt
+const RECEIPT_LABELS = {
+  payment: { title: 'FINE PAYMENT RECEIPT', total: 'Total paid', issuedBy: 'Received by' },
+  waiver: { title: 'FINE WAIVER RECEIPT', total: 'Total waived', issuedBy: 'Approved by' },
+  refund: { title: 'REFUND RECEIPT', total: 'Total refunded', issuedBy: 'Approved by' }
+};
+
+const formatAmount = (amount) => `KES ${Number(amount || 0).toFixed(2)}`;
+
+class ReceiptService {
+  // Issue a receipt as part of the caller's transaction
+  async issue({
+    receiptNumber = null, type = 'payment', user, amount, method = null, reference = null, allocations = [],
+    unallocatedAmount = 0, balanceAfter = 0, reason, payment = null, cashierSession = null, issuedBy = null
+  }, session = null) {
+    const [receipt] = await Receipt.create([{
+      receiptNumber: receiptNumber || await Receipt.generateReceiptNumber(session),
+      type,
+      user,
+      amount,
+      method,
+      reference,
+      allocations,
+      unallocatedAmount,
+      balanceAfter,
+      reason,
+      payment,
+      cashierSession,
+      issuedBy
+    }], { session });
+
+    return receipt;
+  }
+
+  // Load a receipt with what the PDF needs
+  async getReceipt(query) {
+    return Receipt.findOne(query)
+      .populate('user', 'name email phone nationalId')
+      .populate('issuedBy', 'name')
+      .populate({
+        path: 'allocations.fine',
+        select: 'type amount amountPaid status borrow',
+        populate: { path: 'borrow', select: 'book', populate: { path: 'book', select: 'title' } }
+      });
+  }
+
+  // Render a receipt as a PDF and resolve with its bytes
+  async renderPdf(receipt) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A5', margin: 40 });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const labels = RECEIPT_LABELS[receipt.type] || RECEIPT_LABELS.payment;
+      const isWaiver = receipt.type === 'waiver';
+
+      // Header
+      doc.fontSize(16).font('Helvetica-Bold').text('Gatimbi Library Portal', { align: 'center' });
+      doc.fontSize(10).font('Helvetica').text('Community Library, Meru', { align: 'center' });
+      doc.moveDown();
+      doc.fontSize(13).font('Helvetica-Bold')
+        .text(labels.title, { align: 'center' });
+      doc.moveDown();
+
+      // Receipt details
+      doc.fontSize(10).font('Helvetica');
+      doc.text(`Receipt No: ${receipt.receiptNumber}`);
+      doc.text(`Date: ${moment(receipt.createdAt).format('DD/MM/YYYY HH:mm')}`);
+      doc.text(`Member: ${receipt.user?.name || ''}`);
+      if (receipt.user?.phone) doc.text(`Phone: ${receipt.user.phone}`);
+      if (!isWaiver) {
+        doc.text(`Payment method: ${METHOD_LABELS[receipt.method] || receipt.method || ''}`);
+        if (receipt.reference) doc.text(`Reference: ${receipt.reference}`);
+      }
+      doc.moveDown();
+
+      // Fines covered
+      doc.font('Helvetica-Bold').text('Fines', { underline: true });
+      doc.font('Helvetica');
+      receipt.allocations.forEach(({ fine, amount }) => {
+        const label = FINE_TYPE_LABELS[fine?.type] || 'Fine';
+        const title = fine?.borrow?.book?.title ? ` - ${fine.borrow.book.title}` : '';
+        doc.text(`${label}${title}`, { continued: true })
+          .text(formatAmount(amount), { align: 'right' });
+      });
+      if (receipt.unallocatedAmount > 0) {
+        doc.text('Account credit', { continued: true })
+          .text(formatAmount(receipt.unallocatedAmount), { align: 'right' });
+      }
+      doc.moveDown(0.5);
+
+      doc.font('Helvetica-Bold')
+        .text(labels.total, { continued: true })
+        .text(formatAmount(receipt.amount), { align: 'right' });
+      doc.font('Helvetica')
+        .text(receipt.balanceAfter < 0 ? 'Account credit' : 'Outstanding balance', { continued: true })
+        .text(formatAmount(Math.abs(receipt.balanceAfter)), { align: 'right' });
+      doc.moveDown();
+
+      if (receipt.reason) {
+        doc.text(`Reason: ${receipt.reason}`);
+      }
+      if (receipt.issuedBy?.name) {
+        doc.text(`${labels.issuedBy}: ${receipt.issuedBy.name}`);
+      }
+      doc.moveDown(2);
+
+      doc.fontSize(8).fillColor('gray')
+        .text('This is a computer generated receipt. Keep it as proof of payment.', { align: 'center' });
+
+      doc.end();
+    });
+  }
+
+  // Email attachments for a receipt. A receipt that cannot be rendered
+  // should not hold up the email, so failures give no attachment.
+  async getAttachments(receiptId) {
+    try {
+      const receipt = await this.getReceipt({ _id: receiptId });
+      if (!receipt) return [];
+
+      return [{
+        filename: `${receipt.receiptNumber}.pdf`,
+        content: await this.renderPdf(receipt),
+        contentType: 'application/pdf'
+      }];
+    } catch (error) {
+      console.error('Failed to render receipt PDF:', error);
+      return [];
+    }
+  }
+}
+
+export default new ReceiptService();
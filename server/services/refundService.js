@@ -0,0 +1,216 @@
+import Refund from '../models/Refund.js';
+import Fine from '../models/Fine.js';
+import User from '../models/User.js';
+import fineService from './fineService.js';
+import ledgerService from './ledgerService.js';
+import receiptService from './receiptService.js';
+import notificationService from './notificationService.js';
+import { withTransaction } from '../config/db.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class RefundService {
+  // Most that can be refunded: what was paid on the fine less earlier
+  // refunds, or the member's account credit when there is no fine
+  async getRefundable(user, fine = null) {
+    const pending = await Refund.aggregate([
+      { $match: { user: user._id, status: 'pending', ...(fine && { fine: fine._id }) } },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]);
+    const alreadyRequested = pending[0]?.total || 0;
+
+    const available = fine
+      ? fine.amountPaid - (fine.refundedAmount || 0)
+      : -user.fineBalance;
+
+    return Math.max(0, round(available - alreadyRequested));
+  }
+
+  // Request a refund; it is paid out once a chief librarian approves it
+  async requestRefund({ userId, fineId = null, amount, method, reasonCategory, reason, reference }, requestedBy) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      let fine = null;
+      if (fineId) {
+        fine = await Fine.findById(fineId);
+        if (!fine || !fine.user.equals(user._id)) {
+          throw new Error('Fine not found for this member');
+        }
+        if (!(fine.amountPaid > 0)) {
+          throw new Error('Nothing has been paid on this fine');
+        }
+        if (fine.status === 'pending') {
+          throw new Error('The fine is still being paid; only a settled fine can be refunded');
+        }
+      }
+
+      const refundable = await this.getRefundable(user, fine);
+      const refundAmount = round(Number(amount));
+      if (refundAmount > refundable) {
+        throw new Error(`Refund exceeds the refundable amount of KES ${refundable}`);
+      }
+
+      return await Refund.create({
+        user: user._id,
+        fine: fine ? fine._id : null,
+        amount: refundAmount,
+        method,
+        reasonCategory,
+        reason,
+        reference,
+        requestedBy
+      });
+    } catch (error) {
+      console.error('Error requesting refund:', error);
+      throw error;
+    }
+  }
+
+  // Approve and pay out a refund. A refund for a paid fine credits the
+  // refunded part of the fine first, turning it into account credit; the
+  // refund then pays the credit out and brings the fine balance back up.
+  async approveRefund(refundId, approvedBy, cashierSession = null) {
+    try {
+      const existing = await Refund.findById(refundId);
+      if (!existing) {
+        throw new Error('Refund not found');
+      }
+
+      if (existing.status !== 'pending') {
+        throw new Error(`Refund is already ${existing.status}`);
+      }
+
+      if (existing.requestedBy.equals(approvedBy)) {
+        throw new Error('A refund must be approved by someone other than the person who requested it');
+      }
+
+      const { refund, receipt } = await withTransaction(async (session) => {
+        // Check everything before writing: without a transaction, earlier
+        // writes would not be rolled back
+        const fine = existing.fine ? await Fine.findById(existing.fine).session(session) : null;
+        let credit = 0;
+
+        if (fine) {
+          if (fine.status === 'pending') {
+            throw new Error('The fine is still being paid; only a settled fine can be refunded');
+          }
+          if (existing.amount > round(fine.amountPaid - (fine.refundedAmount || 0))) {
+            throw new Error('Refund exceeds what was paid on the fine');
+          }
+          // Cancelled and already credited fines are account credit already
+          if (fine.status === 'paid') {
+            const uncredited = round(fine.amount - (fine.amountWaived || 0) - (fine.creditedAmount || 0));
+            credit = Math.max(0, Math.min(existing.amount, uncredited));
+          }
+        }
+
+        // Only credit on the account can be paid out
+        const user = await User.findById(existing.user).session(session);
+        const available = round(credit - user.fineBalance);
+        if (existing.amount > available) {
+          throw new Error(`Refund exceeds the member's account credit of KES ${Math.max(0, available)}`);
+        }
+
+        const approved = await Refund.findOneAndUpdate(
+          { _id: refundId, status: 'pending' },
+          { status: 'approved', approvedBy, approvedAt: new Date(), cashierSession },
+          { new: true, session }
+        );
+        if (!approved) {
+          throw new Error('Refund is no longer pending');
+        }
+
+        if (fine) {
+          if (credit > 0) {
+            await fineService.reverseFine(fine, approvedBy, `refunded: ${approved.reason}`, session, credit);
+          }
+          fine.refundedAmount = round((fine.refundedAmount || 0) + approved.amount);
+          await fine.save({ session });
+        }
+
+        const updatedUser = await User.findByIdAndUpdate(approved.user, {
+          $inc: { fineBalance: approved.amount }
+        }, { new: true, session });
+
+        await ledgerService.record('refunded', {
+          user: approved.user,
+          fine: approved.fine,
+          amount: approved.amount,
+          method: approved.method,
+          reference: approved.reference,
+          cashierSession,
+          recordedBy: approvedBy,
+          description: approved.reason
+        }, session);
+
+        const refundReceipt = await receiptService.issue({
+          type: 'refund',
+          user: approved.user,
+          amount: approved.amount,
+          method: approved.method,
+          reference: approved.reference,
+          allocations: approved.fine ? [{ fine: approved.fine, amount: approved.amount }] : [],
+          balanceAfter: round(updatedUser.fineBalance),
+          reason: approved.reason,
+          cashierSession,
+          issuedBy: approvedBy
+        }, session);
+
+        approved.receiptNumber = refundReceipt.receiptNumber;
+        await approved.save({ session });
+
+        return { refund: approved, receipt: refundReceipt };
+      });
+
+      try {
+        const user = await User.findById(refund.user);
+        await notificationService.sendNotification({
+          user,
+          type: 'fine_refunded',
+          variables: {
+            name: user.name,
+            amount: refund.amount,
+            [refund.method]: true,
+            receiptNumber: receipt.receiptNumber
+          },
+          channels: ['sms', 'email'],
+          priority: 'medium',
+          relatedFine: refund.fine,
+          receipts: [receipt._id]
+        });
+      } catch (error) {
+        console.error('Failed to send refund notice:', error);
+      }
+
+      return refund;
+    } catch (error) {
+      console.error('Error approving refund:', error);
+      throw error;
+    }
+  }
+
+  async rejectRefund(refundId, rejectedBy, rejectionReason) {
+    try {
+      const refund = await Refund.findOneAndUpdate(
+        { _id: refundId, status: 'pending' },
+        { status: 'rejected', rejectedBy, rejectedAt: new Date(), rejectionReason },
+        { new: true }
+      );
+
+      if (!refund) {
+        throw new Error('Refund not found or no longer pending');
+      }
+
+      return refund;
+    } catch (error) {
+      console.error('Error rejecting refund:', error);
+      throw error;
+    }
+  }
+}
+
+export default new RefundService();
@@ -0,0 +1,113 @@
+import Borrow from '../models/Borrow.js';
+import SystemConfig from '../models/SystemConfig.js';
+import notificationService from './notificationService.js';
+import moment from 'moment';
+
+class ReminderService {
+  constructor() {
+    this.defaultConfig = {
+      dueDateReminderHours: 24, // Hours before due date
+      overdueReminderHours: 24 // Hours after due date
+    };
+  }
+
+  // Record a reminder on the borrow unless one was already sent for this due date.
+  // Returns false when another run got there first.
+  async claimReminder(borrow, type) {
+    const result = await Borrow.updateOne(
+      {
+        _id: borrow._id,
+        reminders: { $not: { $elemMatch: { type, dueDate: borrow.dueDate } } }
+      },
+      { $push: { reminders: { type, dueDate: borrow.dueDate, sentAt: new Date() } } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  // Drop a claimed reminder so the next run can retry it
+  async releaseReminder(borrow, type) {
+    await Borrow.updateOne(
+      { _id: borrow._id },
+      { $pull: { reminders: { type, dueDate: borrow.dueDate } } }
+    );
+  }
+
+  async recordNotification(borrow, type, notificationId) {
+    await Borrow.updateOne(
+      { _id: borrow._id },
+      { $set: { 'reminders.$[r].notification': notificationId } },
+      { arrayFilters: [{ 'r.type': type, 'r.dueDate': borrow.dueDate }] }
+    );
+  }
+
+  async sendReminders(borrows, type, send) {
+    let sentCount = 0;
+
+    const pending = borrows.filter(borrow => !borrow.reminders.some(reminder =>
+      reminder.type === type && reminder.dueDate?.getTime() === borrow.dueDate.getTime()
+    ));
+
+    for (const borrow of pending) {
+      try {
+        if (!(await this.claimReminder(borrow, type))) continue;
+
+        try {
+          const result = await send(borrow);
+          await this.recordNotification(borrow, type, result.notificationId);
+          sentCount++;
+        } catch (error) {
+          await this.releaseReminder(borrow, type);
+          throw error;
+        }
+      } catch (error) {
+        console.error(`Error sending ${type} for borrow ${borrow._id}:`, error);
+      }
+    }
+
+    return sentCount;
+  }
+
+  // Send due date reminders and overdue notices (cron job)
+  async processDueDateReminders() {
+    try {
+      const dueDateReminderHours = Number(await SystemConfig.getValue('due_date_reminder_hours', this.defaultConfig.dueDateReminderHours));
+      const overdueReminderHours = Number(await SystemConfig.getValue('overdue_reminder_hours', this.defaultConfig.overdueReminderHours));
+
+      const now = moment();
+      const activeLoan = {
+        type: { $in: ['borrowed', 'overdue'] },
+        status: { $in: ['active', 'overdue'] }
+      };
+
+      // Loans falling due within the reminder window
+      const dueSoon = await Borrow.find({
+        ...activeLoan,
+        dueDate: { $gt: now.toDate(), $lte: now.clone().add(dueDateReminderHours, 'hours').toDate() }
+      });
+
+      // Loans overdue for longer than the overdue window
+      const overdue = await Borrow.find({
+        ...activeLoan,
+        dueDate: { $lte: now.clone().subtract(overdueReminderHours, 'hours').toDate() }
+      });
+
+      const remindersSent = await this.sendReminders(
+        dueSoon,
+        'due_date_reminder',
+        borrow => notificationService.sendDueDateReminder(borrow)
+      );
+      const overdueNoticesSent = await this.sendReminders(
+        overdue,
+        'overdue_notice',
+        borrow => notificationService.sendOverdueNotice(borrow)
+      );
+
+      return { remindersSent, overdueNoticesSent };
+    } catch (error) {
+      console.error('Error processing due date reminders:', error);
+      throw error;
+    }
+  }
+}
+
+export default new ReminderService();
@@ -0,0 +1,287 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Characters of the GSM 03.38 alphabet. Extension characters take two
+// septets. Anything else forces the whole message into UCS-2.
+const GSM_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+const GSM_EXTENDED = '^{}\\[~]|€';
+
+const SEGMENT_LIMITS = {
+  gsm: 160,
+  ucs2: 70
+};
+
+const isGsm = (text) => [...text].every(char => GSM_BASIC.includes(char) || GSM_EXTENDED.includes(char));
+
+const lengthOf = (text, encoding) => encoding === 'gsm'
+  ? [...text].reduce((length, char) => length + (GSM_EXTENDED.includes(char) ? 2 : 1), 0)
+  : text.length;
+
+// Split text into chunks of at most `limit`, breaking between words where
+// possible
+const chunk = (text, limit, encoding) => {
+  const chunks = [];
+  let current = '';
+
+  for (const word of text.split(/(\s+)/)) {
+    if (lengthOf(current + word, encoding) <= limit) {
+      current += word;
+      continue;
+    }
+
+    if (current.trim()) chunks.push(current.trim());
+    current = word.trim() ? word : '';
+
+    // A single word longer than a segment is cut
+    while (lengthOf(current, encoding) > limit) {
+      let cut = '';
+      for (const char of current) {
+        if (lengthOf(cut + char, encoding) > limit) break;
+        cut += char;
+      }
+      chunks.push(cut);
+      current = current.slice(cut.length);
+    }
+  }
+
+  if (current.trim()) chunks.push(current.trim());
+  return chunks;
+};
+
+// Split a message into separately sent SMS segments, each numbered
+// "(1/3) " when there is more than one. Past maxSegments the message is
+// cut short.
+export const splitIntoSegments = (message, maxSegments = 3) => {
+  const text = String(message || '').trim();
+  const encoding = isGsm(text) ? 'gsm' : 'ucs2';
+  const limit = SEGMENT_LIMITS[encoding];
+
+  if (lengthOf(text, encoding) <= limit) {
+    return { encoding, segments: [text], totalSegments: 1, truncated: false };
+  }
+
+  // Room for the "(n/n) " prefix
+  const prefixLength = `(${maxSegments}/${maxSegments}) `.length;
+  const chunks = chunk(text, limit - prefixLength, encoding);
+  const truncated = chunks.length > maxSegments;
+  const kept = chunks.slice(0, maxSegments);
+
+  if (truncated) {
+    const last = kept[kept.length - 1];
+    kept[kept.length - 1] = lengthOf(last, encoding) < limit - prefixLength
+      ? `${last}…`
+      : `${[...last].slice(0, -1).join('')}…`;
+  }
+
+  return {
+    encoding,
+    segments: kept.map((part, index) => `(${index + 1}/${kept.length}) ${part}`),
+    totalSegments: chunks.length,
+    truncated
+  };
+};
+
+// Every SMS gateway implements send(), returning the gateway's message ID
+// and what the message cost in KES
+class SmsProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async send() {
+    throw new Error(`SMS provider ${this.name} does not implement send`);
+  }
+}
+
+// Safaricom bulk SMS, authenticated with an OAuth token like Daraja
+class SafaricomSmsProvider extends SmsProvider {
+  constructor() {
+    super('safaricom');
+    this.accessToken = null;
+    this.accessTokenExpiresAt = 0;
+  }
+
+  // Read on use, since the environment is loaded after services are imported
+  get config() {
+    return {
+      baseUrl: (process.env.SAFARICOM_BASE_URL || 'https://api.safaricom.co.ke').replace(/\/+$/, ''),
+      smsPath: process.env.SAFARICOM_SMS_PATH || '/v1/sms/send',
+      apiKey: process.env.SAFARICOM_API_KEY,
+      apiSecret: process.env.SAFARICOM_API_SECRET,
+      shortCode: process.env.SAFARICOM_SHORT_CODE
+    };
+  }
+
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.accessTokenExpiresAt) {
+      return this.accessToken;
+    }
+
+    const { baseUrl, apiKey, apiSecret } = this.config;
+    if (!apiKey || !apiSecret) {
+      throw new Error('Safaricom SMS configuration not available');
+    }
+
+    const credentials = Buffer.from(`${apiKey}:${apiSecret}`).toString('base64');
+    const response = await fetch(`${baseUrl}/oauth/v1/generate?grant_type=client_credentials`, {
+      headers: { Authorization: `Basic ${credentials}` }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Safaricom SMS authentication failed (${response.status})`);
+    }
+
+    const data = await response.json();
+    this.accessToken = data.access_token;
+    this.accessTokenExpiresAt = Date.now() + (Number(data.expires_in || 3599) - 60) * 1000;
+
+    return this.accessToken;
+  }
+
+  async send({ to, message }) {
+    const { baseUrl, smsPath, shortCode } = this.config;
+    const token = await this.getAccessToken();
+
+    const response = await fetch(`${baseUrl}${smsPath}`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        senderId: shortCode,
+        recipient: to,
+        message
+      })
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (response.status === 401) {
+      this.accessToken = null;
+    }
+
+    if (!response.ok) {
+      throw new Error(data.errorMessage || `Safaricom SMS request failed (${response.status})`);
+    }
+
+    return {
+      messageId: data.messageId || data.requestId,
+      cost: data.cost !== undefined ? Number(data.cost) : null
+    };
+  }
+}
+
+// Africa's Talking messaging API
+class AfricasTalkingSmsProvider extends SmsProvider {
+  constructor() {
+    super('africastalking');
+  }
+
+  get config() {
+    const username = process.env.AFRICASTALKING_USERNAME || 'sandbox';
+    const defaultUrl = username === 'sandbox'
+      ? 'https://api.sandbox.africastalking.com'
+      : 'https://api.africastalking.com';
+
+    return {
+      baseUrl: (process.env.AFRICASTALKING_BASE_URL || defaultUrl).replace(/\/+$/, ''),
+      username,
+      apiKey: process.env.AFRICASTALKING_API_KEY,
+      senderId: process.env.AFRICASTALKING_SENDER_ID
+    };
+  }
+
+  async send({ to, message }) {
+    const { baseUrl, username, apiKey, senderId } = this.config;
+    if (!apiKey) {
+      throw new Error("Africa's Talking configuration not available");
+    }
+
+    const form = new URLSearchParams({ username, to: `+${to}`, message });
+    if (senderId) form.append('from', senderId);
+
+    const response = await fetch(`${baseUrl}/version1/messaging`, {
+      method: 'POST',
+      headers: {
+        apiKey,
+        Accept: 'application/json',
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: form.toString()
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`Africa's Talking request failed (${response.status})`);
+    }
+
+    const [recipient] = data.SMSMessageData?.Recipients || [];
+    // Status codes 100-102 mean the message was accepted
+    if (!recipient || recipient.statusCode < 100 || recipient.statusCode > 102) {
+      throw new Error(recipient?.status || data.SMSMessageData?.Message || "Africa's Talking rejected the message");
+    }
+
+    // Cost comes back as e.g. "KES 0.8000"
+    const cost = parseFloat(String(recipient.cost || '').replace(/[^\d.]/g, ''));
+
+    return {
+      messageId: recipient.messageId,
+      cost: Number.isNaN(cost) ? null : cost
+    };
+  }
+}
+
+// Writes messages to the console and a log file instead of sending them.
+// Numbers ending in 0002 fail, for testing retries.
+class SimulatorSmsProvider extends SmsProvider {
+  constructor() {
+    super('simulator');
+    this.sequence = 0;
+  }
+
+  get config() {
+    return {
+      logFile: process.env.SMS_SIMULATOR_FILE || './logs/sms-simulator.log'
+    };
+  }
+
+  async send({ to, message }) {
+    if (String(to).endsWith('0002')) {
+      throw new Error('Simulated SMS delivery failure');
+    }
+
+    this.sequence++;
+    const messageId = `sim_${Date.now()}_${this.sequence}`;
+    const entry = { messageId, to, message, sentAt: new Date().toISOString() };
+
+    console.log(`[SMS simulator] to ${to}: ${message}`);
+
+    try {
+      const { logFile } = this.config;
+      await fs.mkdir(path.dirname(logFile), { recursive: true });
+      await fs.appendFile(logFile, `${JSON.stringify(entry)}\n`);
+    } catch (error) {
+      console.error('SMS simulator could not write its log file:', error);
+    }
+
+    return { messageId, cost: null };
+  }
+}
+
+const providers = {
+  safaricom: new SafaricomSmsProvider(),
+  africastalking: new AfricasTalkingSmsProvider(),
+  simulator: new SimulatorSmsProvider()
+};
+
+export const SMS_PROVIDERS = Object.keys(providers);
+
+export const getSmsProvider = (name) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown SMS provider "${name}"; expected one of ${SMS_PROVIDERS.join(', ')}`);
+  }
+  return provider;
+};
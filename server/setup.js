@@ -95,6 +95,34 @@ const setupSystem = async () => {
         description: 'Default loan period in days',
         type: 'number'
       },
+      {
+        category: 'borrowing',
+        key: 'max_renewals',
+        value: '2',
+        description: 'Maximum number of times a loan can be renewed',
+        type: 'number'
+      },
+      {
+        category: 'borrowing',
+        key: 'block_fine_balance',
+        value: '500',
+        description: 'Fine balance above which a member cannot borrow (in KES)',
+        type: 'number'
+      },
+      {
+        category: 'borrowing',
+        key: 'block_overdue_items',
+        value: '2',
+        description: 'Number of overdue items that stops a member borrowing (0 disables)',
+        type: 'number'
+      },
+      {
+        category: 'borrowing',
+        key: 'block_fine_age_days',
+        value: '60',
+        description: 'Age in days of the oldest unpaid fine that stops a member borrowing (0 disables)',
+        type: 'number'
+      },
       {
         category: 'reservations',
         key: 'reservation_hold_hours',
@@ -102,6 +130,27 @@ const setupSystem = async () => {
         description: 'Hours to hold a reservation before auto-release',
         type: 'number'
       },
+      {
+        category: 'fines',
+        key: 'reservation_expiry_fine',
+        value: '0',
+        description: 'Fee charged when a reservation expires uncollected (0 disables it, in KES)',
+        type: 'number'
+      },
+      {
+        category: 'fines',
+        key: 'max_instalments',
+        value: '12',
+        description: 'Maximum number of instalments in a fine payment plan',
+        type: 'number'
+      },
+      {
+        category: 'notifications',
+        key: 'instalment_reminder_days',
+        value: '2',
+        description: 'Days before an instalment is due to send a reminder',
+        type: 'number'
+      },
       {
         category: 'notifications',
         key: 'due_date_reminder_hours',
@@ -116,6 +165,62 @@ const setupSystem = async () => {
         description: 'Hours after due date to send overdue reminder',
         type: 'number'
       },
+      {
+        category: 'notifications',
+        key: 'notification_retry_base_minutes',
+        value: '2',
+        description: 'Minutes before retrying a failed notification, doubled on each further attempt',
+        type: 'number'
+      },
+      {
+        category: 'notifications',
+        key: 'notification_batch_size',
+        value: '50',
+        description: 'Queued notifications sent per worker run',
+        type: 'number'
+      },
+      {
+        category: 'notifications',
+        key: 'guardian_notification_mode',
+        value: 'copy',
+        description: "Junior member notices for guardians: copy (member and guardian), guardian_only (member keeps the in-app notice) or off",
+        type: 'string'
+      },
+      {
+        category: 'notifications',
+        key: 'guardian_notification_types',
+        value: 'overdue_notice,fine_notice',
+        description: 'Comma-separated notification types sent to junior members\' guardians',
+        type: 'string'
+      },
+      {
+        category: 'sms',
+        key: 'sms_provider',
+        value: 'simulator',
+        description: 'SMS gateway: safaricom, africastalking or simulator (logs messages instead of sending)',
+        type: 'string'
+      },
+      {
+        category: 'sms',
+        key: 'sms_daily_spend_limit',
+        value: '1000',
+        description: 'Maximum KES spent on SMS per day; further messages wait for the next day (0 for no limit)',
+        type: 'number'
+      },
+      {
+        category: 'sms',
+        key: 'sms_cost_per_segment',
+        value: '0.8',
+        description: 'KES per SMS segment, used when the gateway does not report a cost',
+        type: 'number'
+      },
+      {
+        category: 'sms',
+        key: 'sms_max_segments',
+        value: '3',
+        description: 'Segments a long SMS is split into before it is cut short',
+        type: 'number'
+      },
       {
         category: 'system',
         key: 'maintenance_mode',